@@ -6,6 +6,8 @@ var http = require('http');
 var fs = require('fs');
 var events = require('events');
 var querystring = require('querystring');
+var url = require('url');
+var crypto = require('crypto');
 
 var START = new Date().getTime();
 var lastUid = 0;
@@ -40,29 +42,143 @@ var TEST_DEFAULTS = {
 
     host: 'localhost',                      // host and port specify where to connect
     port: 8080,                             //
-    requestGenerator: null,                 // Specify one of: requestGenerator, requestLoop, or (method, path, requestData)
-    requestLoop: null,                      //   - A requestGenerator is a function that takes a http.Client param
-    method: 'GET',                          //     and returns a http.ClientRequest.
+    secure: false,                          // If true, connect to host:port with HTTPS. The TLS handshake time of each
+                                            // connection is reported as the 'tls-handshake' stat.
+    tlsConf: {rejectUnauthorized: true},    // TLS options used when secure is true:
+                                            //   - ca, cert, key: PEM encoded CA certificates to trust, and client certificate
+                                            //     and private key to present to the server
+                                            //   - rejectUnauthorized: if true, connections to servers whose certificates are
+                                            //     not signed by ca fail with result code 'tls-error'
+    requestGenerator: null,                 // Specify one of: requestGenerator, requestLoop, scenario, mix, or (method, path, requestData)
+    requestLoop: null,                      //   - A requestGenerator is a function that takes params (http.Client, context)
+    method: 'GET',                          //     and returns a http.ClientRequest. context is described in extract.
     path: '/',                              //   - A requestLoop is a function that takes two params (loopFun, http.Client).
     requestData: null,                      //     It should call loopFun({req: http.ClientRequest, res: http.ClientResponse})
                                             //     after each operation to schedule the next iteration of requestLoop.
-                                            //   - (method, path, requestData) specify a single URL to test
+                                            //   - (method, path, requestData) specify a single URL to test. path, requestData
+                                            //     and the values of headers are templates, e.g. '/item-{{uniform(1, 1000)}}'.
+                                            //     See templates.js#compileTemplate for the placeholders. {{seq}} is the number
+                                            //     of the request, which is unique across the slaves of a remote test.
+    requestFile: null,                      // File to send as the body of (method, path) PUT and POST requests instead of
+                                            // requestData. It is streamed from disk for each request, so it can be large.
+    headers: null,                          // Map of additional request headers to send with (method, path, requestData)
+    scenario: null,                         //   - A scenario is a list of steps that each virtual user runs in order, e.g.
+                                            //       [{name: 'login', request: function(client, context) {...},
+                                            //         response: function(res, body, context) { context.token = body }},
+                                            //        {name: 'browse', request: function(client, context) {...}, thinkTime: 5}]
+                                            //     request returns a http.ClientRequest, and the optional response is called
+                                            //     with the completed response; returning false skips the remaining steps.
+                                            //     context is an object kept for each user (client) for passing values between
+                                            //     steps. The 'latency' and 'result-codes' stats are also reported for each step
+                                            //     as 'latency: <step name>' and 'result-codes: <step name>'. The scenario's
+                                            //     'latency' includes think time, and its result code is that of the last step run.
+                                            //     Steps may also set checks and extract, which apply to the step's response.
+    thinkTime: null,                        // Time to wait after each step of a scenario unless the step sets thinkTime:
+                                            // seconds, or {type: 'uniform', min: 1, max: 3}, or {type: 'gaussian', mean: 2,
+                                            // stddev: 0.5}. There is no think time after the last step.
+    mix: null,                              //   - A mix is a list of weighted entries, each of which is one of the above except
+                                            //     requestLoop, e.g.
+                                            //       [{name: 'read', weight: 90, path: '/item-{{uniform(1, 1000)}}'},
+                                            //        {name: 'write', weight: 10, method: 'PUT', path: '/item', requestData: '...'}]
+                                            //     Each iteration runs one entry, chosen in proportion to weight (default 1), so
+                                            //     the entries share numClients and targetRps. Entries may set requestGenerator,
+                                            //     method, path, requestData, requestFile, headers, scenario, thinkTime, checks
+                                            //     and extract, and use the test's values for those they do not set. Stats are
+                                            //     reported for each entry like for scenario steps, the 'mix' stat counts the runs
+                                            //     of each entry, and the summary compares the achieved share of each entry to
+                                            //     its target.
 
     numClients: 10,                         // Maximum number of concurrent executions of request loop
     numRequests: Infinity,                  // Maximum number of iterations of request loop
     timeLimit: 120,                         // Maximum duration of test in seconds
     targetRps: Infinity,                    // Number of times per second to execute request loop
+    correctCoordinatedOmission: false,      // If true and targetRps is set, the 'latency' stat is measured from when each
+                                            // request was scheduled to be sent, and the uncorrected time is reported as
+                                            // the 'service-time' stat. Requests are sent back to back to catch up after
+                                            // a slow response.
+    arrivals: null,                         // Set to 'constant' or 'poisson' to start requests at targetRps regardless of
+                                            // how many are still waiting for a response (an "open" model). numClients is
+                                            // ignored, and the number of requests dropped because maxInFlight was reached
+                                            // is reported as the 'dropped' stat.
+    maxInFlight: Infinity,                  // Maximum number of outstanding requests when arrivals is set
     delay: 0,                               // Seconds before starting test
+    requestTimeout: 60000,                  // Milliseconds to wait for a response. Failed requests are counted in the
+                                            // 'result-codes' stat as 'timeout', 'ECONNREFUSED', 'ECONNRESET', 'dns-error',
+                                            // 'tls-error', 'parse-error' or 'error', and logged to the error log. Set .timeout on a
+                                            // request returned by requestGenerator to override it for that request.
+    followRedirects: 0,                     // Maximum number of redirects (301, 302, 303, 307, 308) to follow for each request.
+                                            // The 'latency' stat includes all the redirects and 'result-codes' counts the final
+                                            // response. The time of each request is reported as the 'hop-latency' stat.
+    cookies: false,                         // If true, each client keeps the cookies set by responses and sends them with later
+                                            // requests that match their domain and path until they expire. The cookies are kept
+                                            // in a cookies.js#CookieJar, which is context.cookies (see extract).
+    connection: 'persistent',               // How each client uses connections: 'persistent' to send all of its requests on one
+                                            // connection, 'per-request' to open a new connection for each request, or
+                                            // {maxRequests: 100, maxAge: 30, poolSize: 6} to open a new connection after the
+                                            // given number of requests or seconds, and to keep several connections that are used
+                                            // in turn. See connections.js#CONNECTION_DEFAULTS. Unless it is 'persistent', the
+                                            // 'connect-time' stat is always reported (see stats), and the number of connections
+                                            // opened after each client's first as the 'reconnects' stat. Redirects
+                                            // are sent on the same connection, and requestLoop always uses one connection.
+    feeder: null,                           // Rows of test data to use, e.g. {file: 'users.csv', strategy: 'unique'}. Before each
+                                            // iteration, the next row is stored as context.row, where requestGenerator and the
+                                            // steps of a scenario can use it (see extract). See feeders.js#FEEDER_DEFAULTS.
+    stages: null,                           // List of stages to vary the load during the test, e.g.
+                                            //   [{name: 'ramp up', duration: 60, targetRps: 200, numClients: 20},
+                                            //    {name: 'hold', duration: 600},
+                                            //    {name: 'ramp down', duration: 30, targetRps: 0}]
+                                            // Each stage linearly moves targetRps and numClients from their values at the
+                                            // end of the previous stage to the values given for the stage over "duration"
+                                            // seconds. The first stage starts from the test's targetRps (or 0 if it is
+                                            // Infinity) and numClients. Stages that do not set numClients leave the
+                                            // concurrency as it is. The test ends after the last stage.
 
     successCodes: null,                     // List of success HTTP response codes. Failures are logged to the error log.
-    stats: ['latency', 'result-codes'],     // Specify list of: latency, result-codes, uniques, concurrency. Note that "uniques"
-                                            // only shows up in summary report and requests must be made with traceableRequest().
-                                            // Not doing so will result in reporting only 2 uniques.
-    latencyConf: {percentiles: [.95,.99]},  // Set latencyConf.percentiles to percentiles to report for the 'latency' stat
+    checks: null,                           // List of checks on each response, e.g.
+                                            //   [{contains: 'ok'}, {matches: 'id=\\d+'}, {json: 'user.active', equals: true},
+                                            //    {maxBodySize: 65536}, {header: 'content-type', matches: 'json'}, {name: ...}]
+                                            // Failures are counted by check name in the 'failed-checks' stat and logged to the
+                                            // error log. A failed check ends the current iteration of a scenario. See
+                                            // evloops.js#monitorChecksLoop for details.
+    extract: null,                          // Map of values to copy from each response into the context of the client, e.g.
+                                            //   {id: {json: 'items.0.id'}, token: {header: 'x-token'}, csrf: {matches: 'csrf=(\\w+)'}}
+                                            // The context is an object kept for each client and passed to requestGenerator and
+                                            // to scenario steps. It is not available to requestLoop.
+    thresholds: null,                       // Pass/fail criteria checked against the cumulative stats when the test ends, e.g.
+                                            //   {latency: {'99%': 250, avg: 100}, errorRate: 0.01, minRps: 100, resultCodes: {500: 0}}
+                                            //   - latency: max value of 'latency' summary fields or of any percentile, e.g. '99.9%'
+                                            //   - errorRate: max fraction of responses not in successCodes (or >= 400, if null), counting
+                                            //     timeouts and connection errors, which have no response, as errors
+                                            //   - resultCodes: max number of results with each HTTP status code or error, e.g. 'timeout'
+                                            //   - minRps: min average requests per second
+                                            //   - abortOnBreach: if true, also check every reportInterval and stop all tests
+                                            //     at the first breach (minRps is only checked at the end)
+                                            // The result is in the summary report. If any test fails, endTest() exits with status 1.
+    stats: ['latency', 'result-codes'],     // Specify list of: latency, result-codes, uniques, concurrency, dns, connect-time, ttfb,
+                                            // transfer, total, bytes-received, bytes-sent. Note that "uniques" only shows up in
+                                            // summary report and requests must be made with traceableRequest(). Not doing so will
+                                            // result in reporting only 2 uniques. dns, connect-time, ttfb, transfer and total report
+                                            // the phases of each request: the DNS lookup and connect time of new connections, the
+                                            // time to first byte once connected, the time to receive the body, and the total time
+                                            // including the body. DNS lookups are only timed if the http.Client reports them, and
+                                            // are otherwise part of connect-time. The phases are not recorded for requestLoop. The
+                                            // TLS handshake is reported as 'tls-handshake'. bytes-received and bytes-sent count the
+                                            // headers and body of each response and request, and report the total and rate per
+                                            // second. Requests are only counted if they are made with traceableRequest().
+    latencyConf: {percentiles: [.95,.99]},  // Set latencyConf.percentiles to percentiles to report for the 'latency' stat.
+                                            // Set latencyConf.type to 'HdrHistogram' to use a log-linear histogram with
+                                            // bounded memory for long tests (see stats.js#HdrHistogram for more params).
     reportInterval: 2,                      // Seconds between each progress report
-    reportFun: null,                        // Function called each reportInterval that takes a param, stats, which is a map of
+    reportFun: null,                        // Function called each reportInterval that takes params (stats, status). status
+                                            // is {stage: name of current stage} if stages is set. stats is a map of
                                             // { 'latency': Reportable(Histogram), 'result-codes': Reportable(ResultsCounter},
-                                            // 'uniques': Reportable(Uniques), 'concurrency': Reportable(Peak) }
+                                            // 'uniques': Reportable(Uniques), 'concurrency': Reportable(Peak),
+                                            // 'service-time': Reportable(Histogram), 'dropped': Reportable(Accumulator),
+                                            // 'tls-handshake': Reportable(Histogram), 'failed-checks': Reportable(ResultsCounter),
+                                            // 'hop-latency': Reportable(Histogram), 'mix': Reportable(ResultsCounter),
+                                            // 'reconnects': Reportable(Accumulator), and 'dns', 'connect-time', 'ttfb', 'transfer'
+                                            // and 'total': Reportable(Histogram), 'bytes-received' and 'bytes-sent':
+                                            // Reportable(Throughput) }
 }
 
 /** RAMP_DEFAULTS defines all of the parameters that can be set in a ramp-up specifiction passed
@@ -76,34 +192,128 @@ var RAMP_DEFAULTS = {
     clientsPerStep: 1,                  // The number of connections to add to the test at each step.
     delay: 0                            // Number of seconds to wait before ramping up. 
 }
+
+/** SEARCH_DEFAULTS defines all of the parameters that can be set in a search specification passed to
+    addSearch(spec, searchSpec). By default, a search starts at 10 requests/sec and doubles the rate every
+    30 seconds until a level fails, then binary searches for the highest passing rate. */
+var SEARCH_DEFAULTS = {
+    startRps: 10,                       // The first rate to try
+    minRps: 1,                          // The lowest rate to try. If no level has passed by the time the binary
+                                        // search would go below it, the search stops with maxPassingRps null.
+    maxRps: 100000,                     // The highest rate to try
+    stepRps: null,                      // If set, add stepRps to the rate after each passing level and stop at the
+                                        // first failure. If null, double the rate until a level fails, then binary
+                                        // search between the highest passing and lowest failing rates.
+    resolution: 0.05,                   // Binary search stops when the highest passing rate is within this fraction
+                                        // of the lowest failing rate
+    holdTime: 30,                       // Seconds to hold each rate. Levels change at the test's reportInterval, so
+                                        // this is rounded up to a multiple of it.
+    criteria: null                      // function(stats) that returns true if a level passes. stats is a map like the
+                                        // one passed to reportFun, but contains the statistics for the level only,
+                                        // e.g. { 'latency': Histogram, 'result-codes': ResultsCounter }
+}
+/** The stats that can be reported for the phases of each request (see evloops.js#requestGeneratorLoop), with the
+    field of result.timings they record and their name in reports */
+var PHASE_STATS = {
+    'dns': {phase: 'dns', title: 'DNS lookup'},
+    'connect-time': {phase: 'connect', title: 'Connect time'},
+    'ttfb': {phase: 'ttfb', title: 'Time to first byte'},
+    'transfer': {phase: 'transfer', title: 'Transfer time'},
+    'total': {phase: 'total', title: 'Total time'}
+};
 var summaryStats = [];
+var tests = [];
+var thresholdsBreached = false;
 var endTestTimeoutId;
 
 /** addTest(spec) is the primary method to create a load test with nodeloadlib. See TEST_DEFAULTS for a list
     of the configuration values that can be provided in the test specification, spec. Remember to call
     startTests() to kick off the tests defined though addTest(spec)/addRamp(spec). */
 addTest = function(spec) {
-    function req(client) {
-        if (spec.requestGenerator == null) {
-            if ((spec.requestData != null) && (spec.method.search('^(PUT|POST)$') != -1)) {
-                var body = spec.requestData;
-            }
-            return traceableRequest(client, spec.method, spec.path, { 'host': spec.host }, body);
-        }
-        return spec.requestGenerator(client);
-    }
-    
     defaults(spec, TEST_DEFAULTS);
-    var monitored = spec.requestLoop;
-    if (monitored == null) {
-        monitored = requestGeneratorLoop(req);
+    var seq = 0;
+    var nextSeq = function() {
+        // Interleave the numbers used by each slave of a remote test, so they are unique across the slaves
+        var partition = (SLAVE_CONFIG != null && SLAVE_CONFIG.partition != null) ? SLAVE_CONFIG.partition : {index: 0, count: 1};
+        return (seq++) * partition.count + partition.index;
+    };
+    if (spec.stages != null) {
+        var stages = planStages(spec);
+        spec.timeLimit = stages[stages.length-1].end;
     }
-
+    var histogram = (spec.latencyConf.type == null) ? Histogram : statsClassFromString(spec.latencyConf.type);
+    if (spec.followRedirects > 0) {
+        var redirects = {
+            max: spec.followRedirects,
+            host: spec.host,
+            port: spec.port,
+            secure: spec.secure,
+            hops: new Reportable([histogram, spec.latencyConf], spec.name + ': Hop latency', true),
+            newClient: function(host, port, secure, user) { return redirectClient(spec, host, port, secure, user) }
+        };
+    }
+    // A requestLoop is passed the client itself, so it always uses one persistent connection
+    var plain = (spec.requestLoop != null && spec.scenario == null && spec.mix == null);
     var stats = {};
+    var monitored = spec.requestLoop;
+    if (spec.mix != null) {
+        spec.mix.forEach(function(entry, i) {
+            if (entry.name == null)
+                entry.name = (entry.path != null) ? (entry.method || spec.method) + ' ' + entry.path : 'entry ' + (i+1);
+            if (entry.weight == null)
+                entry.weight = 1;
+        });
+        stats['mix'] = new Reportable(ResultsCounter, spec.name + ': Mix', true);
+        monitored = mixLoop(spec.mix, function(entry) { return mixEntryLoop(spec, entry, stats, redirects, nextSeq) }, stats['mix']);
+    } else if (spec.scenario != null) {
+        monitored = scenarioLoop(spec.scenario, {
+            timeout: spec.requestTimeout,
+            thinkTime: spec.thinkTime,
+            redirects: redirects,
+            wrapStep: function(step, loop) { return monitorStepLoop(spec, step, stats, loop) }
+        });
+    } else if (monitored == null) {
+        monitored = requestGeneratorLoop(requestFunction(spec, spec, nextSeq), spec.requestTimeout, redirects);
+    }
+    if (redirects != null) {
+        stats['hop-latency'] = redirects.hops;
+    }
+    if (spec.stats.indexOf('bytes-received') >= 0) {
+        stats['bytes-received'] = new Reportable(Throughput, spec.name + ': Bytes received', true);
+    }
+    if (spec.stats.indexOf('bytes-sent') >= 0) {
+        stats['bytes-sent'] = new Reportable(Throughput, spec.name + ': Bytes sent', true);
+    }
+    if (spec.scenario == null && spec.mix == null) {
+        // Bytes are counted for each step of a scenario or entry of a mix. They must be counted before checks read the body.
+        monitored = monitorBytesLoop(stats, monitored);
+    }
+    if (hasChecks(spec)) {
+        stats['failed-checks'] = new Reportable(ResultsCounter, spec.name + ': Failed checks', true);
+    }
+    if (spec.scenario == null && spec.mix == null && (spec.checks != null || spec.extract != null)) {
+        monitored = monitorChecksLoop(spec.checks, spec.extract, stats['failed-checks'], monitored);
+    }
     if (spec.stats.indexOf('latency') >= 0) {
-        var l = new Reportable([Histogram, spec.latencyConf], spec.name + ': Latency', true);
-        monitored = monitorLatenciesLoop(l, monitored);
+        var l = new Reportable([histogram, spec.latencyConf], spec.name + ': Latency', true);
         stats['latency'] = l;
+        if (spec.correctCoordinatedOmission) {
+            var svc = new Reportable([histogram, spec.latencyConf], spec.name + ': Service time', true);
+            monitored = monitorLatenciesLoop(svc, monitored);
+            monitored = monitorIntendedLatenciesLoop(l, monitored);
+            stats['service-time'] = svc;
+        } else {
+            monitored = monitorLatenciesLoop(l, monitored);
+        }
+    }
+    for (var key in PHASE_STATS) {
+        if (spec.stats.indexOf(key) >= 0 || (key == 'connect-time' && spec.connection != 'persistent' && !plain)) {
+            stats[key] = new Reportable([histogram, spec.latencyConf], spec.name + ': ' + PHASE_STATS[key].title, true);
+        }
+    }
+    if (spec.scenario == null && spec.mix == null) {
+        // The phases are recorded for each step of a scenario or entry of a mix
+        monitored = monitorPhasesLoop(requestPhases(stats), monitored);
     }
     if (spec.stats.indexOf('result-codes') >= 0) {
         var rc = new Reportable(ResultsCounter, spec.name + ': Result codes', true);
@@ -120,23 +330,102 @@ addTest = function(spec) {
         monitored = monitorUniqueUrlsLoop(uniq, monitored);
         stats['uniques'] = uniq;
     }
-    if (spec.successCodes != null) {
+    // Each step of a scenario and each entry of a mix has its own latency and result code stats
+    (spec.mix || spec.scenario || []).forEach(function(part) {
+        if (spec.stats.indexOf('latency') >= 0) {
+            stats['latency: ' + part.name] = new Reportable([histogram, spec.latencyConf], spec.name + ': Latency (' + part.name + ')', true);
+        }
+        if (spec.stats.indexOf('result-codes') >= 0) {
+            stats['result-codes: ' + part.name] = new Reportable(ResultsCounter, spec.name + ': Result codes (' + part.name + ')', true);
+        }
+    });
+    if (spec.scenario == null && spec.mix == null) {
+        // Failures are logged for each step of a scenario or entry of a mix
         monitored = monitorHttpFailuresLoop(spec.successCodes, monitored);
     }
+    if (spec.secure) {
+        var handshakes = new Reportable([histogram, spec.latencyConf], spec.name + ': TLS handshake', true);
+        stats['tls-handshake'] = handshakes;
+    }
+    if (plain && spec.connection != 'persistent') {
+        qputs("WARN: connection is ignored for tests that set requestLoop.");
+    } else if (spec.connection != 'persistent') {
+        // The connect time is recorded with the other phases of each request
+        var connectStats = {reconnects: new Reportable(Accumulator, spec.name + ': Reconnects', true)};
+        stats['reconnects'] = connectStats.reconnects;
+    }
+    if (spec.arrivals != null) {
+        var dropped = new Reportable(Accumulator, spec.name + ': Dropped', true);
+        stats['dropped'] = dropped;
+    }
+    if (spec.feeder != null) {
+        if (spec.feeder.partition == null && SLAVE_CONFIG != null) {
+            spec.feeder.partition = SLAVE_CONFIG.partition;
+        }
+        monitored = feederLoop(new Feeder(spec.feeder), monitored, function() { s.stop() });
+    }
 
     var s = SCHEDULER.schedule({
         fun: monitored,
-        argGenerator: function() { return http.createClient(spec.port, spec.host) },
-        concurrency: spec.numClients,
-        rps: spec.targetRps,
+        argGenerator: function() {
+            var cookies = spec.cookies ? new CookieJar() : null;
+            var newClient = function() {
+                return createHttpClient(spec.port, spec.host, spec.secure, spec.tlsConf, handshakes, cookies);
+            };
+            if (plain) {
+                return newClient();
+            }
+            return {client: null, connections: new ConnectionPool(spec.connection, newClient, connectStats), context: {cookies: cookies}};
+        },
+        concurrency: (stages != null) ? stages[0].from.numClients : spec.numClients,
+        rps: (stages != null) ? stages[0].from.targetRps : spec.targetRps,
         duration: spec.timeLimit,
         numberOfTimes: spec.numRequests,
-        delay: spec.delay
+        delay: spec.delay,
+        correctCoordinatedOmission: spec.correctCoordinatedOmission,
+        arrivals: spec.arrivals,
+        maxInFlight: spec.maxInFlight,
+        dropped: dropped,
+        // On a slave, only run this slave's share of the load (see remote.js#RemoteWorkerPool)
+        share: (SLAVE_CONFIG != null) ? SLAVE_CONFIG.share : 1
     });
 
+    if (stages != null) {
+        s.stage = stages[0].name;
+        SCHEDULER.schedule({
+            fun: funLoop(stagesUpdater(s, stages)),
+            rps: 2,
+            delay: spec.delay,
+            monitored: false
+        });
+    }
+
+    if (spec.mix != null) {
+        addReportSection(spec.name + ': Mix', function() { return mixSummary(spec.mix, stats['mix']) });
+    }
+    if (spec.thresholds != null) {
+        addReportSection(spec.name + ': Thresholds', function() { return thresholdsSummary(s) });
+        if (spec.thresholds.abortOnBreach) {
+            SCHEDULER.schedule({
+                fun: funLoop(function() { abortOnBreach(s) }),
+                rps: 1/spec.reportInterval,
+                delay: spec.delay + spec.reportInterval,
+                monitored: false
+            });
+        }
+    }
+
     if (spec.reportInterval != null) {
+        var status = function() {
+            var status = {};
+            if (stages != null)
+                status.stage = s.stage;
+            if (s.paused)
+                status.paused = true;
+            return status;
+        };
         SCHEDULER.schedule({
-            fun: progressReportLoop(stats, spec.reportFun),
+            fun: progressReportLoop(stats, spec.reportFun, status),
             rps: 1/spec.reportInterval,
             delay: spec.reportInterval,
             monitored: false
@@ -146,22 +435,19 @@ addTest = function(spec) {
     s.stats = stats;
     s.testspec = spec;
     summaryStats.push(stats);
+    tests.push(s);
     
     return s;
 }
 
 /** addRamp(spec) defines a step-wise ramp-up of the load in a given test defined by a pervious addTest(spec)
-    call. See RAMP_DEFAULTS for a list of the parameters that can be specified in the ramp specification, spec. */
+    call. See RAMP_DEFAULTS for a list of the parameters that can be specified in the ramp specification, spec.
+    Use the "stages" test parameter instead for more complex load profiles. */
 addRamp = function(spec) {
     defaults(spec, RAMP_DEFAULTS);
     var ramp = function() {
-        SCHEDULER.schedule({
-            fun: spec.test.fun,
-            argGenerator: function() { return http.createClient(spec.test.testspec.port, spec.test.testspec.host) },
-            rps: spec.rpsPerStep,
-            concurrency: spec.clientsPerStep,
-            monitored: false
-        }).start();
+        spec.test.setRate(spec.test.rps + spec.rpsPerStep);
+        spec.test.setConcurrency(spec.test.concurrency + spec.clientsPerStep);
     }
     return SCHEDULER.schedule({
         fun: funLoop(ramp),
@@ -172,6 +458,77 @@ addRamp = function(spec) {
     });
 }
 
+/** addSearch(spec, searchSpec) adds a test, like addTest(spec), that searches for the highest request rate
+    that satisfies searchSpec.criteria. The test's rate is changed in steps, and each step is held for
+    searchSpec.holdTime seconds. See SEARCH_DEFAULTS for the other parameters of searchSpec. The test stops
+    when the search is complete; a table of the results of each level is included in the summary report.
+    Returns the test, which has a field "search" containing {maxPassingRps: number, levels: [...]}. maxPassingRps
+    is null if no rate down to searchSpec.minRps passed. */
+addSearch = function(spec, searchSpec) {
+    defaults(searchSpec, SEARCH_DEFAULTS);
+    if (searchSpec.criteria == null)
+        throw "addSearch() requires searchSpec.criteria";
+    if (spec.timeLimit == null)
+        spec.timeLimit = Infinity;
+    spec.targetRps = searchSpec.startRps;
+
+    var reportFun = spec.reportFun, test;
+    var search = {maxPassingRps: null, levels: []};
+    var levelStats = {}, levelStart = new Date(), rps = searchSpec.startRps, fail = null;
+    var nextRps = function(passed) {
+        if (searchSpec.stepRps != null) {
+            return (passed && rps < searchSpec.maxRps) ? Math.min(rps + searchSpec.stepRps, searchSpec.maxRps) : null;
+        }
+        if (!passed) {
+            fail = rps;
+        } else if (fail == null) {
+            return (rps < searchSpec.maxRps) ? Math.min(rps * 2, searchSpec.maxRps) : null;
+        }
+        var pass = (search.maxPassingRps == null) ? 0 : search.maxPassingRps;
+        if (fail - pass <= fail * searchSpec.resolution) {
+            return null;
+        }
+        if (search.maxPassingRps == null && (pass + fail) / 2 < searchSpec.minRps) {
+            return null;
+        }
+        return (pass + fail) / 2;
+    }
+    spec.reportFun = function(stats, status) {
+        // Accumulate this reporting interval's statistics into the current level
+        for (var i in stats) {
+            if (levelStats[i] == null) {
+                levelStats[i] = new (statsClassFromString(stats[i].interval.type))(stats[i].interval.params);
+            }
+            levelStats[i].merge(stats[i].interval);
+        }
+        if (reportFun != null) {
+            reportFun(stats, status);
+        }
+
+        var elapsed = (new Date() - levelStart) / 1000;
+        if (elapsed >= searchSpec.holdTime && rps != null) {
+            var passed = searchSpec.criteria(levelStats) ? true : false;
+            search.levels.push(levelResult(rps, elapsed, levelStats, passed));
+            if (passed && rps > search.maxPassingRps) {
+                search.maxPassingRps = rps;
+            }
+            rps = nextRps(passed);
+            if (rps == null) {
+                test.stop();
+            } else {
+                test.setRate(rps);
+            }
+            levelStats = {};
+            levelStart = new Date();
+        }
+    }
+
+    test = addTest(spec);
+    test.search = search;
+    addReportSection(spec.name + ': Search results', function() { return searchSummary(search) });
+    return test;
+}
+
 /** Start all tests were added via addTest(spec) and addRamp(spec). When all tests complete, callback will
     be called. If stayAliveAfterDone is true, then the nodeload HTTP server will remain running. Otherwise,
     the server will automatically terminate once the tests are finished. */
@@ -187,12 +544,28 @@ runTest = function(spec, callback, stayAliveAfterDone) {
     return t;
 }
 
-/** Stop all tests and shutdown nodeload */
+/** Pause all the running tests until resumeTests() is called. Requests in progress are allowed to finish.
+    Time spent paused counts towards each test's timeLimit. The pause is marked in the stats log and charts. */
+pauseTests = function() {
+    for (var i in tests) {
+        tests[i].pause();
+    }
+    logTestEvent('pause');
+}
+
+resumeTests = function() {
+    for (var i in tests) {
+        tests[i].resume();
+    }
+    logTestEvent('resume');
+}
+
+/** Stop all tests and shutdown nodeload. The exit status is 1 if any test failed its thresholds. */
 endTest = function() {
     qputs("\nFinishing...");
     closeAllLogs();
     stopHttpServer();
-    setTimeout(process.exit, 500);
+    setTimeout(function() { process.exit(thresholdsBreached ? 1 : 0) }, 500);
 }
 
 /** Use traceableRequest instead of built-in node.js `http.Client.request()` when tracking the "uniques" statistic. 
@@ -213,6 +586,7 @@ traceableRequest = function(client, method, path, headers, body) {
     // the only way to reliably get all the headers going over the wire.
     request.headerLines = request.output.slice();
     request.path = path;
+    request.method = method;
 
     if (body != null) {
         request.write(body);
@@ -222,6 +596,35 @@ traceableRequest = function(client, method, path, headers, body) {
     return request;
 }
 
+/** Creates an http.Client connected to host:port. If secure is true, the client uses HTTPS with the options in
+    tlsConf (see TEST_DEFAULTS.tlsConf). If handshakes, which is generally a stats.js#Histogram, is not null,
+    the number of milliseconds taken by each TLS handshake is written to it. If cookies, a cookies.js#CookieJar,
+    is given, the client sends and stores the cookies in it. */
+createHttpClient = function(port, host, secure, tlsConf, handshakes, cookies) {
+    if (!secure) {
+        var client = http.createClient(port, host);
+        return (cookies != null) ? cookies.attach(client, host, false) : client;
+    }
+
+    tlsConf = tlsConf || {};
+    var credentials = crypto.createCredentials({ca: tlsConf.ca, cert: tlsConf.cert, key: tlsConf.key});
+    client = http.createClient(port, host, true, credentials);
+    var connected = null;
+    client.on('connect', function() {
+        connected = new Date();
+    });
+    client.on('secure', function() {
+        if (handshakes != null && connected != null) {
+            handshakes.put(new Date() - connected);
+        }
+        if (tlsConf.rejectUnauthorized !== false && !client.verifyPeer()) {
+            client.emit('error', new Error('TLS error: certificate of ' + host + ' could not be verified'));
+            client.destroy();
+        }
+    });
+    return (cookies != null) ? cookies.attach(client, host, true) : client;
+}
+
 /** Use a predefined configuration type. 'short' and 'long' are supported. In a 'short' duration test,
     stats reported every 2 seconds. In a 'long' duration test, stats are reported every 10 seconds. */
 setTestConfig = function(configType) {
@@ -242,12 +645,172 @@ setTestConfig = function(configType) {
 // Private methods
 // =================
 
+/** Returns a requestGenerator for def, which is spec or an entry of spec.mix. If def has no requestGenerator,
+    the request is made from its method, path, requestData and headers, or else those of spec. The path,
+    requestData and headers are templates (see templates.js#compileTemplate), in which {{seq}} is nextSeq(). */
+function requestFunction(spec, def, nextSeq) {
+    if (def.requestGenerator != null) {
+        return def.requestGenerator;
+    }
+    var method = def.method || spec.method;
+    var templates = requestTemplates(def.path || spec.path, (def.requestData != null) ? def.requestData : spec.requestData,
+                                     def.headers || spec.headers);
+    var file = def.requestFile || spec.requestFile, fileLength = null;
+    if (file != null && method.search('^(PUT|POST)$') != -1) {
+        try {
+            fileLength = fs.statSync(file).size;
+        } catch (e) {
+            qputs("WARN: could not read requestFile " + file + ": " + (e.message || e));
+        }
+    }
+    return function(client, context) {
+        var vars = {seq: nextSeq()};
+        var headers = { 'host': spec.host };
+        for (var name in templates.headers) {
+            headers[name] = templates.headers[name](context, vars);
+        }
+        if (fileLength != null) {
+            headers['content-length'] = fileLength;
+        } else if ((templates.requestData != null) && (method.search('^(PUT|POST)$') != -1)) {
+            var body = templates.requestData(context, vars);
+        }
+        var request = traceableRequest(client, method, templates.path(context, vars), headers, body);
+        if (fileLength != null) {
+            request.bodyFile = file;
+            request.bodyLength = fileLength;
+        }
+        return request;
+    }
+}
+
+/** Compiles the path, requestData and headers of a request into templates */
+function requestTemplates(path, requestData, headers) {
+    var templates = {path: compileTemplate(String(path)), requestData: null, headers: {}};
+    if (requestData != null) {
+        templates.requestData = (typeof requestData == "string") ? compileTemplate(requestData) : function() { return requestData };
+    }
+    for (var name in headers) {
+        templates.headers[name.toLowerCase()] = compileTemplate(String(headers[name]));
+    }
+    return templates;
+}
+
+/** Returns the loop for an entry of spec.mix, which makes the entry's request or runs its scenario, and
+    records the entry's stats. */
+function mixEntryLoop(spec, entry, stats, redirects, nextSeq) {
+    if (entry.scenario != null) {
+        var loop = scenarioLoop(entry.scenario, {
+            timeout: spec.requestTimeout,
+            thinkTime: (entry.thinkTime != null) ? entry.thinkTime : spec.thinkTime,
+            redirects: redirects,
+            // The steps of a scenario in a mix are checked and their failures logged, but they have no stats of their own
+            wrapStep: function(step, loop) {
+                var stepStats = {'failed-checks': stats['failed-checks'], 'bytes-received': stats['bytes-received'],
+                                 'bytes-sent': stats['bytes-sent']};
+                for (var key in PHASE_STATS) {
+                    stepStats[key] = stats[key];
+                }
+                return monitorStepLoop(spec, step, stepStats, loop);
+            }
+        });
+        return monitorNamedStatsLoop(entry.name, stats, loop);
+    }
+    var request = requestGeneratorLoop(requestFunction(spec, entry, nextSeq), spec.requestTimeout, redirects);
+    return monitorStepLoop(spec, entry, stats, request);
+}
+
+/** Returns the fraction of the iterations of a test that ran each entry of its mix, and the fraction set by
+    the entry's weight. picked is the test's 'mix' stat. */
+function mixSummary(mix, picked) {
+    var counts = picked.cumulative, total = 0, out = {};
+    var percent = function(fraction) { return (100 * fraction).toFixed(1) + '%' };
+    mix.forEach(function(entry) { total += entry.weight });
+    mix.forEach(function(entry) {
+        var count = counts.items[entry.name] || 0;
+        out[entry.name] = percent((counts.length > 0) ? count / counts.length : 0) + ' (target ' + percent(entry.weight / total) + ')';
+    });
+    return out;
+}
+
+/** Returns true if spec, or any step of its scenario or entry of its mix, has checks */
+function hasChecks(spec) {
+    var parts = (spec.scenario || []).concat(spec.mix || []);
+    (spec.mix || []).forEach(function(entry) { parts = parts.concat(entry.scenario || []) });
+    return spec.checks != null || parts.some(function(part) { return part.checks != null });
+}
+
+/** Returns the client a virtual user uses to follow a redirect to another server. The client is reused for later
+    redirects to the same server, and shares the user's cookies. */
+function redirectClient(spec, host, port, secure, user) {
+    var key = (secure ? 'https://' : 'http://') + host + ':' + port;
+    user.redirectClients = user.redirectClients || {};
+    if (user.redirectClients[key] == null) {
+        var cookies = (user.context != null) ? user.context.cookies : null;
+        user.redirectClients[key] = createHttpClient(port, host, secure, spec.tlsConf, null, cookies);
+    }
+    return user.redirectClients[key];
+}
+
+/** Wraps the loop for a step of spec.scenario, or a request in spec.mix, to run its checks and extractors,
+    record its latency, result codes, phases and bytes in stats, and log its failures. */
+function monitorStepLoop(spec, step, stats, loop) {
+    loop = monitorBytesLoop(stats, loop);
+    var checks = (spec.checks || []).concat(step.checks || []);
+    if (checks.length > 0 || step.extract != null) {
+        loop = monitorChecksLoop(checks, step.extract, stats['failed-checks'], loop);
+    }
+    loop = monitorNamedStatsLoop(step.name, stats, loop);
+    loop = monitorPhasesLoop(requestPhases(stats), loop);
+    return monitorHttpFailuresLoop(spec.successCodes, loop);
+}
+
+/** Wraps loop to count the bytes sent and received in the 'bytes-sent' and 'bytes-received' stats, if set */
+function monitorBytesLoop(stats, loop) {
+    if (stats['bytes-received'] != null) {
+        loop = monitorByteReceivedLoop(stats['bytes-received'], loop);
+    }
+    if (stats['bytes-sent'] != null) {
+        loop = monitorBytesSentLoop(stats['bytes-sent'], loop);
+    }
+    return loop;
+}
+
+/** Returns the phases argument of evloops.js#monitorPhasesLoop for the phase stats in stats (see PHASE_STATS) */
+function requestPhases(stats) {
+    var phases = {};
+    for (var key in PHASE_STATS) {
+        if (stats[key] != null) {
+            phases[PHASE_STATS[key].phase] = stats[key];
+        }
+    }
+    return phases;
+}
+
+/** Wraps loop to record its latency and result codes in the stats 'latency: <name>' and 'result-codes: <name>' */
+function monitorNamedStatsLoop(name, stats, loop) {
+    if (stats['latency: ' + name] != null) {
+        loop = monitorLatenciesLoop(stats['latency: ' + name], loop);
+    }
+    if (stats['result-codes: ' + name] != null) {
+        loop = monitorResultsLoop(stats['result-codes: ' + name], loop);
+    }
+    return loop;
+}
+
 /** Returns a callback function that should be called at the end of the load test. It generates the
     summary file and calls the user specified callback function. It sets a timer for terminating 
     the nodeload process if no new tests are started by the user specified callback. */
 function testsComplete(callback, stayAliveAfterDone) {
     return function() {
         qprint('done.\n');
+        for (var i in tests) {
+            if (tests[i].testspec.thresholds != null && tests[i].verdict == null && tests[i].done) {
+                tests[i].verdict = checkThresholds(tests[i], true);
+            }
+            if (tests[i].verdict != null && tests[i].verdict.length > 0) {
+                thresholdsBreached = true;
+            }
+        }
         summaryReport(summaryStats);
         if (SLAVE_CONFIG == null && !stayAliveAfterDone) {
             // End process if not a slave and no more tests are started within 3 seconds.
@@ -259,6 +822,265 @@ function testsComplete(callback, stayAliveAfterDone) {
     }
 }
 
+/** Returns a copy of spec.stages with the start and end time, in seconds from the beginning of the test, and
+    the targetRps and numClients at the start (from) and end (to) of each stage. */
+function planStages(spec) {
+    var plan = [], time = 0;
+    var from = {targetRps: spec.targetRps, numClients: spec.numClients};
+    for (var i = 0; i < spec.stages.length; i++) {
+        var stage = spec.stages[i];
+        var to = {
+            targetRps: (stage.targetRps != null) ? stage.targetRps : from.targetRps,
+            numClients: (stage.numClients != null) ? stage.numClients : from.numClients
+        };
+        if (from.targetRps == Infinity && to.targetRps < Infinity) {
+            from = {targetRps: 0, numClients: from.numClients};
+        }
+        plan.push({
+            name: (stage.name != null) ? stage.name : 'stage ' + (i+1),
+            start: time,
+            end: time + stage.duration,
+            from: from,
+            to: to,
+            setsClients: (stage.numClients != null)
+        });
+        time += stage.duration;
+        from = to;
+    }
+    return plan;
+}
+
+/** Returns a function that sets the rate, concurrency and current stage name of the test job, which was
+    returned by addTest(), according to the stages returned by planStages(). The concurrency is only changed
+    by stages that set numClients. The function should be called periodically once the test starts. */
+function stagesUpdater(job, stages) {
+    var start = null;
+    var interpolate = function(from, to, fraction) {
+        return (from == to) ? to : from + (to - from) * fraction;
+    }
+    return function() {
+        if (start == null) {
+            start = new Date();
+        }
+        var elapsed = (new Date() - start) / 1000;
+        for (var i = 0; i < stages.length; i++) {
+            var stage = stages[i];
+            if (elapsed < stage.end || i == stages.length-1) {
+                var fraction = (stage.end > stage.start) ? Math.min(1, (elapsed - stage.start) / (stage.end - stage.start)) : 1;
+                job.stage = stage.name;
+                job.setRate(interpolate(stage.from.targetRps, stage.to.targetRps, fraction));
+                if (stage.setsClients) {
+                    job.setConcurrency(Math.round(interpolate(stage.from.numClients, stage.to.numClients, fraction)));
+                }
+                return;
+            }
+        }
+    }
+}
+
+/** Returns the result of a level of a search started by addSearch() */
+function levelResult(rps, elapsed, stats, passed) {
+    var count = 0;
+    for (var i in stats) {
+        count = Math.max(count, stats[i].length);
+    }
+    var result = {
+        targetRps: Number(rps.toFixed(1)),
+        actualRps: Number((count / elapsed).toFixed(1)),
+        passed: passed
+    };
+    if (stats['latency'] != null && stats['latency'].length > 0) {
+        result.latency = stats['latency'].summary();
+    }
+    return result;
+}
+
+/** Returns the results of a search started by addSearch() in a form suitable for the summary report */
+function searchSummary(search) {
+    var out = {'max passing rps': (search.maxPassingRps != null) ? search.maxPassingRps : 'none (no rate passed)'};
+    for (var i in search.levels) {
+        var level = search.levels[i];
+        out[level.targetRps + ' rps'] = (level.passed ? 'pass' : 'FAIL') + ', actual rps: ' + level.actualRps +
+                (level.latency != null ? ', latency: ' + JSON.stringify(level.latency) : '');
+    }
+    return out;
+}
+
+/** Returns a list of descriptions of each way that test, returned by addTest(), does not meet the criteria in
+    test.testspec.thresholds. See TEST_DEFAULTS. minRps is only checked if final is true. */
+function checkThresholds(test, final) {
+    var thresholds = test.testspec.thresholds, stats = test.stats, failures = [];
+    var latency = (stats['latency'] != null) ? stats['latency'].cumulative : null;
+    var results = (stats['result-codes'] != null) ? stats['result-codes'].cumulative : null;
+
+    if (thresholds.latency != null) {
+        if (latency == null) {
+            failures.push("latency thresholds require the 'latency' stat");
+        } else {
+            var summary = latency.summary();
+            for (var i in thresholds.latency) {
+                var pct = i.match(/^([\d.]+)%$/);
+                var value = (pct != null) ? latency.percentile(Number(pct[1]) / 100) : summary[i];
+                if (!(value <= thresholds.latency[i])) {
+                    failures.push("latency " + i + " was " + value + " (limit " + thresholds.latency[i] + ")");
+                }
+            }
+        }
+    }
+    if (thresholds.errorRate != null || thresholds.resultCodes != null) {
+        if (results == null) {
+            failures.push("errorRate and resultCodes thresholds require the 'result-codes' stat");
+        } else {
+            var errors = 0;
+            for (var code in results.items) {
+                if (code == 'total' || code == 'rps') {
+                    continue; // skip the fields set by ResultsCounter.summary()
+                }
+                // Failures without a response, such as 'timeout' or 'ECONNREFUSED', are always errors
+                var success = isNaN(Number(code)) ? false :
+                        (test.testspec.successCodes != null) ? 
+                        (test.testspec.successCodes.indexOf(Number(code)) >= 0) :
+                        (Number(code) > 0 && Number(code) < 400);
+                if (!success) {
+                    errors += results.items[code];
+                }
+            }
+            var errorRate = (results.length > 0) ? errors / results.length : 0;
+            if (thresholds.errorRate != null && errorRate > thresholds.errorRate) {
+                failures.push("error rate was " + errorRate.toFixed(4) + " (limit " + thresholds.errorRate + ")");
+            }
+            for (var i in thresholds.resultCodes) {
+                var count = results.items[i] || 0;
+                if (count > thresholds.resultCodes[i]) {
+                    failures.push(count + " responses with code " + i + " (limit " + thresholds.resultCodes[i] + ")");
+                }
+            }
+        }
+    }
+    if (thresholds.minRps != null && final) {
+        var total = (results != null) ? results.length : (latency != null) ? latency.length : null;
+        if (total == null || test.startTime == null) {
+            failures.push("minRps threshold requires the 'latency' or 'result-codes' stat");
+        } else {
+            var elapsed = (new Date() - test.startTime) / 1000 - test.delay;
+            var rps = (elapsed > 0) ? total / elapsed : 0;
+            if (rps < thresholds.minRps) {
+                failures.push("rps was " + rps.toFixed(1) + " (limit " + thresholds.minRps + ")");
+            }
+        }
+    }
+    return failures;
+}
+
+/** Stops all tests if test, returned by addTest(), does not meet its thresholds. The test is marked failed. */
+function abortOnBreach(test) {
+    if (test.verdict != null)
+        return;
+    var failures = checkThresholds(test, false);
+    if (failures.length > 0) {
+        qputs("\nWARN: test " + test.testspec.name + " breached thresholds; stopping all tests: " + failures.join("; "));
+        failures.push("aborted");
+        test.verdict = failures;
+        SCHEDULER.stopAll();
+    }
+}
+
+/** Returns the result of checking the thresholds of test in a form suitable for the summary report */
+function thresholdsSummary(test) {
+    var failures = (test.verdict != null) ? test.verdict : checkThresholds(test, false);
+    var out = {result: (failures.length > 0) ? 'FAIL' : (test.verdict != null) ? 'PASS' : 'in progress'};
+    for (var i = 0; i < failures.length; i++) {
+        out['breach ' + (i+1)] = failures[i];
+    }
+    return out;
+}
+
+/** Writes an entry {"ts": time, "event": event, ...fields} to the stats log. Events such as pauses are
+    listed in the log among the periodic statistics. */
+function logTestEvent(event, fields) {
+    var entry = {ts: new Date(), event: event};
+    for (var i in fields) {
+        entry[i] = fields[i];
+    }
+    STATS_LOG.put(JSON.stringify(entry) + ",");
+}
+
+/** Adds a section, which lists the fields of the return value of summaryFun(), to the summary report */
+function addReportSection(name, summaryFun) {
+    addReportStat({name: name, cumulative: { summary: summaryFun }});
+}
+
+/** Returns a summary of the current load generated by test, which was returned by addTest() */
+function testStatus(test) {
+    return {
+        name: test.testspec.name,
+        targetRps: test.rps,
+        numClients: test.concurrency,
+        maxInFlight: test.open ? test.maxInFlight : undefined,
+        stage: test.stage,
+        paused: test.paused,
+        running: test.started && !test.done
+    };
+}
+
+/** Handler for all the requests to /tests. See http.js#startHttpServer(). GET /tests lists the tests and
+    their current load. POST /tests/<name> with a JSON body such as {"targetRps": 100, "numClients": 20}
+    changes the rate and/or concurrency of the named test while it is running. POSTs from other hosts must
+    be signed (see remote.js#verifyControlRequest()), or get a 401 or 403 response. */
+function serveTests(url, req, res) {
+    var send = function(status, obj) {
+        var body = (obj == null) ? "" : JSON.stringify(obj);
+        res.writeHead(status, {"Content-Type": "application/json", "Content-Length": Buffer.byteLength(body, 'utf8')});
+        res.end(body, 'utf8');
+    }
+    if (req.method == "GET" && url == "/tests") {
+        send(200, tests.map(testStatus));
+    } else if (req.method == "POST" && url.match("^/tests/")) {
+        var name = querystring.unescape(url.substring("/tests/".length)), test = null;
+        for (var i in tests) {
+            if (tests[i].testspec.name == name) {
+                test = tests[i];
+            }
+        }
+        if (test == null) {
+            send(404, {error: "No such test: " + name});
+            return;
+        }
+
+        var body = '';
+        req.setEncoding('utf8');
+        req.on('data', function(chunk) { body += chunk });
+        req.on('end', function() {
+            var authError = verifyControlRequest(req, body);
+            if (authError != null) {
+                send((REMOTE_SECRET == null) ? 403 : 401, {error: authError});
+                return;
+            }
+            try {
+                var update = JSON.parse(body);
+            } catch(e) {
+                send(400, {error: "Body must be JSON, e.g. {\"targetRps\": 100, \"numClients\": 20}"});
+                return;
+            }
+            var rps = Number(update.targetRps), clients = Number(update.numClients);
+            if ((update.targetRps != null && !(rps >= 0)) || (update.numClients != null && !(clients >= 1))) {
+                send(400, {error: "targetRps must be >= 0 and numClients must be >= 1"});
+                return;
+            }
+            if (update.targetRps != null) {
+                test.setRate(rps);
+            }
+            if (update.numClients != null) {
+                test.setConcurrency(clients);
+            }
+            qputs("\nChanged load of test " + name + ": " + body);
+            send(200, testStatus(test));
+        });
+    } else {
+        send(405);
+    }
+}
+
 /** Copy the value from defaults into spec for all fields that are non-existent or null. */
 function defaults(spec, defaults) {
     for (var i in defaults) {
@@ -275,50 +1097,670 @@ if (typeof TEST_CONFIG == "undefined") {
     setTestConfig(TEST_CONFIG);
 }
 
-// -----------------------------------------
-// Event-based looping
-// -----------------------------------------
-//
-// Nodeload uses the node.js event loop to schedule iterations of a particular function. In order for this
-// to work, the function must cooperate by accepting a loopFun as its first argument and call loopFun() when
-// it completes each iteration. This is refered to as "event-based looping" in nodeload.
+// ------------------------------------
+// Connections
+// ------------------------------------
 //
-// This file defines the generic ConditionalLoop for looping on an arbitrary function, and a number of
-// other event based loops for predefined tasks, such as track the latency of the loop body.
+// A ConnectionPool holds the connections (http.Clients) of a virtual user, and decides which one each of
+// its requests is sent on. This models clients that keep one connection alive, open a new connection for
+// each request, reconnect every so often, or spread their requests over several connections like a browser.
 //
 
-// Wraps an arbitrary function to be executed in a loop. Each iteration of the loop is scheduled in
-// the node.js event loop using process.nextTick(), which allows other events in the loop to be handled
-// as the loop executes.
-//
-// @param fun   any function that:
-//              1. accepts two parameters: loopFun and args
-//              2. calls loopFun when it finishes
-//              Use funLoop() to wrap any arbitrary function to make it usable in a ConditionalLoop
-// @param args  passed as-is as the second argument to fun
-// @param conditions    a list of functions that are called at the beginning of every loop. If any 
-//                      function returns false, the loop terminates.
-// @param delay number of seconds before the first iteration of fun is executed
-ConditionalLoop = function(fun, args, conditions, delay) {
-    this.fun = fun;
-    this.args = args;
-    this.conditions = (conditions == null) ? [] : conditions;
-    this.delay = delay;
-    this.stopped = true;
-    this.callback = null;
+/** CONNECTION_DEFAULTS defines all of the parameters that can be set in a connection policy, which is passed
+    to new ConnectionPool(spec, ...) or set as the "connection" of a test spec (see TEST_DEFAULTS in api.js).
+    The policies 'persistent' and 'per-request' are short for {} and {maxRequests: 1}. */
+var CONNECTION_DEFAULTS = {
+    maxRequests: Infinity,      // Number of requests to send on a connection before closing it and opening a new one
+    maxAge: Infinity,           // Seconds to use a connection for before closing it and opening a new one
+    poolSize: 1                 // Number of connections each virtual user keeps open. Requests use them in turn.
+};
+
+/** A pool of connections for one virtual user. newClient() is called to create each connection. If stats is
+    given, the number of milliseconds taken to open each connection is written to stats.connectTime, and 1 is
+    written to stats.reconnects for each connection opened after the first, whether because of the policy or
+    because the previous connection was closed. */
+ConnectionPool = function(spec, newClient, stats) {
+    if (spec == null || spec == 'persistent') {
+        spec = {};
+    } else if (spec == 'per-request') {
+        spec = {maxRequests: 1};
+    } else if (typeof spec != "object") {
+        qputs("WARN: unknown connection policy '" + spec + "'; using 'persistent'.");
+        spec = {};
+    }
+    defaults(spec, CONNECTION_DEFAULTS);
+    this.maxRequests = spec.maxRequests;
+    this.maxAge = spec.maxAge;
+    this.poolSize = Math.max(1, spec.poolSize);
+    this.newClient = newClient;
+    this.stats = stats || {};
+    this.connections = [];      // {client, requests, created} for each connection
+    this.index = -1;            // The connection used by the last request
+    this.connected = false;     // Whether any connection has been opened yet
 }
-ConditionalLoop.prototype = {
-    /** Calls each function in ConditionalLoop.conditions. Returns false if any function returns false */
-    checkConditions: function() {
-        if (this.stopped) {
-            return false;
+ConnectionPool.prototype = {
+    /** Returns the client to send the next request on. A connection that has reached maxRequests or maxAge
+        is closed and replaced first. */
+    take: function() {
+        this.index = (this.index + 1) % this.poolSize;
+        var conn = this.connections[this.index];
+        if (conn != null && (conn.requests >= this.maxRequests || new Date() - conn.created >= this.maxAge * 1000)) {
+            conn.client.destroy();
+            conn = null;
         }
-        for (var i = 0; i < this.conditions.length; i++) {
-            if (!this.conditions[i]()) {
-                return false;
-            }
+        if (conn == null) {
+            conn = {client: this.watch(this.newClient()), requests: 0, created: new Date()};
+            this.connections[this.index] = conn;
         }
-        return true;
+        conn.requests++;
+        return conn.client;
+    },
+    /** Closes all of the connections */
+    close: function() {
+        this.connections.forEach(function(conn) { conn.client.destroy() });
+        this.connections = [];
+    },
+    /** Times each connection the client opens. The client connects when a request is made while it is closed. */
+    watch: function(client) {
+        var pool = this, request = client.request, connecting = null;
+        client.request = function(method, path, headers) {
+            if (connecting == null && (client.readyState == null || client.readyState == 'closed')) {
+                connecting = new Date();
+            }
+            return request.apply(client, arguments);
+        };
+        client.on('connect', function() {
+            if (pool.stats.connectTime != null && connecting != null) {
+                pool.stats.connectTime.put(new Date() - connecting);
+            }
+            if (pool.stats.reconnects != null && pool.connected) {
+                pool.stats.reconnects.put(1);
+            }
+            pool.connected = true;
+            connecting = null;
+        });
+        return client;
+    }
+}
+// ------------------------------------
+// Cookies
+// ------------------------------------
+//
+// A CookieJar keeps the cookies set by the responses to a virtual user's requests, and adds them to its
+// later requests the way a browser would, taking into account the domain, path, expiry and secure flag of
+// each cookie.
+//
+
+/** An empty set of cookies. Use attach(client, host, secure) to have the cookies sent and stored by an
+    http.Client connected to host. */
+CookieJar = function() {
+    this.cookies = [];
+}
+CookieJar.prototype = {
+    /** Wraps client.request() so that each request includes the cookies that match host and the path of the
+        request in its Cookie header, and the cookies set by its response are stored in this jar. */
+    attach: function(client, host, secure) {
+        var jar = this, request = client.request;
+        client.request = function(method, path, headers) {
+            headers = headers || {};
+            var cookie = jar.header(host, path, secure);
+            if (cookie != null && headers['cookie'] == null) {
+                headers['cookie'] = cookie;
+            }
+            var req = request.call(client, method, path, headers);
+            req.on('response', function(res) {
+                jar.put(res.headers['set-cookie'], host, path);
+            });
+            return req;
+        };
+        return client;
+    },
+    /** Stores the cookies in setCookie, the value of a Set-Cookie response header (a string or list of
+        strings), for a request to path on host. An expired cookie removes any cookie it replaces. */
+    put: function(setCookie, host, path) {
+        if (setCookie == null) {
+            return;
+        }
+        // node.js may join several Set-Cookie headers with ", ", which also appears in expiry dates
+        var lines = (setCookie instanceof Array) ? setCookie : String(setCookie).split(/,(?=\s*[^;=\s,]+=)/);
+        for (var i = 0; i < lines.length; i++) {
+            var cookie = parseCookie(lines[i], host, path);
+            if (cookie == null) {
+                continue;
+            }
+            this.cookies = this.cookies.filter(function(c) {
+                return c.name != cookie.name || c.domain != cookie.domain || c.path != cookie.path;
+            });
+            if (cookie.expires == null || cookie.expires > new Date().getTime()) {
+                this.cookies.push(cookie);
+            }
+        }
+    },
+    /** Returns the value of the Cookie header for a request to path on host, or null if no cookies match */
+    header: function(host, path, secure) {
+        var now = new Date().getTime();
+        host = String(host).toLowerCase();
+        path = cookieRequestPath(path);
+        this.cookies = this.cookies.filter(function(c) { return c.expires == null || c.expires > now });
+        var matching = this.cookies.filter(function(c) {
+            return domainMatches(host, c) && pathMatches(path, c.path) && (secure || !c.secure);
+        });
+        if (matching.length == 0) {
+            return null;
+        }
+        // Send more specific paths first
+        matching.sort(function(a, b) { return b.path.length - a.path.length });
+        return matching.map(function(c) { return c.name + '=' + c.value }).join('; ');
+    },
+    /** Returns the value of the cookie with the given name, or undefined */
+    get: function(name) {
+        for (var i = 0; i < this.cookies.length; i++) {
+            if (this.cookies[i].name == name) {
+                return this.cookies[i].value;
+            }
+        }
+    },
+    clear: function() {
+        this.cookies = [];
+    }
+}
+
+// =================
+// Private methods
+// =================
+
+/** Parses a Set-Cookie header line into {name, value, domain, hostOnly, path, expires, secure} */
+function parseCookie(line, host, path) {
+    var parts = String(line).split(';');
+    var eq = parts[0].indexOf('=');
+    if (eq <= 0) {
+        return null;
+    }
+    var cookie = {
+        name: parts[0].substring(0, eq).trim(),
+        value: parts[0].substring(eq+1).trim(),
+        domain: String(host).toLowerCase(),
+        hostOnly: true,
+        path: defaultCookiePath(cookieRequestPath(path)),
+        expires: null,
+        secure: false
+    };
+    var maxAge = null;
+    for (var i = 1; i < parts.length; i++) {
+        var attr = parts[i].split('='), key = attr[0].trim().toLowerCase(), val = attr.slice(1).join('=').trim();
+        if (key == 'domain' && val != '') {
+            var domain = val.replace(/^\./, '').toLowerCase();
+            if (cookie.domain != domain && !endsWith(cookie.domain, '.' + domain)) {
+                return null;
+            }
+            cookie.domain = domain;
+            cookie.hostOnly = false;
+        } else if (key == 'path' && val.charAt(0) == '/') {
+            cookie.path = val;
+        } else if (key == 'expires') {
+            var expires = Date.parse(val);
+            if (!isNaN(expires)) {
+                cookie.expires = expires;
+            }
+        } else if (key == 'max-age' && val.match(/^-?\d+$/)) {
+            maxAge = Number(val);
+        } else if (key == 'secure') {
+            cookie.secure = true;
+        }
+    }
+    if (maxAge != null) {
+        cookie.expires = new Date().getTime() + maxAge * 1000;
+    }
+    return cookie;
+}
+
+function cookieRequestPath(path) {
+    path = String(path || '/').split('?')[0];
+    return (path.charAt(0) == '/') ? path : '/';
+}
+
+function defaultCookiePath(path) {
+    var i = path.lastIndexOf('/');
+    return (i <= 0) ? '/' : path.substring(0, i);
+}
+
+function domainMatches(host, cookie) {
+    return (host == cookie.domain) || (!cookie.hostOnly && endsWith(host, '.' + cookie.domain));
+}
+
+function pathMatches(path, cookiePath) {
+    if (path == cookiePath) {
+        return true;
+    }
+    return path.indexOf(cookiePath) == 0 &&
+           (cookiePath.charAt(cookiePath.length-1) == '/' || path.charAt(cookiePath.length) == '/');
+}
+
+function endsWith(s, suffix) {
+    return s.length >= suffix.length && s.substring(s.length - suffix.length) == suffix;
+}
+// ------------------------------------
+// Data feeders
+// ------------------------------------
+//
+// A Feeder reads rows from a CSV or JSON-lines file for data driven tests, e.g. a list of user names and
+// passwords to log in with. Files are read as a stream and only up to FEEDER_DEFAULTS.bufferSize rows are
+// kept in memory, so they can be larger than the memory available to nodeload.
+//
+
+/** FEEDER_DEFAULTS defines all of the parameters that can be set in a feeder specification, which is passed
+    to new Feeder(spec) or set as the "feeder" of a test spec (see TEST_DEFAULTS in api.js). */
+var FEEDER_DEFAULTS = {
+    file: null,                 // The file to read rows from
+    format: null,               // 'csv' or 'jsonl'. If null, 'jsonl' is used for files ending in .jsonl, .ndjson
+                                // or .json, and 'csv' otherwise.
+    columns: null,              // For CSV files, the list of column names. If null, the first line of the file
+                                // is a header with the column names. Each row is an object mapping column names to
+                                // values. Each line of a JSON-lines file is a row.
+    strategy: 'sequential',     // How rows are handed out:
+                                //   - 'sequential': in order, and the test stops when the rows run out
+                                //   - 'circular': in order, starting over at the end of the file
+                                //   - 'random': in random order, choosing from bufferSize rows at a time
+                                //   - 'unique': each virtual user (client) gets its own row, which it keeps. The
+                                //     test stops if there are more users than rows.
+    bufferSize: 1000,           // Maximum number of rows to read ahead. If the whole file fits, it is only read once.
+    partition: null             // {index, count}: only use the rows whose number modulo count is index. When a test
+                                // runs on remote slaves, each slave uses a different partition of the file.
+};
+
+/** Reads rows from spec.file (see FEEDER_DEFAULTS). Call next(callback) to get each row. */
+Feeder = function(spec) {
+    defaults(spec, FEEDER_DEFAULTS);
+    this.file = spec.file;
+    this.format = (spec.format != null) ? spec.format : (spec.file.match(/\.(jsonl|ndjson|json)$/) ? 'jsonl' : 'csv');
+    this.columns = spec.columns;
+    // Whether the first line of the file names the columns. It is skipped on every pass through the file.
+    this.header = (this.format == 'csv' && spec.columns == null);
+    this.strategy = spec.strategy;
+    this.bufferSize = spec.bufferSize;
+    this.partition = spec.partition;
+    this.rows = [];             // Rows read ahead
+    this.all = null;            // All the rows of the partition, if they fit in bufferSize
+    this.firstPass = [];        // The rows read so far in the first pass through the file, while they fit
+    this.waiting = [];          // Callbacks waiting for a row
+    this.stream = null;
+    this.eof = false;
+    this.passes = 0;
+    if (['sequential', 'circular', 'random', 'unique'].indexOf(this.strategy) < 0) {
+        qputs("WARN: unknown feeder strategy '" + this.strategy + "'; using 'sequential'.");
+        this.strategy = 'sequential';
+    }
+    this.open();
+}
+Feeder.prototype = {
+    /** Calls callback(row) with the next row, as soon as one has been read. callback(null) is called if
+        there are no more rows. */
+    next: function(callback) {
+        var row = this.take();
+        if (row !== undefined) {
+            callback(row);
+        } else if (this.exhausted()) {
+            callback(null);
+        } else {
+            this.waiting.push(callback);
+            this.fill();
+        }
+    },
+    close: function() {
+        if (this.stream != null) {
+            this.stream.destroy();
+            this.stream = null;
+        }
+    },
+    /** Returns true if the strategy starts over at the end of the file */
+    cycles: function() {
+        return this.strategy == 'circular' || this.strategy == 'random';
+    },
+    /** Returns true if there are no rows left to read */
+    exhausted: function() {
+        return this.eof && this.rows.length == 0 && (!this.cycles() || (this.all != null && this.all.length == 0));
+    },
+    /** Returns the next row if one is available, or undefined */
+    take: function() {
+        if (this.all != null) {
+            if (this.all.length == 0) {
+                return undefined;
+            } else if (this.strategy == 'random') {
+                return this.all[Math.floor(Math.random() * this.all.length)];
+            }
+            this.index = (this.index + 1) % this.all.length;
+            return this.all[this.index];
+        }
+        if (this.rows.length == 0) {
+            return undefined;
+        }
+        var i = (this.strategy == 'random') ? Math.floor(Math.random() * this.rows.length) : 0;
+        var row = this.rows[i];
+        if (i == 0) {
+            this.rows.shift();
+        } else {
+            this.rows[i] = this.rows.pop();
+        }
+        this.fill();
+        return row;
+    },
+    /** Reads more rows if there is room for them */
+    fill: function() {
+        if (this.all != null || this.rows.length >= this.bufferSize) {
+            return;
+        }
+        if (this.stream == null && this.eof && this.cycles()) {
+            this.open();
+        } else if (this.stream != null && this.paused) {
+            this.paused = false;
+            this.stream.resume();
+        }
+    },
+    open: function() {
+        var feeder = this, partial = '', number = 0, header = this.header;
+        this.eof = false;
+        this.paused = false;
+        this.stream = fs.createReadStream(this.file, {encoding: 'utf8'});
+        this.stream.on('data', function(data) {
+            var lines = (partial + data).split(/\r?\n/);
+            partial = lines.pop();
+            lines.forEach(readLine);
+            if (feeder.rows.length >= feeder.bufferSize && feeder.stream != null) {
+                feeder.paused = true;
+                feeder.stream.pause();
+            }
+        });
+        this.stream.on('end', function() {
+            readLine(partial);
+            feeder.stream = null;
+            feeder.eof = true;
+            feeder.passes++;
+            if (feeder.passes == 1 && feeder.firstPass != null && feeder.cycles()) {
+                // The whole partition fits in the buffer, so keep it rather than reading the file again
+                feeder.all = feeder.firstPass;
+                feeder.index = feeder.all.length - feeder.rows.length - 1;
+                feeder.rows = [];
+                if (feeder.all.length == 0) {
+                    qputs("WARN: feeder " + feeder.file + " has no rows" + (feeder.partition ? " in its partition." : "."));
+                }
+            }
+            feeder.firstPass = null;
+            feeder.serve();
+            if (feeder.all == null && feeder.cycles() && feeder.waiting.length > 0) {
+                feeder.fill();
+            }
+        });
+        this.stream.on('error', function(err) {
+            qputs("WARN: could not read feeder " + feeder.file + ": " + (err.message || err));
+            feeder.stream = null;
+            feeder.eof = true;
+            feeder.all = feeder.all || [];
+            feeder.serve();
+        });
+
+        function readLine(line) {
+            if (line.match(/^\s*$/)) {
+                return;
+            } else if (header) {
+                header = false;
+                if (feeder.columns == null) {
+                    feeder.columns = parseCsvLine(line);
+                }
+                return;
+            }
+            number++;
+            var partition = feeder.partition;
+            if (partition != null && (number - 1) % partition.count != partition.index) {
+                return;
+            }
+            var row = parseFeederLine(feeder, line, number);
+            if (row !== undefined) {
+                feeder.rows.push(row);
+                if (feeder.firstPass != null && feeder.firstPass.length < feeder.bufferSize) {
+                    feeder.firstPass.push(row);
+                } else {
+                    feeder.firstPass = null;
+                }
+            }
+            feeder.serve();
+        }
+    },
+    /** Hands out rows to waiting callbacks */
+    serve: function() {
+        while (this.waiting.length > 0) {
+            var row = this.take();
+            if (row === undefined) {
+                if (this.exhausted()) {
+                    var waiting = this.waiting;
+                    this.waiting = [];
+                    waiting.forEach(function(callback) { callback(null) });
+                }
+                return;
+            }
+            this.waiting.shift()(row);
+        }
+    }
+}
+
+/** Wrap a ConditionalLoop compatible loop function so that each iteration first gets a row from "feeder", a
+    Feeder, and stores it in the context of the virtual user (see evloops.js#requestGeneratorLoop) as
+    context.row. With the 'unique' strategy, each user only gets a row once. When the feeder runs out of rows,
+    onEnd() is called and the iteration ends without calling fun. */
+feederLoop = function(feeder, fun, onEnd) {
+    return function(loopFun, user, iteration) {
+        var context = (user != null) ? user.context : null;
+        if (context == null || (feeder.strategy == 'unique' && context.row != null)) {
+            fun(loopFun, user, iteration);
+            return;
+        }
+        feeder.next(function(row) {
+            if (row == null) {
+                if (onEnd != null) {
+                    onEnd();
+                }
+                loopFun(null);
+                return;
+            }
+            context.row = row;
+            fun(loopFun, user, iteration);
+        });
+    }
+}
+
+// =================
+// Private methods
+// =================
+
+/** Parses a data line of the feeder's file into a row. Returns undefined, and logs a warning, if it is invalid. */
+function parseFeederLine(feeder, line, number) {
+    if (feeder.format == 'jsonl') {
+        try {
+            return JSON.parse(line);
+        } catch(e) {
+            if (feeder.passes == 0) {
+                qputs("WARN: skipping invalid JSON on line " + number + " of " + feeder.file);
+            }
+            return undefined;
+        }
+    }
+    var values = parseCsvLine(line), row = {};
+    for (var i = 0; i < feeder.columns.length; i++) {
+        row[feeder.columns[i]] = values[i];
+    }
+    return row;
+}
+
+/** Splits a line of a CSV file into a list of values. Values may be quoted with ", in which case they can
+    contain commas and "" for a quote. Quoted values cannot contain line breaks. */
+function parseCsvLine(line) {
+    var values = [], value = '', quoted = false;
+    for (var i = 0; i < line.length; i++) {
+        var c = line.charAt(i);
+        if (quoted) {
+            if (c == '"' && line.charAt(i+1) == '"') {
+                value += '"';
+                i++;
+            } else if (c == '"') {
+                quoted = false;
+            } else {
+                value += c;
+            }
+        } else if (c == '"') {
+            quoted = true;
+        } else if (c == ',') {
+            values.push(value);
+            value = '';
+        } else {
+            value += c;
+        }
+    }
+    values.push(value);
+    return values;
+}
+// ------------------------------------
+// Request templates
+// ------------------------------------
+//
+// Templates let the path, headers and body of a test's requests vary without writing a requestGenerator.
+// A template is a string containing {{...}} placeholders, e.g. '/users/{{row.id}}/orders?n={{uniform(1, 20)}}'.
+// A placeholder is either a variable or a call to one of the TEMPLATE_FUNCTIONS.
+//
+
+/** TEMPLATE_FUNCTIONS are the generators that can be called in template placeholders. Their arguments must
+    be numbers or strings that do not contain commas. More functions can be added to this object. */
+TEMPLATE_FUNCTIONS = {
+    randomString: function(length) { return randomString((length != null) ? length : 10) },
+    uniform: function(min, max) { return Math.floor(min + Math.random() * (max - min + 1)) },
+    gaussian: function(mean, stddev) { return Math.round(nextGaussian(mean, stddev)) },
+    pareto: function(min, max, shape) { return Math.round(nextPareto(min, max, shape)) },
+    uuid: function() {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+            var r = Math.floor(Math.random() * 16);
+            return ((c == 'x') ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    },
+    timestamp: function() { return new Date().getTime() }
+};
+
+/** Compiles text containing {{...}} placeholders into a function(context, vars) that returns text with each
+    placeholder replaced by its value. A placeholder is one of:
+
+      - A call to a function in TEMPLATE_FUNCTIONS, e.g. {{randomString(8)}}, {{uniform(1, 100)}},
+        {{gaussian(500, 50)}}, {{pareto(1, 10000)}}, {{uuid()}} or {{timestamp()}}. The numbers returned by
+        uniform, gaussian and pareto are rounded to whole numbers.
+      - A variable, which may be a dotted path, e.g. {{seq}} or {{row.name}}. Variables are looked up in vars,
+        then in context, the context of the virtual user (see evloops.js#requestGeneratorLoop), and then in
+        context.row, the current row of the test's feeder. Variables that are not found are left empty.
+
+    Invalid placeholders are logged when the template is compiled, and are left empty. */
+compileTemplate = function(text) {
+    var parts = [], placeholder = /\{\{\s*(.*?)\s*\}\}/g, last = 0, match;
+    while ((match = placeholder.exec(text)) != null) {
+        parts.push(text.substring(last, match.index));
+        parts.push(compilePlaceholder(match[1], text));
+        last = placeholder.lastIndex;
+    }
+    parts.push(text.substring(last));
+    return function(context, vars) {
+        var s = '';
+        for (var i = 0; i < parts.length; i++) {
+            s += (typeof parts[i] == "function") ? parts[i](context, vars) : parts[i];
+        }
+        return s;
+    }
+}
+
+// =================
+// Private methods
+// =================
+
+/** Returns a function(context, vars) that returns the value of the placeholder expression, or '' if it is invalid */
+function compilePlaceholder(expr, text) {
+    var call = expr.match(/^(\w+)\s*\((.*)\)$/);
+    if (call != null) {
+        var fun = TEMPLATE_FUNCTIONS[call[1]];
+        if (fun == null) {
+            qputs("WARN: unknown function " + call[1] + "() in template " + text);
+            return '';
+        }
+        var args = (call[2].match(/^\s*$/)) ? [] : call[2].split(',').map(parseTemplateArg);
+        return function() { return fun.apply(null, args) };
+    } else if (expr.match(/^[\w$]+(\.[\w$]+)*$/)) {
+        var path = expr.split('.');
+        return function(context, vars) {
+            var value = lookupPath(vars, path);
+            if (value === undefined)
+                value = lookupPath(context, path);
+            if (value === undefined && context != null)
+                value = lookupPath(context.row, path);
+            return (value == null) ? '' : value;
+        }
+    }
+    qputs("WARN: invalid placeholder {{" + expr + "}} in template " + text);
+    return '';
+}
+
+function parseTemplateArg(arg) {
+    arg = arg.trim();
+    if (arg.match(/^-?(\d+\.?\d*|\.\d+)(e-?\d+)?$/i)) {
+        return Number(arg);
+    }
+    return arg.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function lookupPath(object, path) {
+    for (var i = 0; i < path.length; i++) {
+        if (object == null || typeof object != "object") {
+            return undefined;
+        }
+        object = object[path[i]];
+    }
+    return object;
+}
+// -----------------------------------------
+// Event-based looping
+// -----------------------------------------
+//
+// Nodeload uses the node.js event loop to schedule iterations of a particular function. In order for this
+// to work, the function must cooperate by accepting a loopFun as its first argument and call loopFun() when
+// it completes each iteration. This is refered to as "event-based looping" in nodeload.
+//
+// This file defines the generic ConditionalLoop for looping on an arbitrary function, and a number of
+// other event based loops for predefined tasks, such as track the latency of the loop body.
+//
+
+// Wraps an arbitrary function to be executed in a loop. Each iteration of the loop is scheduled in
+// the node.js event loop using process.nextTick(), which allows other events in the loop to be handled
+// as the loop executes.
+//
+// @param fun   any function that:
+//              1. accepts two parameters: loopFun and args
+//              2. calls loopFun when it finishes
+//              Use funLoop() to wrap any arbitrary function to make it usable in a ConditionalLoop
+// @param args  passed as-is as the second argument to fun
+// @param conditions    a list of functions that are called at the beginning of every loop. If any 
+//                      function returns false, the loop terminates.
+// @param delay number of seconds before the first iteration of fun is executed
+ConditionalLoop = function(fun, args, conditions, delay) {
+    this.fun = fun;
+    this.args = args;
+    this.conditions = (conditions == null) ? [] : conditions;
+    this.delay = delay;
+    this.stopped = true;
+    this.callback = null;
+}
+ConditionalLoop.prototype = {
+    /** Calls each function in ConditionalLoop.conditions. Returns false if any function returns false */
+    checkConditions: function() {
+        if (this.stopped) {
+            return false;
+        }
+        for (var i = 0; i < this.conditions.length; i++) {
+            if (!this.conditions[i]()) {
+                return false;
+            }
+        }
+        return true;
     },
     /** Checks conditions and schedules the next loop iteration */
     loop: function() {
@@ -378,67 +1820,553 @@ funLoop = function(fun) {
     }
 }
 
-/** Wrapper for a function that causes it to be executed "rps" times per second when used by ConditionalLoop. */
-rpsLoop = function(rps, fun) {
-    var timeout = 1/rps * 1000;
-    var finished = false;
-    var lagging = false;
-    var finishFun = function(loopFun) {
-        finished = true;
-        if (lagging) {
-            loopFun();
+/** Wrapper for a function that causes it to be executed "rps" times per second when used by ConditionalLoop.
+    If trackIntendedStart is true, each iteration is scheduled relative to when it should have started
+    rather than when the previous iteration finished, so the loop issues iterations back to back to
+    catch up after a slow one. The intended start time is passed to fun as a third parameter,
+    {intendedStart: milliseconds}, for use by monitorIntendedLatenciesLoop().
+    
+    The returned function has two extra methods: setRate(rps) changes the rate of the running loop, and
+    stop() releases any iteration that is waiting for its turn so the ConditionalLoop can terminate. An rps
+    of 0 pauses the loop until setRate() or stop() is called. */
+rpsLoop = function(rps, fun, trackIntendedStart) {
+    var timeout = 1/rps * 1000;
+    var finished = true;        // Has the current call to fun finished?
+    var ready = true;           // Has enough time passed since the current call started?
+    var next = null;            // loopFun to call once the current call is finished and ready
+    var held = null;            // Iteration waiting for the loop to be unpaused
+    var lastStart = null;       // Actual or intended start time of the current call
+    var timeoutId = null;
+    var stopped = false;
+    var tryNext = function() {
+        if (finished && ready && next != null) {
+            var loopFun = next;
+            next = null;
+            loopFun();
+        }
+    };
+    var schedule = function() {
+        clearTimeout(timeoutId);
+        var wait = (lastStart == null) ? 0 : lastStart + timeout - new Date().getTime();
+        if (stopped || wait <= 0) {
+            ready = true;
+        } else {
+            ready = false;
+            if (wait < Infinity) {
+                timeoutId = setTimeout(function() { 
+                    ready = true;
+                    tryNext();
+                }, wait);
+            }
+        }
+    };
+    var wrapperFun = function(loopFun, args) {
+        if (timeout == Infinity && !stopped) {
+            held = {loopFun: loopFun, args: args};
+            lastStart = null;
+            return;
+        }
+
+        var iteration = null, now = new Date().getTime();
+        if (trackIntendedStart && lastStart != null) {
+            lastStart += timeout;
+        } else {
+            lastStart = now;
+        }
+        if (trackIntendedStart) {
+            iteration = {intendedStart: lastStart};
+        }
+
+        finished = false;
+        next = loopFun;
+        schedule();
+        fun(function() { 
+            finished = true;
+            tryNext();
+        }, args, iteration);
+    };
+    // setRate() and stop() are usually called from outside of the loop, e.g. by Scheduler.stopAll(), so
+    // defer continuing the loop to the next tick.
+    wrapperFun.setRate = function(rps) {
+        var paused = (timeout == Infinity);
+        timeout = 1/rps * 1000;
+        if (paused && timeout < Infinity) {
+            // Schedule from the resume, rather than catching up on the iterations skipped while paused
+            lastStart = null;
+        }
+        if (held != null) {
+            if (timeout < Infinity) {
+                var h = held;
+                held = null;
+                process.nextTick(function() { wrapperFun(h.loopFun, h.args) });
+            }
+        } else if (next != null) {
+            schedule();
+            process.nextTick(tryNext);
+        }
+    };
+    wrapperFun.stop = function() {
+        stopped = true;
+        if (held != null) {
+            var h = held;
+            held = null;
+            process.nextTick(h.loopFun);
+        } else if (next != null) {
+            schedule();
+            process.nextTick(tryNext);
+        }
+    };
+    return wrapperFun;
+}
+
+/** Wrapper for a function that causes ConditionalLoop to start it "rps" times per second without waiting
+    for earlier calls to finish. This is an "open" workload model: the rate of arrivals does not depend on
+    how quickly fun completes. conf may contain:
+
+        arrivals: 'constant',       // 'constant' for evenly spaced arrivals, or 'poisson' for exponentially
+                                    // distributed gaps between arrivals
+        maxInFlight: Infinity,      // Maximum number of calls to fun running at once. Further arrivals are dropped.
+        argGenerator: null,         // Called to create args for each concurrent call to fun. args are reused
+                                    // once a call finishes. If null, the loop's args are passed to every call.
+        dropped: null               // put(1) is called on this object for each dropped arrival
+
+    fun is passed {intendedStart: milliseconds} as its third parameter. The returned function has these
+    extra methods:
+
+        drain(callback): call callback once no more calls to fun are in flight
+        setRate(rps): change the arrival rate. An rps of 0 pauses arrivals.
+        setMaxInFlight(n): change conf.maxInFlight
+        stop(): stop waiting for the next arrival so the ConditionalLoop can terminate
+    */
+arrivalLoop = function(rps, fun, conf) {
+    var meanGap = 1/rps * 1000;
+    var maxInFlight = (conf.maxInFlight == null) ? Infinity : conf.maxInFlight;
+    var inFlight = 0;
+    var idleArgs = [];
+    var lastArrival = null;
+    var nextArrival = null;
+    var waiting = null;         // loopFun to call at the next arrival
+    var timeoutId = null;
+    var drainCallback = null;
+    var launch = function(args, intendedStart) {
+        if (inFlight >= maxInFlight) {
+            if (conf.dropped != null) {
+                conf.dropped.put(1);
+            }
+            return;
+        }
+        if (conf.argGenerator != null) {
+            args = (idleArgs.length > 0) ? idleArgs.pop() : conf.argGenerator();
+        }
+        inFlight++;
+        fun(function() {
+            inFlight--;
+            if (conf.argGenerator != null) {
+                idleArgs.push(args);
+            }
+            if (inFlight == 0 && drainCallback != null) {
+                var callback = drainCallback;
+                drainCallback = null;
+                callback();
+            }
+        }, args, {intendedStart: intendedStart});
+    };
+    var gap = function() {
+        return (conf.arrivals == 'poisson') ? nextExponential(meanGap) : meanGap;
+    };
+    var schedule = function() {
+        clearTimeout(timeoutId);
+        if (nextArrival < Infinity) {
+            timeoutId = setTimeout(function() {
+                var loopFun = waiting;
+                waiting = null;
+                loopFun();
+            }, Math.max(0, nextArrival - new Date().getTime()));
+        }
+    };
+    var wrapperFun = function(loopFun, args) {
+        var now = new Date().getTime();
+        if (nextArrival == null || nextArrival == Infinity) {
+            nextArrival = now;
+        }
+        lastArrival = nextArrival;
+        launch(args, lastArrival);
+        nextArrival = lastArrival + gap();
+        waiting = loopFun;
+        schedule();
+    };
+    wrapperFun.drain = function(callback) {
+        if (inFlight == 0) {
+            callback();
+        } else {
+            drainCallback = callback;
+        }
+    };
+    wrapperFun.setRate = function(rps) {
+        meanGap = 1/rps * 1000;
+        if (waiting != null) {
+            nextArrival = Math.max(lastArrival + gap(), new Date().getTime());
+            schedule();
+        }
+    };
+    wrapperFun.setMaxInFlight = function(n) {
+        maxInFlight = n;
+    };
+    wrapperFun.stop = function() {
+        if (waiting != null) {
+            nextArrival = 0;
+            schedule();
+        }
+    };
+    return wrapperFun;
+}
+
+/** Wrapper for request generator function, "generator", to be used by ConditionalLoop. "generator" may accept
+    two parameters, an http client provided by nodeload and the context of the virtual user. It must return a
+    http.ClientRequest (i.e. return value of http.Client.request()). In addition, http.ClientRequest may contain
+    a .timeout field specifying the maximum number of milliseconds to wait for a response, which defaults to the
+    "timeout" parameter, and a .bodyFile field naming a file to stream from disk as the body of the request. Such
+    a request should have a content-length header, and its length can be set as .bodyLength for the 'bytes-sent'
+    stat. The returned function expects an http client, or a virtual user {client: http.Client, context: {}}, as
+    it's 2nd (args) parameter. If the user has a connections.js#ConnectionPool as .connections, user.client is
+    set to the client it returns for each request. It calls loopFun({req: http.ClientRequest, res:
+    http.ClientResponse}) exactly once for each iteration.
+
+    If the request times out or fails, loopFun is called with {req: http.ClientRequest, res: {statusCode: code},
+    err: error}, where code is a string classifying the failure: 'timeout', 'ECONNREFUSED', 'ECONNRESET',
+    'dns-error', 'tls-error', 'parse-error' or 'error'. A response arriving after a timeout is ignored.
+
+    If "redirects" is given, redirect responses (301, 302, 303, 307 and 308) are followed. It is {max, host,
+    port, secure, hops, newClient}, where max is the number of redirects to follow, and (host, port, secure)
+    is where the client is connected to. The time of each request is written to hops, which is generally a
+    stats.js#Histogram, if given. Redirects to other servers use the client returned by newClient(host, port,
+    secure, user) and are not followed if newClient is null. After a redirect, loopFun is called with the final
+    request and response, and the final URL as .url, which is just the path if it is on the original server.
+
+    The result passed to loopFun also has the time in milliseconds of each phase of the request as .timings:
+
+      - dns: looking up the host, if the client opened a connection and reports it with a 'lookup' event
+      - connect: opening the connection, if the client was not connected. It includes dns if that is missing.
+      - tls: the TLS handshake, if the client opened a secure connection
+      - ttfb: from sending the request, once connected, to the first byte of the response
+      - transfer: receiving the body of the response
+      - total: from the start of the iteration to the end of the response, including any redirects
+
+    transfer and total are set when the response ends, which is after loopFun is called unless something
+    waits for the body first. The other phases are those of the final request. */
+requestGeneratorLoop = function(generator, timeout, redirects) {
+    return function(loopFun, args) {
+        var user = (args != null && args.context != null) ? args : {client: args};
+        if (user.connections != null) {
+            user.client = user.connections.take();
+        }
+        var client = user.client;
+        var started = new Date(), marks = {start: started};
+        var stopWatching = watchConnectionPhases(client, marks);
+        var request = generator(client, user.context);
+        if (request == null) {
+            stopWatching();
+            qputs('WARN: HTTP request is null; did you forget to call return request?');
+            loopFun(null);
+            return;
+        }
+
+        var finished = false;
+        var timeoutId = null;
+        var hopStart = null, hops = 0, finalUrl = null;
+        var location = (redirects != null) ? {host: redirects.host, port: redirects.port, secure: redirects.secure} : null;
+        var finish = function(result) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timeoutId);
+            stopWatching();
+            if (client != null && client.removeListener != null) {
+                client.removeListener('error', onError);
+            }
+            loopFun(result);
+        };
+        var fail = function(err, code) {
+            finish({req: request, res: {statusCode: code}, err: {message: String(err.message || err), code: err.code}});
+        };
+        var onError = function(err) {
+            fail(err, requestErrorCode(err));
+        };
+        var send = function() {
+            if (request.timeout == null) {
+                request.timeout = timeout;
+            }
+            if (request.timeout != null) {
+                timeoutId = setTimeout(function() {
+                    // Close the connection so a late response does not hold up the client's next request
+                    if (client != null && client.destroy != null) {
+                        client.destroy();
+                    }
+                    fail('No response after ' + request.timeout + 'ms', 'timeout');
+                }, request.timeout);
+            }
+            hopStart = new Date();
+            request.on('error', onError);
+            request.on('response', function(response) {
+                if (finished) {
+                    return;
+                }
+                clearTimeout(timeoutId);
+                if (redirects != null && redirects.hops != null) {
+                    redirects.hops.put(new Date() - hopStart);
+                }
+                var next = (redirects != null && hops < redirects.max) ? redirectLocation(response, request, location) : null;
+                var nextClient = client;
+                if (next != null && (next.host != location.host || next.port != location.port || next.secure != location.secure)) {
+                    nextClient = (redirects.newClient != null) ? redirects.newClient(next.host, next.port, next.secure, user) : null;
+                }
+                if (next == null || nextClient == null) {
+                    var result = {req: request, res: response, timings: requestTimings(marks, started, response)};
+                    if (finalUrl != null) {
+                        result.url = finalUrl;
+                    }
+                    finish(result);
+                    return;
+                }
+
+                if (nextClient !== client) {
+                    client.removeListener('error', onError);
+                    nextClient.on('error', onError);
+                    client = nextClient;
+                }
+                hops++;
+                finalUrl = (next.host == redirects.host && next.port == redirects.port && next.secure == redirects.secure) ? next.path : next.href;
+                location = next;
+                // Like browsers, change the method to GET except for "307 Temporary Redirect" and "308 Permanent Redirect"
+                var keepMethod = (response.statusCode == 307 || response.statusCode == 308);
+                var headers = {'host': next.hostHeader}, bodyFile = keepMethod ? request.bodyFile : null, bodyLength = request.bodyLength;
+                if (bodyFile != null) {
+                    headers['content-length'] = bodyLength;
+                }
+                stopWatching();
+                marks = {start: new Date()};
+                stopWatching = watchConnectionPhases(client, marks);
+                request = traceableRequest(client, keepMethod ? (request.method || 'GET') : 'GET', next.path, headers,
+                                           keepMethod ? request.body : null);
+                if (bodyFile != null) {
+                    request.bodyFile = bodyFile;
+                    request.bodyLength = bodyLength;
+                }
+                send();
+            });
+            if (request.bodyFile != null) {
+                // Stream the body from disk, so that it does not need to fit in memory
+                var body = fs.createReadStream(request.bodyFile);
+                body.on('error', onError);
+                sys.pump(body, request);
+            } else {
+                request.end();
+            }
+        };
+
+        if (client != null && client.on != null) {
+            client.on('error', onError);
+        }
+        send();
+    }
+}
+
+/** If client is about to open a connection, records the time of each step as marks.lookup, marks.connect and
+    marks.secure. Returns a function that stops listening for them. */
+function watchConnectionPhases(client, marks) {
+    if (client == null || client.on == null || (client.readyState != null && client.readyState != 'closed')) {
+        return function() {};
+    }
+    var listeners = {};
+    ['lookup', 'connect', 'secure'].forEach(function(event) {
+        listeners[event] = function() {
+            if (marks[event] == null) {
+                marks[event] = new Date();
+            }
+        };
+        client.on(event, listeners[event]);
+    });
+    return function() {
+        for (var event in listeners) {
+            client.removeListener(event, listeners[event]);
+        }
+    };
+}
+
+/** Returns the .timings of a request (see requestGeneratorLoop()) from the marks of its connection phases.
+    transfer and total are added when response ends. */
+function requestTimings(marks, started, response) {
+    var now = new Date(), timings = {dns: null, connect: null, tls: null, ttfb: null, transfer: null, total: null};
+    if (marks.lookup != null) {
+        timings.dns = marks.lookup - marks.start;
+    }
+    if (marks.connect != null) {
+        timings.connect = marks.connect - (marks.lookup || marks.start);
+    }
+    if (marks.secure != null && marks.connect != null) {
+        timings.tls = marks.secure - marks.connect;
+    }
+    timings.ttfb = now - (marks.secure || marks.connect || marks.start);
+    if (response.on != null) {
+        response.on('end', function() {
+            var end = new Date();
+            timings.transfer = end - now;
+            timings.total = end - started;
+        });
+    }
+    return timings;
+}
+
+/** Returns where a redirect response to request, which was sent to {host, port, secure}, points to, as
+    {host, port, secure, path, hostHeader, href}. Returns null if the response is not a redirect. */
+function redirectLocation(response, request, from) {
+    if ([301, 302, 303, 307, 308].indexOf(response.statusCode) < 0 || response.headers['location'] == null) {
+        return null;
+    }
+    var base = (from.secure ? 'https' : 'http') + '://' + from.host + ':' + from.port + (request.path || '/');
+    var href = url.resolve(base, response.headers['location']);
+    var parsed = url.parse(href);
+    if (parsed.protocol != 'http:' && parsed.protocol != 'https:') {
+        return null;
+    }
+    var secure = (parsed.protocol == 'https:');
+    return {
+        host: parsed.hostname,
+        port: (parsed.port != null) ? Number(parsed.port) : (secure ? 443 : 80),
+        secure: secure,
+        path: (parsed.pathname || '/') + (parsed.search || ''),
+        hostHeader: parsed.host,
+        href: href
+    };
+}
+
+/** Returns a short code for the error emitted by a failed HTTP request or client, which is used in place of
+    the HTTP status code in the 'result-codes' statistic. */
+function requestErrorCode(err) {
+    var s = (err.code || '') + ' ' + (err.message || err);
+    if (s.match(/ECONNREFUSED/)) {
+        return 'ECONNREFUSED';
+    } else if (s.match(/ECONNRESET|socket hang up/)) {
+        return 'ECONNRESET';
+    } else if (s.match(/ENOTFOUND|EAI_|EADDRINFO|getaddrinfo|ENODATA|Domain name not found/)) {
+        return 'dns-error';
+    } else if (s.match(/TLS|SSL|certificate|EPROTO/)) {
+        return 'tls-error';
+    } else if (s.match(/HPE_|Parse Error/)) {
+        return 'parse-error';
+    }
+    return 'error';
+}
+
+/** Runs a multi-step user scenario, an ordered list of steps, in each iteration of a ConditionalLoop.
+    Each step is {name, request, response, thinkTime}:
+
+      - request(client, context) returns a http.ClientRequest, like a requestGenerator
+      - response(res, body, context) is optional and is called with the http.ClientResponse and its body
+        once the response completes. If it returns false, the remaining steps are skipped.
+      - thinkTime is the time to wait before the next step (see thinkTimeMs()), which defaults to conf.thinkTime
+      - checks and extract are used by the monitorChecksLoop() that conf.wrapStep adds for the step, if any
+
+    The returned function expects a virtual user {client: http.Client, context: {}} as its 2nd (args)
+    parameter. context is kept for the lifetime of the user, so steps can use it to pass cookies, tokens and
+    other values extracted from responses to the following steps and iterations. conf is {timeout, thinkTime,
+    redirects, wrapStep}, where timeout and redirects are passed to requestGeneratorLoop(), and wrapStep(step,
+    loop) may return loop wrapped in monitoring loops for the step.
+
+    loopFun is called with the {req, res} of the last step that ran. A step that fails (see
+    requestGeneratorLoop) or fails a check (see monitorChecksLoop) ends the iteration. */
+scenarioLoop = function(steps, conf) {
+    conf = conf || {};
+    var loops = null;
+    return function(loopFun, user) {
+        if (loops == null) {
+            loops = steps.map(function(step) {
+                var loop = requestGeneratorLoop(step.request, conf.timeout, conf.redirects);
+                return (conf.wrapStep != null) ? conf.wrapStep(step, loop) : loop;
+            });
+        }
+        var i = 0;
+        var next = function() {
+            var step = steps[i];
+            loops[i](function(result) {
+                if (result == null || result.err != null) {
+                    loopFun(result);
+                    return;
+                }
+                var body = '';
+                result.res.on('data', function(chunk) {
+                    if (step.response != null) {
+                        body += chunk;
+                    }
+                });
+                result.res.on('end', function() {
+                    var proceed = (result.failedChecks == null) &&
+                                  ((step.response == null) || (step.response(result.res, body, user.context) !== false));
+                    i++;
+                    if (!proceed || i >= steps.length) {
+                        loopFun(result);
+                        return;
+                    }
+                    var wait = thinkTimeMs((step.thinkTime != null) ? step.thinkTime : conf.thinkTime);
+                    if (wait > 0) {
+                        setTimeout(next, wait);
+                    } else {
+                        next();
+                    }
+                });
+            }, user);
+        };
+        next();
+    }
+}
+
+/** Runs one of a weighted list of loops in each iteration of a ConditionalLoop. entries is a list of objects
+    with a name and a weight, and loopFor(entry) is called the first time an entry is run to create its loop.
+    Entries are picked by smooth weighted round robin, so each entry runs in proportion to its weight at any
+    point of the test, and the entries are interleaved. The name of each entry picked is written to picked,
+    which is generally a stats.js#ResultsCounter object, if given. */
+mixLoop = function(entries, loopFor, picked) {
+    var loops = [], current = [], total = 0;
+    entries.forEach(function(entry) {
+        total += entry.weight;
+        current.push(0);
+    });
+    return function(loopFun, args, iteration) {
+        var best = 0;
+        for (var i = 0; i < entries.length; i++) {
+            current[i] += entries[i].weight;
+            if (current[i] > current[best]) {
+                best = i;
+            }
         }
-    };
-    var wrapperFun = function(loopFun, args) {
-        finished = false;
-        if (timeout > 0) {
-            setTimeout(function() { 
-                if (!finished)
-                    lagging = true; 
-                else
-                    loopFun();
-            }, timeout);
-            lagging = false;
-        } else {
-            lagging = true;
+        current[best] -= total;
+        if (loops[best] == null) {
+            loops[best] = loopFor(entries[best]);
         }
-        fun(function() { finishFun(loopFun) }, args);
+        if (picked != null) {
+            picked.put(entries[best].name);
+        }
+        loops[best](loopFun, args, iteration);
     }
-    return wrapperFun;
 }
 
-/** Wrapper for request generator function, "generator", to be used by ConditionalLoop. "generator" may accept
-    a single parameter which is an http client provided by nodeload. It must return a http.ClientRequest
-    (i.e. return value of http.Client.request()). In addition, http.ClientRequest may contain a .timeout
-    field specifying the maximum number of milliseconds to wait for a response. The returned function 
-    expects an http client as it's 2nd (args) parameter. It calls loopFun({req: http.ClientRequest, res: http.ClientResponse})
-    after each iteration. */
-requestGeneratorLoop = function(generator) {
-    return function(loopFun, client) {
-        var request = generator(client);
-        if (request == null) {
-            qputs('WARN: HTTP request is null; did you forget to call return request?');
-            loopfun(null);
-        } else {
-            var timedOut = false;
-            var timeoutId = null;
-            if (request.timeout != null) {
-                timeoutId = setTimeout(function() {
-                    timedOut = true;
-                    loopFun({req: request, res: {statusCode: 0}});
-                }, request.timeout);
-            }
-            request.on('response', function(response) {
-                if (!timedOut) {
-                    if (timeoutId != null) {
-                        clearTimeout(timeoutId);
-                    }
-                    loopFun({req: request, res: response});
-                }
-            });
-            request.end();
-        }
+/** Returns a random think time in milliseconds from a spec in seconds, which is one of:
+
+      - a number, or {type: 'fixed', value: seconds}
+      - {type: 'uniform', min: seconds, max: seconds}
+      - {type: 'gaussian', mean: seconds, stddev: seconds}, which is never less than 0 */
+function thinkTimeMs(spec) {
+    if (spec == null) {
+        return 0;
+    } else if (typeof spec == "number") {
+        return spec * 1000;
+    } else if (spec.type == 'uniform') {
+        return (spec.min + Math.random() * (spec.max - spec.min)) * 1000;
+    } else if (spec.type == 'gaussian') {
+        return Math.max(0, nextGaussian(spec.mean, spec.stddev)) * 1000;
     }
+    return (spec.value || 0) * 1000;
 }
 
 // ------------------------------------
@@ -452,6 +2380,46 @@ monitorLatenciesLoop = function(latencies, fun) {
     return loopWrapper(fun, start, finish);
 }
 
+/** Like monitorLatenciesLoop, but time each call to fun from when it was scheduled to start rather
+    than when it actually started. This corrects for "coordinated omission": when a slow response delays
+    the next iteration of an rpsLoop, the delay is included in the latency of that iteration. The intended
+    start time is provided by rpsLoop(rps, fun, true); if it is missing, the actual start time is used. */
+monitorIntendedLatenciesLoop = function(latencies, fun) {
+    var start = function(args, iteration) {
+        return (iteration != null && iteration.intendedStart != null) ? iteration.intendedStart : new Date().getTime();
+    }
+    var finish = function(result, start) { latencies.put(new Date().getTime() - start) };
+    return loopWrapper(fun, start, finish);
+}
+
+/** Each call to fun should return an object {timings: {}}, like requestGeneratorLoop(). This function writes
+    the time of each phase of the request to the matching field of phases, {dns, connect, tls, ttfb, transfer,
+    total}. Each field is generally a stats.js#Histogram object, and may be left out. */
+monitorPhasesLoop = function(phases, fun) {
+    var finish = function(result) {
+        var timings = result.timings;
+        if (timings == null) {
+            return;
+        }
+        var put = function(phase) {
+            if (phases[phase] != null && timings[phase] != null) {
+                phases[phase].put(timings[phase]);
+            }
+        };
+        ['dns', 'connect', 'tls', 'ttfb'].forEach(put);
+        var ended = function() {
+            put('transfer');
+            put('total');
+        };
+        if (timings.total != null) {
+            ended();
+        } else if (result.res != null && result.res.on != null) {
+            result.res.on('end', ended);
+        }
+    };
+    return loopWrapper(fun, null, finish);
+}
+
 /** Each call to fun should return an object {res: http.ClientResponse}. This function tracks the http
     response codes and writes them to results, which is generally a stats.js#ResultsCounter object. */
 monitorResultsLoop = function(results, fun) {
@@ -460,9 +2428,14 @@ monitorResultsLoop = function(results, fun) {
 }
 
 /** Each call to fun should return an object {res: http.ClientResponse}. This function reads the http
-    response body and writes its size to bytesReceived, which is generally a stats.js#Accumlator object. */
+    response body and writes its size, and the size of the headers, to bytesReceived, which is generally a
+    stats.js#Accumlator or stats.js#Throughput object. fun must not read the body before calling loopFun. */
 monitorByteReceivedLoop = function(bytesReceived, fun) {
     var finish = function(http) { 
+        if (http.err != null) {
+            return;
+        }
+        bytesReceived.put(responseHeaderLength(http.res));
         http.res.on('data', function(chunk) {
             bytesReceived.put(chunk.length);
         });
@@ -470,6 +2443,37 @@ monitorByteReceivedLoop = function(bytesReceived, fun) {
     return loopWrapper(fun, null, finish);
 }
 
+/** Each call to fun should return an object {req: http.ClientRequest} made with traceableRequest(). This
+    function writes the number of bytes in the request's headers and body to bytesSent, which is generally a
+    stats.js#Throughput object. Requests made without traceableRequest() are not counted. */
+monitorBytesSentLoop = function(bytesSent, fun) {
+    var finish = function(http) {
+        var req = http.req;
+        if (req == null || req.headerLines == null) {
+            return;
+        }
+        var bytes = 0;
+        req.headerLines.forEach(function(line) { bytes += String(line).length });
+        if (req.body != null) {
+            bytes += (typeof req.body == "string") ? Buffer.byteLength(req.body, 'utf8') : req.body.length;
+        } else if (req.bodyLength != null) {
+            bytes += req.bodyLength;
+        }
+        bytesSent.put(bytes);
+    };
+    return loopWrapper(fun, null, finish);
+}
+
+/** Returns the number of bytes in the status line and headers of res. node.js only keeps the parsed headers,
+    so this is how long they would be if each was sent once as "Name: value". */
+function responseHeaderLength(res) {
+    var length = ('HTTP/' + (res.httpVersion || '1.1') + ' ' + res.statusCode + ' ' + (http.STATUS_CODES[res.statusCode] || '') + '\r\n\r\n').length;
+    for (var name in res.headers) {
+        length += (name + ': ' + res.headers[name] + '\r\n').length;
+    }
+    return length;
+}
+
 /** Tracks the concurrency of calls to fun and writes it to concurrency, which is generally a
     stats.js#Peak object. */
 monitorConcurrencyLoop = function(concurrency, fun) {
@@ -487,13 +2491,26 @@ monitorRateLoop = function(rate, fun) {
 
 /** Each call to fun should return an object {res: http.ClientResponse}. This function reads the http
     response code and writes the full request and response to "log" if the response code is not in the 
-    "successCodes" list. "log" is generally a stats.js#LogFile object. */
+    "successCodes" list. Requests that failed without a response (see requestGeneratorLoop()) are always
+    written to "log", even if "successCodes" is null. "log" is generally a stats.js#LogFile object. */
 monitorHttpFailuresLoop = function(successCodes, fun, log) {
     if (log == null)
         log = ERROR_LOG;
     var finish = function(http) {
         var body = "";
-        if (successCodes.indexOf(http.res.statusCode) < 0) {
+        if (http.err != null) {
+            log.put(JSON.stringify({
+                ts: new Date(),
+                req: {
+                    headersLines: http.req.headerLines,
+                    body: http.req.body,
+                },
+                err: {
+                    result: http.res.statusCode,
+                    message: http.err.message
+                }
+            }));
+        } else if (successCodes != null && successCodes.indexOf(http.res.statusCode) < 0) {
             http.res.on('data', function(chunk) {
                 body += chunk;
             });
@@ -516,46 +2533,190 @@ monitorHttpFailuresLoop = function(successCodes, fun, log) {
     return loopWrapper(fun, null, finish);
 }
 
+/** Each call to fun should return an object {req: http.ClientRequest, res: http.ClientResponse}. This function
+    reads the response body and runs each check in the "checks" list against the response. Each check is one of:
+
+      - {contains: 'text'}: the body contains the text
+      - {matches: 'regex'}: the body matches the regular expression (a string or RegExp)
+      - {json: 'path.to.field', equals: value}: the body is JSON with a value at the path, e.g. 'items.0.id',
+        that is equal to "value", if given
+      - {maxBodySize: bytes}: the body is at most "bytes" long
+      - {header: 'name', equals: value, matches: 'regex'}: the response has the header, and its value is
+        equal to "value" and matches the regular expression, if given
+
+    A check may be given a name; otherwise one is made from its definition. The names of the checks a response
+    fails are written to failedChecks, which is generally a stats.js#ResultsCounter object, and set as
+    result.failedChecks. Each failure is written to "log" along with the request and response.
+
+    "extract" is an optional map of names to selectors, which have the same form as the json, header and matches
+    checks, e.g. {id: {json: 'user.id'}, token: {header: 'x-token'}, csrf: {matches: 'csrf=(\\w+)'}}. The value
+    selected from each response (the first group of a regular expression, if it has one) is stored in the
+    context of the virtual user under that name (see requestGeneratorLoop()). */
+monitorChecksLoop = function(checks, extract, failedChecks, fun, log) {
+    if (log == null)
+        log = ERROR_LOG;
+    checks = checks || [];
+    var finish = function(http, start, args) {
+        if (http.err != null) {
+            return;
+        }
+        var body = '', size = 0;
+        http.res.on('data', function(chunk) {
+            body += chunk;
+            size += chunk.length;
+        });
+        http.res.on('end', function() {
+            var failed = [];
+            checks.forEach(function(check) {
+                var name = (check.name != null) ? check.name : checkName(check);
+                if (checkPasses(check, http.res, body, size)) {
+                    return;
+                }
+                failed.push(name);
+                if (failedChecks != null) {
+                    failedChecks.put(name);
+                }
+                log.put(JSON.stringify({
+                    ts: new Date(),
+                    check: name,
+                    req: {
+                        headersLines: http.req.headerLines,
+                        body: http.req.body,
+                    },
+                    res: {
+                        statusCode: http.res.statusCode,
+                        headers: http.res.headers,
+                        body: body
+                    }
+                }));
+            });
+            if (failed.length > 0) {
+                http.failedChecks = failed;
+            }
+            if (extract != null && args != null && args.context != null) {
+                for (var key in extract) {
+                    var value = selectResponseValue(extract[key], http.res, body);
+                    if (value !== undefined) {
+                        args.context[key] = value;
+                    }
+                }
+            }
+        });
+    };
+    return loopWrapper(fun, null, finish);
+}
+
+/** Returns true if the response passes the check (see monitorChecksLoop()) */
+function checkPasses(check, res, body, size) {
+    if (check.maxBodySize != null) {
+        return size <= check.maxBodySize;
+    } else if (check.contains != null) {
+        return body.indexOf(check.contains) >= 0;
+    }
+    var value = selectResponseValue(check, res, body);
+    if (value === undefined) {
+        return false;
+    }
+    return (check.equals === undefined) || (JSON.stringify(value) == JSON.stringify(check.equals));
+}
+
+/** Returns the value selected from the response by {header: name}, {json: path} and/or {matches: regex}, or
+    undefined if there is none. */
+function selectResponseValue(selector, res, body) {
+    var value = (selector.header != null) ? res.headers[selector.header.toLowerCase()] : body;
+    if (value === undefined) {
+        return undefined;
+    }
+    if (selector.json != null) {
+        try {
+            value = JSON.parse(value);
+        } catch(e) {
+            return undefined;
+        }
+        var path = String(selector.json).split('.');
+        for (var i = 0; i < path.length; i++) {
+            if (path[i] == '') {
+                continue;
+            } else if (value == null || typeof value != "object" || !(path[i] in value)) {
+                return undefined;
+            }
+            value = value[path[i]];
+        }
+    }
+    if (selector.matches != null) {
+        var match = String(value).match(selector.matches);
+        if (match == null) {
+            return undefined;
+        }
+        value = (match.length > 1) ? match[1] : match[0];
+    }
+    return value;
+}
+
+/** Describes a check that has no name, e.g. "json user.id == 5" */
+function checkName(check) {
+    if (check.maxBodySize != null) {
+        return 'body <= ' + check.maxBodySize + ' bytes';
+    } else if (check.contains != null) {
+        return 'contains ' + JSON.stringify(check.contains);
+    }
+    var name = [];
+    if (check.header != null)
+        name.push('header ' + check.header);
+    if (check.json != null)
+        name.push('json ' + check.json);
+    if (check.matches != null)
+        name.push('matches ' + ((check.matches instanceof RegExp) ? check.matches : '/' + check.matches + '/'));
+    if (check.equals !== undefined)
+        name.push('== ' + JSON.stringify(check.equals));
+    return name.join(' ');
+}
+
 /** Each call to fun should return an object {req: http.ClientRequest}. This function writes the request
-    URL to uniqs which is generally a stats.js#Uniques object. */
+    URL, or the final URL of a redirected request (see requestGeneratorLoop()), to uniqs which is generally a
+    stats.js#Uniques object. */
 monitorUniqueUrlsLoop = function(uniqs, fun) {
-    var finish = function(http) { uniqs.put(http.req.path) };
+    var finish = function(http) { uniqs.put((http.url != null) ? http.url : http.req.path) };
     return loopWrapper(fun, null, finish);
 }
 
-/** Wrap a ConditionalLoop compatible loop function. For each iteration, calls startRes = start(args) 
-    before calling fun(), and calls finish(result, startRes) when fun() returns. */
+/** Wrap a ConditionalLoop compatible loop function. For each iteration, calls startRes = start(args, iteration) 
+    before calling fun(), and calls finish(result, startRes, args) when fun() returns. iteration is the optional
+    third parameter passed by rpsLoop(), and is passed through to fun(). */
 loopWrapper = function(fun, start, finish) {
-    return function(loopFun, args) {
+    return function(loopFun, args, iteration) {
         var startRes;
         if (start != null) {
-            startRes = start(args);
+            startRes = start(args, iteration);
         }
         var finishFun = function(result) {
             if (result == null) {
                 qputs('Function result is null; did you forget to call loopFun(result)?');
             } else {
                 if (finish != null) {
-                    finish(result, startRes);
+                    finish(result, startRes, args);
                 }
             }
             loopFun(result);
         }
-        fun(finishFun, args);
+        fun(finishFun, args, iteration);
     }
 }
 
-/** Returns a ConditionalLoop compatible loop function that calls progressFun(stats) and 
-    report.js#defaultProgressReport(stats) during each iteration. If this is a slave nodeload instance
-    (SLAVE_CONFIG is defined), the statistics are also reported to the master node. A progressReportLoop
-    should be scheduled in SCHEDULER to periodically gather statistics during a load test. */
-progressReportLoop = function(stats, progressFun) {
+/** Returns a ConditionalLoop compatible loop function that calls progressFun(stats, status) and 
+    report.js#defaultProgressReport(stats, status) during each iteration. status is the return value of
+    statusFun(), if given, which is a map of extra fields, such as the current stage of the test, to include
+    in the report. If this is a slave nodeload instance (SLAVE_CONFIG is defined), the statistics are also
+    reported to the master node. A progressReportLoop should be scheduled in SCHEDULER to periodically
+    gather statistics during a load test. */
+progressReportLoop = function(stats, progressFun, statusFun) {
     return function(loopFun) {
+        var status = (statusFun != null) ? statusFun() : null;
         if (progressFun != null)
-            progressFun(stats);
+            progressFun(stats, status);
         if (SLAVE_CONFIG != null)
             SLAVE_CONFIG.reportProgress(stats);
-        defaultProgressReport(stats);
+        defaultProgressReport(stats, status);
         loopFun();
     }
 }
@@ -583,7 +2744,20 @@ var JOB_DEFAULTS = {
     duration: Infinity,         // Maximum duration of this job in seconds
     numberOfTimes: Infinity,    // Maximum number of times to call fun()
     delay: 0,                   // Seconds to wait before calling fun() for the first time
-    monitored: true             // Does this job need to finish in order for SCHEDULER.startAll() to end?
+    monitored: true,            // Does this job need to finish in order for SCHEDULER.startAll() to end?
+    correctCoordinatedOmission: false,  // If true and rps is set, schedule calls by their intended start
+                                // time and pass it to fun as a third parameter, {intendedStart: ms}.
+                                // See evloops.js#rpsLoop().
+    arrivals: null,             // Set to 'constant' or 'poisson' to start calls to fun() rps times per second
+                                // without waiting for earlier calls to finish (an "open" model). concurrency
+                                // is ignored, and argGenerator is called as needed for each call in flight.
+                                // See evloops.js#arrivalLoop().
+    maxInFlight: Infinity,      // If arrivals is set, the maximum calls to fun() running at once. Arrivals
+                                // beyond this are dropped.
+    dropped: null,              // If arrivals is set, put(1) is called on this object for each dropped arrival
+    share: 1                    // Fraction of rps, concurrency, maxInFlight and numberOfTimes to actually run.
+                                // This is used to split a job across several nodeload instances. Concurrency
+                                // is rounded to a whole number of at least 1. See Job.setShare().
 };
 /** A scheduler starts and monitors a group of Jobs. There should only be a single instance of Scheduler,
     SCHEDULER. See also the Job class below. */
@@ -660,6 +2834,9 @@ Scheduler.prototype = {
     the entire job group to be complete. Scheduler automatically stops all unmonitored jobs in the
     same group when all monitored jobs complete.
     
+    The rate and concurrency of a running job can be changed with setRate() and setConcurrency(), and it
+    can be paused with pause() and resume().
+    
     TODO: find a better implementation of concurrency that doesn't require interaction with Scheduler */
 function Job(scheduler, spec) {
     this.id = uid();
@@ -673,10 +2850,22 @@ function Job(scheduler, spec) {
     this.numberOfTimes = spec.numberOfTimes;
     this.delay = spec.delay;
     this.monitored = spec.monitored;
+    this.correctCoordinatedOmission = spec.correctCoordinatedOmission;
+    this.arrivals = spec.arrivals;
+    this.maxInFlight = spec.maxInFlight;
+    this.dropped = spec.dropped;
+    this.share = spec.share;
 
     this.callback = null;
     this.started = false;
     this.done = false;
+    this.parent = null;         // The job this job was cloned from to add concurrency
+    this.clones = [];           // Running clones of this job. See setConcurrency().
+    this.conditions = null;     // ConditionalLoop conditions, shared by a job and its clones
+    this.executions = 0;        // Number of calls to fun() started by the job and its clones
+    this.executionLimit = null; // Maximum value of executions, from numberOfTimes and share. See setShare().
+    this.limiter = null;        // The rpsLoop or arrivalLoop wrapping fun
+    this.paused = false;
     
     var job = this;
     this.warningTimeoutId = setTimeout(function() { qputs("WARN: a job" + job.id + " was not started; Job.start() called?") }, 3000);
@@ -684,7 +2873,8 @@ function Job(scheduler, spec) {
 Job.prototype = {
     /** Scheduler calls this method to start the job. The user defined function, callback, is called when the
         job completes. This function basically creates and starts a ConditionalLoop instance (which is an "event 
-        based loop"). To handle concurrency, jobs are cloned and the clones are added to the parent scheduler. */
+        based loop"). To handle concurrency, jobs are cloned and the clones are added to the parent scheduler.
+        Open jobs (arrivals != null) are never cloned; their arrivalLoop starts concurrent calls as needed. */
     start: function(callback) {
         clearTimeout(this.warningTimeoutId); // Cancel "didn't start job" warning
         clearTimeout(endTestTimeoutId); // Do not end the process if loop is started
@@ -695,60 +2885,180 @@ Job.prototype = {
             return;
             
         var job = this;
-        var fun = this.fun;
-        var conditions = [];
+        this.open = (this.arrivals != null);
+        if (this.open && !(this.rps < Infinity)) {
+            qputs("WARN: job" + this.id + " sets arrivals without a target rps; running as a closed loop.");
+            this.open = false;
+        }
 
-        for (var i = 1; i < this.concurrency; i++) {
-            var clone = this.clone();
-            clone.concurrency = 1;
-            if (clone.numberOfTimes != null) {
-                clone.numberOfTimes /= this.concurrency;
-            }
-            if (clone.rps != null) {
-                clone.rps /= this.concurrency;
+        if (this.parent == null) {
+            // Number of executions and duration are limits on the job as a whole, including clones
+            this.conditions = [];
+            if (this.numberOfTimes != null && this.numberOfTimes < Infinity) {
+                // Like maxExecutions(), but setShare() can change the limit while the job runs
+                this.executionLimit = Math.round(this.numberOfTimes * this.share);
+                this.conditions.push(function() { return job.executions++ < job.executionLimit });
             }
-            this.scheduler.addJob(clone);
-            this.scheduler.startJob(clone);
-        }
-        if (this.rps != null && this.rps < Infinity) {
-            var rps = this.rps;
-            if (this.concurrency > 1) {
-                rps /= this.concurrency;
+            if (this.duration != null && this.duration < Infinity) {
+                var duration = this.duration;
+                if (this.delay != null && this.delay > 0)
+                    duration += this.delay;
+                this.conditions.push(timeLimit(duration));
+                // Stop explicitly as well, in case the loop is paused waiting for a non-zero rate
+                this.durationTimeoutId = setTimeout(function() { job.stop() }, duration * 1000);
             }
-            fun = rpsLoop(rps, fun);
+        } else {
+            this.conditions = this.parent.conditions;
         }
-        if (this.numberOfTimes != null && this.numberOfTimes < Infinity) {
-            var numberOfTimes = this.numberOfTimes;
-            if (this.concurrency > 1) {
-                numberOfTimes /= this.concurrency;
+
+        if (this.open) {
+            this.limiter = arrivalLoop(this.localRps(), this.fun, {
+                arrivals: this.arrivals,
+                maxInFlight: this.localMaxInFlight(),
+                argGenerator: this.argGenerator,
+                dropped: this.dropped
+            });
+        } else {
+            this.limiter = rpsLoop(this.threadRps(), this.fun, this.correctCoordinatedOmission);
+            if (this.argGenerator != null) {
+                this.args = this.argGenerator();
             }
-            conditions.push(maxExecutions(numberOfTimes));
-        }
-        if (this.duration != null && this.duration < Infinity) {
-            var duration = this.duration;
-            if (this.delay != null && this.delay > 0)
-                duration += this.delay;
-            conditions.push(timeLimit(duration));
-        }
-        if (this.argGenerator != null) {
-            this.args = this.argGenerator();
         }
 
-        this.callback = callback;
-        this.loop = new ConditionalLoop(fun, this.args, conditions, this.delay);
-        this.loop.start(function() {
+        var finish = function() {
+            clearTimeout(job.durationTimeoutId);
             job.done = true;
             if (job.callback != null) {
                 job.callback();
             }
+        };
+        this.callback = callback;
+        this.startTime = new Date();
+        this.loop = new ConditionalLoop(this.limiter, this.args, this.conditions, this.delay);
+        this.loop.start(function() {
+            if (job.open) {
+                // Wait for calls that are still in flight
+                job.limiter.drain(finish);
+            } else {
+                finish();
+            }
         });
         
         this.started = true;
+
+        if (this.parent == null && !this.open) {
+            for (var i = 1; i < this.localConcurrency(); i++) {
+                this.addClone();
+            }
+        }
     },
     stop: function() {
+        for (var i in this.clones) {
+            this.clones[i].stop();
+        }
         if (this.loop != null) {
             this.loop.stop();
         }
+        if (this.limiter != null) {
+            this.limiter.stop();
+        }
+    },
+    /** Change the target number of calls per second to fun() for the job as a whole. The rate is split
+        evenly between the job and its clones. */
+    setRate: function(rps) {
+        if (this.parent != null)
+            return this.parent.setRate(rps);
+
+        this.rps = rps;
+        if (this.open) {
+            this.limiter.setRate(this.localRps());
+        } else {
+            var threads = [this].concat(this.clones);
+            for (var i in threads) {
+                if (threads[i].limiter != null) {
+                    threads[i].limiter.setRate(this.threadRps());
+                }
+            }
+        }
+    },
+    /** Change the number of concurrent calls to fun(). Clones are started or stopped as needed; a stopped
+        clone finishes its current call first. Open jobs are not limited by concurrency, so for them this only
+        records the value; their limit is maxInFlight. */
+    setConcurrency: function(concurrency) {
+        if (this.parent != null)
+            return this.parent.setConcurrency(concurrency);
+
+        this.concurrency = Math.max(1, Math.floor(concurrency));
+        if (this.started && !this.done && !this.open) {
+            var local = this.localConcurrency();
+            while (this.clones.length < local - 1) {
+                this.addClone();
+            }
+            while (this.clones.length > local - 1) {
+                this.clones.pop().stop();
+            }
+            this.setRate(this.rps);
+        }
+    },
+    /** Change the fraction of the job's rate, concurrency and number of calls to fun() that is run by this
+        nodeload instance (see JOB_DEFAULTS.share). Once the job has started, the calls it has left are scaled
+        by the change in share, so that when a slave drops out, the others take over the calls it had left. */
+    setShare: function(share) {
+        if (this.parent != null)
+            return this.parent.setShare(share);
+
+        var previous = this.share;
+        this.share = share;
+        if (this.started && !this.done) {
+            if (this.executionLimit != null) {
+                var remaining = Math.max(0, this.executionLimit - this.executions);
+                this.executionLimit = this.executions + ((previous > 0) ?
+                        Math.round(remaining * share / previous) : Math.round(this.numberOfTimes * share));
+            }
+            if (this.open) {
+                this.limiter.setMaxInFlight(this.localMaxInFlight());
+                this.setRate(this.rps);
+            } else {
+                this.setConcurrency(this.concurrency);
+            }
+        }
+    },
+    /** Stop calling fun() until resume() is called. Calls in progress are allowed to finish. The job's
+        duration includes the time it is paused. */
+    pause: function() {
+        if (this.parent != null)
+            return this.parent.pause();
+        this.paused = true;
+        this.setRate(this.rps);
+    },
+    resume: function() {
+        if (this.parent != null)
+            return this.parent.resume();
+        this.paused = false;
+        this.setRate(this.rps);
+    },
+    /** Target rate of each of the job's concurrent loops */
+    threadRps: function() {
+        var job = (this.parent != null) ? this.parent : this;
+        return job.localRps() / job.localConcurrency();
+    },
+    localRps: function() {
+        return this.paused ? 0 : this.rps * this.share;
+    },
+    localConcurrency: function() {
+        return Math.max(1, Math.round(this.concurrency * this.share));
+    },
+    localMaxInFlight: function() {
+        return Math.max(1, Math.round(this.maxInFlight * this.share));
+    },
+    addClone: function() {
+        var clone = this.clone();
+        clone.parent = this;
+        clone.concurrency = 1;
+        clone.delay = Math.max(0, this.delay - (new Date() - this.startTime) / 1000);
+        this.clones.push(clone);
+        this.scheduler.addJob(clone);
+        this.scheduler.startJob(clone);
     },
     clone: function() {
         var job = this;
@@ -761,7 +3071,12 @@ Job.prototype = {
             duration: job.duration,
             numberOfTimes: job.numberOfTimes,
             delay: job.delay,
-            monitored: job.monitored
+            monitored: job.monitored,
+            correctCoordinatedOmission: job.correctCoordinatedOmission,
+            arrivals: job.arrivals,
+            maxInFlight: job.maxInFlight,
+            dropped: job.dropped,
+            share: job.share
         });
         return other;
     },
@@ -778,26 +3093,73 @@ if (typeof SCHEDULER == "undefined")
 //
 // Distributed tests work as follows:
 // 1. One node is designated as master, and the others are slaves
-// 2. The master node POSTs a string containing valid javascript to http://slave/remote on each slave
-// 3. Each slave executes the javascript by calling eval().
+// 2. The master node POSTs a JSON job to http://slave/remote on each slave. A job contains test specs,
+//    and "modules" of Javascript (the specs' functions, or a script file), each named by its SHA1 hash.
+// 3. Each slave checks the job and its modules, and runs the tests or script.
 // 4. Each slave periodically POSTs statistics as a JSON string back to the master at http://master/remote/progress
 // 5. The master aggregates these statistics and generates reports just like a regular, non-distributed nodeloadlib instance
 //
+// Every request to /remote/* must be signed with the shared secret REMOTE_SECRET (see signRemoteRequest()).
+// Slaves reject all remote requests if REMOTE_SECRET is not set. Requests to /cluster/* and POSTs to /tests,
+// which control the running tests, must be signed the same way unless they come from the local machine.
+//
 
 var SLAVE_CONFIG = null;
 var WORKER_POOL = null;
 var SLAVE_PING_PERIOD = 3000;
+var SLAVE_REPORT_TIMEOUT = 1000;
+var SLAVE_REGISTRY = {};
+var SLAVE_HEARTBEAT_ID = null;
+var REMOTE_SIGNATURE_WINDOW = 300000;
+var REMOTE_FUNCTIONS = ['requestGenerator', 'requestLoop', 'reportFun'];
+// Functions nested in a test spec that can be sent to slaves: those of scenario steps and mix entries
+var REMOTE_NESTED_FUNCTIONS = /^(mix\.\d+\.)?(requestGenerator|scenario\.\d+\.(request|response))$/;
+
+if (typeof REMOTE_SECRET == "undefined") {
+    REMOTE_SECRET = null;
+    if (process.env['NODELOAD_SECRET'] != null) {
+        REMOTE_SECRET = process.env['NODELOAD_SECRET'];
+    }
+}
+
+// Relative amount of load this instance can generate as a slave, which it declares when it registers with
+// a master. Slaves that have not registered have a capacity of 1.
+if (typeof SLAVE_CAPACITY == "undefined") {
+    SLAVE_CAPACITY = 1;
+    if (process.env['NODELOAD_CAPACITY'] != null) {
+        SLAVE_CAPACITY = Number(process.env['NODELOAD_CAPACITY']);
+    }
+}
+
+// Number of pings in a row a slave may miss before the master considers it lost
+if (typeof SLAVE_MISSED_PINGS_ALLOWED == "undefined") {
+    SLAVE_MISSED_PINGS_ALLOWED = 3;
+    if (process.env['NODELOAD_MISSED_PINGS'] != null) {
+        SLAVE_MISSED_PINGS_ALLOWED = Number(process.env['NODELOAD_MISSED_PINGS']);
+    }
+}
 
 /** Returns a test that can be scheduled with `remoteStart(spec)` (See TEST_DEFAULTS in api.ja for a list
-    of the configuration values that can be provided in the test specification */
+    of the configuration values that can be provided in the test specification). The functions in spec
+    (requestGenerator, requestLoop, reportFun, and those of the steps of a scenario and entries of a mix)
+    are sent to the slaves as modules, so they cannot use variables from the enclosing scope. */
 remoteTest = function(spec) {
-    return "(function() {\n" +
-            "  var remoteSpec = JSON.parse('" + JSON.stringify(spec) + "');\n" +
-            "  remoteSpec.requestGenerator = " + spec.requestGenerator + ";\n" +
-            "  remoteSpec.requestLoop = " + spec.requestLoop + ";\n" +
-            "  remoteSpec.reportFun = " + spec.reportFun + ";\n" +
-            "  addTest(remoteSpec);\n" +
-            "})();\n";
+    var test = {spec: null, functions: {}, modules: {}};
+    var copy = function(value, path) {
+        if (typeof value == "function") {
+            test.functions[path] = addRemoteModule(test.modules, "exports.fun = " + value + ";");
+            return undefined;
+        } else if (value == null || typeof value != "object" || value instanceof RegExp) {
+            return value;
+        }
+        var result = (value instanceof Array) ? [] : {};
+        for (var i in value) {
+            result[i] = copy(value[i], (path == null) ? i : path + '.' + i);
+        }
+        return result;
+    };
+    test.spec = copy(spec, null);
+    return test;
 }
 
 /** Run the list of tests, created by remoteTest(spec), on the specified slaves. Slaves will periodically 
@@ -805,103 +3167,486 @@ remoteTest = function(spec) {
     is true, then the nodeload HTTP server will remain running. Otherwise, the server will automatically
     terminate once the tests are finished. */
 remoteStart = function(master, slaves, tests, callback, stayAliveAfterDone) {
-    var remoteFun = "";
+    var job = {tests: [], scripts: [], modules: {}};
+    for (var i in tests) {
+        job.tests.push({spec: tests[i].spec, functions: tests[i].functions});
+        for (var hash in tests[i].modules) {
+            job.modules[hash] = tests[i].modules[hash];
+        }
+    }
+    remoteSubmit(master, slaves, job, callback, stayAliveAfterDone);
+}
+
+/** Same as remoteStart(...), except runs a .js nodeload script rather than tests created using 
+    remoteTest(spec). The script should use `addTest()` and `startTests()` to create and start tests,
+    as if it were to run on the local machine, not remoteTest().  */
+remoteStartFile = function(master, slaves, filename, callback, stayAliveAfterDone) {
+    fs.readFile(filename, function (err, data) {
+        if (err != null) throw err;
+        data = data.toString().replace(/^#![^\n]+\n/, '// removed shebang directive from runnable script\n');
+        var job = {tests: [], scripts: [], modules: {}};
+        job.scripts.push(addRemoteModule(job.modules, data));
+        remoteSubmit(master, slaves, job, callback, stayAliveAfterDone);
+    });
+}
+
+/** Registers this nodeload instance as a slave of the master at "host:port". address is the "host:port" at
+    which the master can reach this instance, and defaults to localhost and this instance's HTTP server port.
+    The master splits the load of a test between its slaves in proportion to their SLAVE_CAPACITY.
+    Registration is repeated every SLAVE_PING_PERIOD ms as a heartbeat, so a slave can be started before the
+    master, and a slave that restarts is given the running job again. Slaves started with the NODELOAD_MASTER
+    environment variable (and optionally NODELOAD_SLAVE_ADDRESS) call this automatically. */
+registerWithMaster = function(master, address) {
+    var hostport = master.split(":"), client = null;
+    var register = function() {
+        if (client == null) {
+            client = http.createClient(hostport[1], hostport[0]);
+            client.on('error', function() { client = null });
+        }
+        var body = JSON.stringify({
+            address: address || ('localhost:' + HTTP_SERVER_PORT),
+            instance: START,
+            capacity: SLAVE_CAPACITY
+        });
+        sendRemoteRequest(client, hostport[0], 'POST', '/remote/register', body);
+    }
+    clearInterval(SLAVE_HEARTBEAT_ID);
+    SLAVE_HEARTBEAT_ID = setInterval(register, SLAVE_PING_PERIOD);
+    process.nextTick(register);
+}
+
+/** Returns the state of each slave known to this master: [{id: "host:port", state, lastReport, share}, ...].
+    state is "idle" for a registered slave that is not running a job, or one of the states of a slave in the
+    current RemoteWorkerPool: "notstarted", "running", "done", "error" (the slave rejected the job) or "lost"
+    (it stopped responding to pings). share is the fraction of the total load generated by the slave. */
+remotePoolStatus = function() {
+    var status = [], slaves = (WORKER_POOL != null) ? WORKER_POOL.slaves : {};
+    for (var i in slaves) {
+        status.push({
+            id: i,
+            state: slaves[i].state,
+            lastReport: slaves[i].lastReport,
+            share: WORKER_POOL.shareOf(slaves[i])
+        });
+    }
+    for (var i in SLAVE_REGISTRY) {
+        if (slaves[i] == null) {
+            var alive = isRegistered(SLAVE_REGISTRY[i]);
+            status.push({id: i, state: alive ? "idle" : "lost", lastReport: SLAVE_REGISTRY[i].lastSeen, share: 0});
+        }
+    }
+    return status;
+}
+
+/** Stops the tests on every slave in the running remote test. callback(confirmed, unconfirmed), if given, is
+    called with the lists of slaves that did and did not acknowledge the request. The remote test completes
+    as usual once the slaves have stopped. */
+remoteStop = function(callback) {
+    remoteControl('/remote/stop', 'stop', callback);
+}
+
+/** Pauses the tests on every slave in the running remote test until remoteResume() is called. See
+    pauseTests() and remoteStop(). The pause is marked in the master's stats log and charts. */
+remotePause = function(callback) {
+    remoteControl('/remote/pause', 'pause', callback);
+}
+
+remoteResume = function(callback) {
+    remoteControl('/remote/resume', 'resume', callback);
+}
+
+// =================
+// Private methods
+// =================
+/** Sends a stop, pause or resume request, url, to all the slaves in WORKER_POOL and logs the event */
+function remoteControl(url, event, callback) {
+    if (WORKER_POOL == null || WORKER_POOL.callback == null) {
+        qputs("WARN: no remote test is running.");
+        if (callback != null) {
+            callback([], []);
+        }
+        return;
+    }
+    if (event == 'pause') {
+        WORKER_POOL.paused = true;
+    } else if (event == 'resume') {
+        WORKER_POOL.paused = false;
+    }
+    WORKER_POOL.broadcast(url, function(confirmed, unconfirmed) {
+        qputs("\nRemote " + event + " confirmed by " + confirmed.length + " of " + 
+                (confirmed.length + unconfirmed.length) + " slaves.");
+        if (unconfirmed.length > 0) {
+            qputs("WARN: no confirmation from " + unconfirmed.join(', '));
+        }
+        logTestEvent(event, {confirmed: confirmed, unconfirmed: unconfirmed});
+        if (callback != null) {
+            callback(confirmed, unconfirmed);
+        }
+    });
+}
+
+/** Returns the addresses of the slaves that have registered with this master and are still sending
+    heartbeats */
+function registeredSlaves() {
+    var slaves = [];
+    for (var i in SLAVE_REGISTRY) {
+        if (isRegistered(SLAVE_REGISTRY[i])) {
+            slaves.push(i);
+        }
+    }
+    if (slaves.length == 0) {
+        qputs("WARN: no slaves have registered with this master.");
+    }
+    return slaves;
+}
+
+function isRegistered(entry) {
+    return (new Date() - entry.lastSeen) < SLAVE_PING_PERIOD * SLAVE_MISSED_PINGS_ALLOWED;
+}
+
+/** Records a registration or heartbeat POSTed by a slave to http://master/remote/register */
+function receiveRegistration(registration) {
+    var entry = SLAVE_REGISTRY[registration.address];
+    if (entry == null) {
+        qputs("Slave " + registration.address + " registered.");
+        entry = SLAVE_REGISTRY[registration.address] = {};
+    }
+    entry.instance = registration.instance;
+    entry.capacity = (registration.capacity > 0) ? registration.capacity : 1;
+    entry.lastSeen = new Date();
+    if (WORKER_POOL != null && WORKER_POOL.callback != null) {
+        WORKER_POOL.admit(registration.address, registration.instance);
+    }
+}
+
+/** Creates a new http.Client for a slave in a RemoteWorkerPool. If the connection fails, the client is
+    replaced so the slave can be reached again if it comes back. */
+function resetSlaveClient(slave) {
+    slave.client = http.createClient(slave.port, slave.host);
+    slave.client.on('error', function() {
+        resetSlaveClient(slave);
+    });
+}
+
+/** Returns the pool status for the summary report */
+function remoteSlavesSummary() {
+    var status = remotePoolStatus(), summary = {};
+    for (var i = 0; i < status.length; i++) {
+        var s = status[i];
+        summary[s.id] = s.state + ", share " + (s.share * 100).toFixed(0) + "%" +
+                        ((s.lastReport != null) ? ", last report " + s.lastReport.toTimeString() : "");
+    }
+    if (WORKER_POOL != null) {
+        summary['intervals missing slaves'] = WORKER_POOL.incompleteIntervals;
+        summary['late reports'] = WORKER_POOL.late;
+    }
+    return summary;
+}
+
+/** Creates a RemoteWorkerPool with the given master and slaves and submits the job to every slave node
+    in the pool. If slaves is null, the registered slaves are used. job is {tests: [{spec, functions}], scripts: [hash], modules: {hash: source}}. callback
+    and stayAliveAfterDone are the same as for remoteStart(). */
+function remoteSubmit(master, slaves, job, callback, stayAliveAfterDone) {
+    if (REMOTE_SECRET == null)
+        throw "Set REMOTE_SECRET or the NODELOAD_SECRET environment variable to run remote tests";
+    WORKER_POOL = new RemoteWorkerPool(master, slaves);
+    WORKER_POOL.job = job;
+    WORKER_POOL.start(callback, stayAliveAfterDone);
+}
+
+/** Adds the Javascript source to the map of modules, keyed by its SHA1 hash, and returns the hash */
+function addRemoteModule(modules, source) {
+    var hash = crypto.createHash('sha1').update(source, 'utf8').digest('hex');
+    modules[hash] = source;
+    return hash;
+}
+
+/** Runs the Javascript source of a module, which sets its exports like a node.js module, and returns the
+    exports. Modules run in the global context, so they can call nodeloadlib functions like addTest(). */
+function loadRemoteModule(hash, source) {
+    var exports = {};
+    process.compile("(function(exports) {" + source + "\n})", "remote-module-" + hash)(exports);
+    return exports;
+}
+
+/** Checks that job, POSTed by the master to http://slave/remote, is well formed and that every module it
+    references is present and matches its hash. Returns a description of the first problem, or null. */
+function validateRemoteJob(job) {
+    if (job == null || typeof job != "object")
+        return "job must be a JSON object";
+    if (typeof job.slaveId != "string")
+        return "slaveId must be a string";
+    if (job.master != null && typeof job.master != "string")
+        return "master must be a string of the form host:port";
+    if ((job.epoch != null && typeof job.epoch != "number") || (job.masterTime != null && typeof job.masterTime != "number"))
+        return "epoch and masterTime must be numbers";
+    if (job.share != null && !isValidShare(job.share))
+        return "share must be a number between 0 and 1";
+    if (job.partition != null && (typeof job.partition.index != "number" || typeof job.partition.count != "number" || !(job.partition.count >= 1)))
+        return "partition must be {index: number, count: number}";
+    if (!(job.tests instanceof Array) || !(job.scripts instanceof Array))
+        return "tests and scripts must be lists";
+    if (job.modules == null || typeof job.modules != "object")
+        return "modules must be a map of hash to source";
+
+    var hashes = job.scripts.slice();
+    for (var i = 0; i < job.tests.length; i++) {
+        var test = job.tests[i];
+        if (test == null || test.spec == null || typeof test.spec != "object")
+            return "tests[" + i + "].spec must be an object";
+        for (var name in test.functions) {
+            if (REMOTE_FUNCTIONS.indexOf(name) < 0 && remoteNestedFunction(test.spec, name) == null)
+                return "tests[" + i + "].functions." + name + " is not one of " + REMOTE_FUNCTIONS.join(', ') +
+                       " or a function of a scenario step or mix entry";
+            hashes.push(test.functions[name]);
+        }
+    }
+    for (var i = 0; i < hashes.length; i++) {
+        var source = job.modules[hashes[i]];
+        if (typeof source != "string")
+            return "missing module " + hashes[i];
+        if (crypto.createHash('sha1').update(source, 'utf8').digest('hex') != hashes[i])
+            return "module " + hashes[i] + " does not match its hash";
+    }
+    return null;
+}
+
+/** Runs a job that has been checked by validateRemoteJob(). The tests in job.tests are added and started,
+    and the scripts in job.scripts are run. */
+function runRemoteJob(job) {
+    registerSlave(job.slaveId, job.master, job.epoch, job.masterTime);
+    if (job.share != null) {
+        SLAVE_CONFIG.share = job.share;
+    }
+    SLAVE_CONFIG.partition = job.partition;
+    for (var i = 0; i < job.tests.length; i++) {
+        var spec = job.tests[i].spec;
+        for (var name in job.tests[i].functions) {
+            var hash = job.tests[i].functions[name];
+            var fun = loadRemoteModule(hash, job.modules[hash]).fun;
+            var nested = remoteNestedFunction(spec, name);
+            if (nested != null) {
+                nested.object[nested.field] = fun;
+            } else {
+                spec[name] = fun;
+            }
+        }
+        addTest(spec);
+    }
+    for (var i = 0; i < job.scripts.length; i++) {
+        loadRemoteModule(job.scripts[i], job.modules[job.scripts[i]]);
+    }
+    if (job.tests.length > 0) {
+        startTests();
+    }
+}
+
+/** Finds where a nested function in a remote job's test.functions, e.g. 'mix.1.scenario.0.request', goes in
+    spec. Returns {object, field}, or null if name is not one of REMOTE_NESTED_FUNCTIONS or its object is not
+    in spec. */
+function remoteNestedFunction(spec, name) {
+    if (!name.match(REMOTE_NESTED_FUNCTIONS))
+        return null;
+    var path = name.split('.'), object = spec;
+    for (var i = 0; i < path.length - 1; i++) {
+        var list = (i % 2 == 0);
+        object = object[path[i]];
+        if (object == null || typeof object != "object" || (object instanceof Array) != list)
+            return null;
+    }
+    return {object: object, field: path[path.length-1]};
+}
+
+function isValidShare(share) {
+    return typeof share == "number" && share >= 0 && share <= 1;
+}
+
+/** Changes the fraction of the load of each test that is run by this slave. The test specs give the total
+    load of a test across all the slaves. */
+function setLoadShare(share) {
+    if (SLAVE_CONFIG == null)
+        return;
+    SLAVE_CONFIG.share = share;
     for (var i in tests) {
-        remoteFun += tests[i];
+        tests[i].setShare(share);
     }
-    remoteFun += "startTests();\n";
-    remoteSubmit(master, slaves, remoteFun, callback, stayAliveAfterDone);
 }
 
-/** Same as remoteStart(...), except runs a .js nodeload script rather than tests created using 
-    remoteTest(spec). The script should use `addTest()` and `startTests()` to create and start tests,
-    as if it were to run on the local machine, not remoteTest().  */
-remoteStartFile = function(master, slaves, filename, callback, stayAliveAfterDone) {
-    fs.readFile(filename, function (err, data) {
-        if (err != null) throw err;
-        data = data.replace(/^#![^\n]+\n/, '// removed shebang directive from runnable script\n');
-        remoteSubmit(master, slaves, data, callback, stayAliveAfterDone);
+/** Returns the signature of a remote request, which is the HMAC-SHA1 of the method, url, timestamp and
+    body keyed with REMOTE_SECRET. */
+function signRemoteRequest(method, url, timestamp, body) {
+    var hmac = crypto.createHmac('sha1', REMOTE_SECRET);
+    hmac.update(method + " " + url + "\n" + timestamp + "\n" + body, 'utf8');
+    return hmac.digest('hex');
+}
+
+/** Sends a request signed with REMOTE_SECRET to another nodeload instance using client, and returns the
+    http.ClientRequest. body is a string, or null. */
+function sendRemoteRequest(client, host, method, url, body) {
+    body = body || "";
+    var timestamp = String(new Date().getTime());
+    var req = client.request(method, url, {
+        'host': host,
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(body, 'utf8'),
+        'x-nodeload-timestamp': timestamp,
+        'x-nodeload-signature': signRemoteRequest(method, url, timestamp, body)
     });
+    req.write(body, 'utf8');
+    req.end();
+    return req;
 }
 
-// =================
-// Private methods
-// =================
-/** Creates a RemoteWorkerPool with the given master and slave and runs the specified code, fun, on 
-    every slave node in the pool. fun is a string containing valid Javascript. callback and 
-    stayAliveAfterDone are the same as for remoteStart(). */
-function remoteSubmit(master, slaves, fun, callback, stayAliveAfterDone) {
-    WORKER_POOL = new RemoteWorkerPool(master, slaves);
-    WORKER_POOL.fun = fun;
-    WORKER_POOL.start(callback, stayAliveAfterDone);
+/** Checks the signature of a request received at /remote/*. Returns a description of the problem if the
+    request is not properly signed, or null. Requests are rejected if REMOTE_SECRET is not set, or if they
+    were signed more than REMOTE_SIGNATURE_WINDOW ms from now, which limits the replay of old requests. */
+function verifyRemoteRequest(req, body) {
+    if (REMOTE_SECRET == null)
+        return "remote tests are disabled; set REMOTE_SECRET or NODELOAD_SECRET";
+    var timestamp = req.headers['x-nodeload-timestamp'], signature = req.headers['x-nodeload-signature'];
+    if (timestamp == null || signature == null)
+        return "request is not signed";
+    if (!(Math.abs(new Date().getTime() - Number(timestamp)) <= REMOTE_SIGNATURE_WINDOW))
+        return "request timestamp is too old or too far in the future";
+
+    // Compare every character so the time taken does not reveal how much of the signature matched
+    var expected = signRemoteRequest(req.method, req.url, timestamp, body), diff = 0;
+    if (expected.length != signature.length)
+        return "invalid signature";
+    for (var i = 0; i < expected.length; i++) {
+        diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+    }
+    return (diff == 0) ? null : "invalid signature";
+}
+
+/** Checks a request that controls the running tests, i.e. to /cluster/* or a POST to /tests. These are
+    accepted from the local machine, e.g. from the buttons of the HTML report, and from other hosts if they
+    are signed like requests to /remote/* (see verifyRemoteRequest()). Returns a description of the problem
+    if the request is not allowed, or null. */
+function verifyControlRequest(req, body) {
+    var address = String(req.connection.remoteAddress);
+    if (address.match(/^(::ffff:)?127\./) || address == '::1')
+        return null;
+    var error = verifyRemoteRequest(req, body);
+    return (error == null) ? null : "requests from other hosts must be signed: " + error;
 }
 
 /** Converts this nodeload instance into a slave node by defining the global variable SLAVE_CONFIG.
-    A slave node differ from normal (master) node because it sends statistics to a master node. */
-function registerSlave(id, master) {
-    SLAVE_CONFIG = new RemoteSlave(id, master);
+    A slave node differ from normal (master) node because it sends statistics to a master node. epoch
+    is the time the master started the job and masterTime is the master's current time, in ms. */
+function registerSlave(id, master, epoch, masterTime) {
+    SLAVE_CONFIG = new RemoteSlave(id, master, epoch, masterTime);
 }
 
 /** A RemoteSlave represents a slave nodeload instance. RemoteSlave.reportProgress() POSTs statistics
     as a JSON formatted string to http://master/remote/progress. */
-function RemoteSlave(id, master) {
+function RemoteSlave(id, master, epoch, masterTime) {
     var master = (master == null) ? ["", 0] : master.split(":");
     this.id = id;
     this.masterhost = master[0];
     this.master = http.createClient(master[1], master[0]);
+    // Reports are timestamped with the master's clock, so that the master can line up the reports
+    // from all its slaves even if their clocks differ
+    this.clockOffset = (masterTime != null) ? masterTime - new Date().getTime() : 0;
+    this.share = 1;
+    this.partition = null;
+    this.started = this.now();
+    this.epoch = (epoch != null) ? epoch : this.started;
+    this.streams = {};
 }
 RemoteSlave.prototype = {
+    now: function() {
+        return new Date().getTime() + this.clockOffset;
+    },
     sendReport: function(url, object) {
-        var s = JSON.stringify(object);
-        var req = this.master.request('POST', url, {'host': this.masterhost, 'content-length': s.length});
-        req.write(s);
-        req.end();
+        sendRemoteRequest(this.master, this.masterhost, 'POST', url, JSON.stringify(object));
     },
+    /** Sends the interval statistics in stats to the master. The reports from each progressReportLoop form
+        a stream, named by the names of its stats. Each report is tagged with the start and end of its
+        interval and a sequence number, which is the number of intervals since epoch. This lets the
+        master match up reports from slaves that joined the job late. */
     reportProgress: function(stats) {
-        this.sendReport('/remote/progress', {slaveId: this.id, stats: stats});
+        var names = [];
+        for (var i in stats) {
+            names.push(stats[i].name);
+        }
+        var name = names.join(','), now = this.now(), stream = this.streams[name];
+        if (stream == null) {
+            var intervalLength = Math.max(1, now - this.started);
+            stream = this.streams[name] = {
+                seq: Math.max(1, Math.round((now - this.epoch) / intervalLength)) - 1,
+                last: this.started
+            };
+        }
+        stream.seq++;
+        this.sendReport('/remote/progress', {
+            slaveId: this.id,
+            stream: name,
+            seq: stream.seq,
+            start: stream.last,
+            end: now,
+            stats: stats
+        });
+        stream.last = now;
     },
 }
 /** Represents a pool of nodeload instances with one master and multiple slaves. master and each slave 
-    is specified as a string "host:port". Each slave node executes the Javascript specified in the "fun"
-    string, and upon completion, "callback" is executed. */
+    is specified as a string "host:port". Each slave node runs the job (see remoteSubmit()), and upon
+    completion, "callback" is executed. If slaves is null, the pool uses the slaves that registered with
+    this master (see registerWithMaster()), and slaves that register while the job is running join it. */
 function RemoteWorkerPool(master, slaves) {
     this.master = master;
     this.slaves = {};
-    this.fun = null;
+    this.dynamic = (slaves == null);
+    this.job = null;
     this.callback = null;
     this.pingId = null;
-    this.progressId = null;
+    this.epoch = null;
     this.stats = {};
+    this.streams = {};
+    this.incompleteIntervals = 0;
+    this.late = 0;
+    this.paused = false;
+    this.nextPartition = 0;
+    this.partitions = 1;
 
+    if (slaves == null) {
+        slaves = registeredSlaves();
+    }
     for (var i in slaves) {
-        var slave = slaves[i].split(":");
-        this.slaves[slaves[i]] = {
-            id: slaves[i],
-            state: "notstarted",
-            host: slave[0], 
-            client: http.createClient(slave[1], slave[0])
-        };
+        this.addSlave(slaves[i]);
     }
 }
 RemoteWorkerPool.prototype = {
-    /** Run the Javascript in the string RemoteWorkerPool.fun on each of the slave node and register
-        a periodic alive check for each slave. */
+    /** Adds the slave at address "host:port" to the pool. The job is not submitted until start() or admit() */
+    addSlave: function(address) {
+        var registration = SLAVE_REGISTRY[address];
+        var hostport = address.split(":");
+        var slave = this.slaves[address] = {
+            id: address,
+            state: "notstarted",
+            host: hostport[0],
+            port: hostport[1],
+            instance: null,
+            waiting: false,
+            missed: 0,
+            lastReport: null,
+            capacity: (registration != null) ? registration.capacity : 1,
+            partition: this.nextPartition++
+        };
+        resetSlaveClient(slave);
+        return slave;
+    },
+    /** Submit RemoteWorkerPool.job to each of the slave nodes and register a periodic alive check for
+        each slave. */
     start: function(callback, stayAliveAfterDone) {
-        // Construct a Javascript string which converts a nodeloadlib instance to a slave, and wraps
-        // executes the contents of "fun" by placing it in an anonymous function call:
-        //      registerSlave(slave-id, master-host:port);
-        //      (function() { 
-        //          contents of "fun", which usually contains calls to addTest(), startTests(), etc
-        //      })()
-        var fun = "(function() {" + this.fun + "})();";
+        this.epoch = new Date().getTime();
+        // Feeder files are split between the slaves in the pool when it starts. Slaves that join later (or
+        // every slave after the first, if the pool starts empty) get partitions with no rows, and a slave
+        // that restarts starts its partition over.
+        this.partitions = Math.max(1, this.nextPartition);
         for (var i in this.slaves) {
-            var slave = this.slaves[i];
-            var slaveFun = "registerSlave('" + i + "','" + this.master + "');\n" + fun;
-            // POST the Javascript string to each slave which will eval() it.
-            var r = slave.client.request('POST', '/remote', {'host': slave.host, 'content-length': slaveFun.length});
-            r.write(slaveFun);
-            r.end();
-            slave.state = "running";
+            this.submit(this.slaves[i]);
         }
 
         // Register a period ping to make sure slave is still alive
@@ -909,19 +3654,125 @@ RemoteWorkerPool.prototype = {
         this.pingId = setInterval(function() { worker.sendPings() }, SLAVE_PING_PERIOD);
         this.callback = testsComplete(callback, stayAliveAfterDone);
         summaryStats = [this.stats];
+        addReportSection('Remote slaves', remoteSlavesSummary);
+    },
+    /** POST the job to a slave */
+    submit: function(slave) {
+        // The slave uses slaveId to identify itself in its progress reports to the master, and epoch and
+        // masterTime to number its reports by the intervals of the master's clock since the job started.
+        slave.state = "running";
+        var job = {slaveId: slave.id, master: this.master, epoch: this.epoch, masterTime: new Date().getTime()};
+        job.share = this.shareOf(slave);
+        job.partition = {index: slave.partition, count: this.partitions};
+        for (var field in this.job) {
+            job[field] = this.job[field];
+        }
+        var r = sendRemoteRequest(slave.client, slave.host, 'POST', '/remote', JSON.stringify(job));
+        r.on('response', rejected(slave));
+        slave.waiting = false;
+        slave.missed = 0;
+        slave.instance = (SLAVE_REGISTRY[slave.id] != null) ? SLAVE_REGISTRY[slave.id].instance : null;
+    },
+    /** Called when a slave registers with the master while the job is running. A slave that is not yet in
+        the pool (if the pool was created without a list of slaves), or that has restarted since it was given
+        the job, is (re)admitted to the pool and sent the job. */
+    admit: function(address, instance) {
+        var slave = this.slaves[address];
+        if (slave == null && this.dynamic) {
+            qprint("\nSlave " + address + " joined.");
+            this.submit(this.addSlave(address));
+            this.rebalance();
+        } else if (slave != null && slave.instance != instance && slave.state != "error") {
+            qprint("\nSlave " + address + " restarted; resending job.");
+            this.submit(slave);
+            this.rebalance();
+        } else if (slave != null && slave.capacity != SLAVE_REGISTRY[address].capacity) {
+            slave.capacity = SLAVE_REGISTRY[address].capacity;
+            this.rebalance();
+        }
+    },
+    /** Returns the fraction of the total load of the job that should be generated by slave. The load is
+        split between the slaves that are running or about to be started, in proportion to their capacity. */
+    shareOf: function(slave) {
+        if (slave.state != "running" && slave.state != "notstarted")
+            return 0;
+        var total = 0;
+        for (var i in this.slaves) {
+            if (this.slaves[i].state == "running" || this.slaves[i].state == "notstarted") {
+                total += this.slaves[i].capacity;
+            }
+        }
+        return slave.capacity / total;
+    },
+    /** POSTs to url on every running slave. callback(confirmed, unconfirmed) is called with the lists of
+        slaves that did and did not respond with 200 OK within SLAVE_PING_PERIOD ms. */
+    broadcast: function(url, callback) {
+        var confirmed = [], unconfirmed = [], pending = 0, timeoutId = null;
+        var done = function() {
+            if (callback == null)
+                return;
+            clearTimeout(timeoutId);
+            for (var i in replied) {
+                if (!replied[i]) {
+                    unconfirmed.push(i);
+                }
+            }
+            var cb = callback;
+            callback = null;
+            cb(confirmed, unconfirmed);
+        }
+        var replied = {};
+        for (var i in this.slaves) {
+            var slave = this.slaves[i];
+            if (slave.state != "running")
+                continue;
+            pending++;
+            replied[i] = false;
+            var r = sendRemoteRequest(slave.client, slave.host, 'POST', url);
+            r.on('response', (function(id) { return function(response) {
+                replied[id] = true;
+                if (response.statusCode == 200) {
+                    confirmed.push(id);
+                } else {
+                    unconfirmed.push(id);
+                }
+                if (--pending == 0) {
+                    done();
+                }
+            }})(i));
+        }
+        if (pending == 0) {
+            done();
+        } else {
+            timeoutId = setTimeout(done, SLAVE_PING_PERIOD);
+        }
+    },
+    /** Sends each running slave its current share of the load, after a slave has joined or dropped out.
+        The slave adjusts the rate and concurrency of its tests (see setLoadShare()). */
+    rebalance: function() {
+        for (var i in this.slaves) {
+            var slave = this.slaves[i];
+            if (slave.state == "running") {
+                var body = JSON.stringify({share: this.shareOf(slave)});
+                var r = sendRemoteRequest(slave.client, slave.host, 'POST', '/remote/share', body);
+                r.on('response', rejected(slave));
+            }
+        }
     },
     /** Called after each round of slave pings to see if all the slaves have finished. A slave is "finished"
-        if it reports that it finished successfully, or if it fails to respond to a ping and flagged with
-        an error state. When all slaves are finished, the overall test is considered complete and the user 
-        defined callback function is called. */
+        if it reports that it finished successfully, if it rejected the job, or if it missed too many pings
+        and is flagged as lost. When all slaves are finished, the overall test is considered complete and
+        the user defined callback function is called. */
     checkFinished: function() {
         for (var i in this.slaves) {
-            if (this.slaves[i].state != "done" && this.slaves[i].state != "error") {
+            var state = this.slaves[i].state;
+            if (state != "done" && state != "error" && state != "lost") {
                 return;
             }
         }
         qprint("\nRemote tests complete.");
-        
+        this.reportAllIntervals();
+
         var callback = this.callback;
         clearInterval(this.pingId);
         this.callback = null;
@@ -930,117 +3781,339 @@ RemoteWorkerPool.prototype = {
             callback();
         }
     },
+    /** Called whenever a slave responds to a ping or sends a progress report. A lost slave that responds
+        again is re-admitted to the pool. */
+    heardFrom: function(slave) {
+        slave.waiting = false;
+        slave.missed = 0;
+        if (slave.state == "lost") {
+            qprint("\nSlave " + slave.id + " is back.");
+            slave.state = "running";
+            this.rebalance();
+        }
+    },
     /** Issue a GET request to each slave at "http://slave/remote/state". This function is called every
-        SLAVE_PING_PERIOD seconds. If a slave fails to respond in that amount of time, it is flagged with
-        an error state. A slave will report that it is "done" when its SCHEDULER is no longer running, i.e.
-        all its tests ran to completion (or no tests were started, because "fun" didn't call to startTests()). */
+        SLAVE_PING_PERIOD seconds. If a slave fails to respond to SLAVE_MISSED_PINGS_ALLOWED pings in a row,
+        it is flagged as lost, but is still pinged in case it comes back. A slave will report that it is
+        "done" when its SCHEDULER is no longer running, i.e. all its tests ran to completion (or no tests
+        were started, because the job's script didn't call startTests()). */
     sendPings: function() {
         var worker = this;
         // Read the response from ping() (GET /remote/state)
         var pong = function(slave) { return function(response) {
-            if (slave.state == "ping") {
-                if (response.statusCode == 200) {
-                    slave.state = "running";
-                } else if (response.statusCode == 410) {
+            if (response.statusCode == 200) {
+                worker.heardFrom(slave);
+            } else if (response.statusCode == 410) {
+                worker.heardFrom(slave);
+                if (slave.state != "done") {
                     qprint("\n" + slave.id + " done.");
                     slave.state = "done";
                 }
+            } else {
+                rejected(slave)(response);
             }
         }}
         // Send GET to /remote/state
         var ping = function(slave) {
-            slave.state = "ping";
-            var r = slave.client.request('GET', '/remote/state', {'host': slave.host, 'content-length': 0});
+            slave.waiting = true;
+            var r = sendRemoteRequest(slave.client, slave.host, 'GET', '/remote/state');
             r.on('response', pong(slave));
-            r.end();
         }
 
-        // Verify every slave responded to the last round of pings. Send ping to slave that are still alive.
+        // Count the slaves that did not respond to the last round of pings, and ping the slaves that may
+        // still be running.
+        var lost = false;
         for (var i in this.slaves) {
-            if (this.slaves[i].state == "ping") {
-                qprint("\nWARN: slave " + i + " unresponsive.");
-                this.slaves[i].state = "error";
-            } else if (this.slaves[i].state == "running") {
-                ping(this.slaves[i]);
+            var slave = this.slaves[i];
+            if (slave.waiting && slave.state == "running") {
+                slave.missed++;
+                if (slave.missed >= SLAVE_MISSED_PINGS_ALLOWED) {
+                    qprint("\nWARN: slave " + i + " unresponsive after " + slave.missed + " pings.");
+                    slave.state = "lost";
+                    lost = true;
+                }
+            }
+            if (slave.state == "running" || slave.state == "lost") {
+                ping(slave);
             }
         }
-        this.checkFinished();
-    },
-    /** Every time the master receives a progress report is received from a slave, update the overall 
-        statistics. Since all the slaves will be on the same reporting schedule, we can expect the master
-        to receive progress reports from all slaves at approxmiate the same time. We allow a 500ms window
-        between the first and last report to arrive before updating the master stats. */
-    scheduleProgressReport: function() {
-        if (this.progressId == null) {
-            var worker = this;
-            this.progressId = setTimeout(function() { 
-                defaultProgressReport(worker.stats);
-                worker.progressId = null;
-            }, 500);
+        if (lost) {
+            this.rebalance();
         }
+        this.checkFinished();
     },
-    /** Process data received POSTed by a slave to http://master/remote/progress */
+    /** Process data received POSTed by a slave to http://master/remote/progress. Each report contains the
+        statistics of one interval of one of the slave's streams of reports (one per progressReportLoop, see
+        RemoteSlave.reportProgress()). The master reports an interval once every running slave has sent its
+        statistics for it, or SLAVE_REPORT_TIMEOUT ms after the first slave did, and lists the slaves that
+        are missing. Reports for an interval that has already been reported, and repeated reports, are only
+        added to the cumulative statistics, so that they are not counted in the wrong interval or twice. */
     receiveProgress: function(report) {
-        if (this.slaves[report.slaveId] == null)
+        var slave = this.slaves[report.slaveId];
+        if (slave == null)
+            return;
+        this.heardFrom(slave);
+        slave.lastReport = new Date();
+
+        var worker = this, seq = report.seq;
+        var stream = this.streams[report.stream];
+        if (stream == null) {
+            stream = this.streams[report.stream] = {stats: {}, reported: 0, intervals: {}};
+        }
+        var interval = stream.intervals[seq];
+        if (seq <= stream.reported || (interval != null && interval.reports[report.slaveId] != null)) {
+            this.late++;
+            this.mergeStats(stream, report.stats, true);
             return;
-        this.slaves[report.slaveId].state = "running";
-        for (var i in report.stats) {
-            var stat = report.stats[i].name;
+        }
+        if (interval == null) {
+            interval = stream.intervals[seq] = {start: report.start, end: report.end, reports: {}};
+            interval.timeoutId = setTimeout(function() { worker.reportIntervals(stream, seq) }, SLAVE_REPORT_TIMEOUT);
+        }
+        interval.reports[report.slaveId] = report.stats;
+        interval.start = Math.min(interval.start, report.start);
+        interval.end = Math.max(interval.end, report.end);
+
+        for (var i in this.slaves) {
+            if (this.slaves[i].state == "running" && interval.reports[i] == null) {
+                return;
+            }
+        }
+        this.reportIntervals(stream, seq);
+    },
+    /** Reports every interval in stream up to and including seq which has not been reported yet */
+    reportIntervals: function(stream, seq) {
+        for (var s = stream.reported + 1; s <= seq; s++) {
+            var interval = stream.intervals[s];
+            if (interval == null)
+                continue;
+            clearTimeout(interval.timeoutId);
+            delete stream.intervals[s];
+
+            var status = {interval: s, start: new Date(interval.start), end: new Date(interval.end)}, missing = [];
+            if (this.paused) {
+                status.paused = true;
+            }
+            for (var i in interval.reports) {
+                this.mergeStats(stream, interval.reports[i], false);
+            }
+            for (var i in this.slaves) {
+                var state = this.slaves[i].state;
+                if ((state == "running" || state == "lost") && interval.reports[i] == null) {
+                    missing.push(i);
+                }
+            }
+            if (missing.length > 0) {
+                status.missing = missing;
+                this.incompleteIntervals++;
+            }
+            defaultProgressReport(stream.stats, status);
+        }
+        stream.reported = Math.max(stream.reported, seq);
+    },
+    /** Reports all the intervals still waiting for slaves */
+    reportAllIntervals: function() {
+        for (var i in this.streams) {
+            var last = 0;
+            for (var seq in this.streams[i].intervals) {
+                last = Math.max(last, Number(seq));
+            }
+            this.reportIntervals(this.streams[i], last);
+        }
+    },
+    /** Adds the statistics in a slave's report to the master's statistics. If cumulativeOnly is true, the
+        statistics for the current interval are not changed. */
+    mergeStats: function(stream, stats, cumulativeOnly) {
+        for (var i in stats) {
+            var stat = stats[i].name;
             if (this.stats[stat] == null) {
-                var backend = statsClassFromString(report.stats[i].interval.type);
-                this.stats[stat] = new Reportable([backend, report.stats[i].interval.params], stat, report.stats[i].addToHttpReport);
+                var backend = statsClassFromString(stats[i].interval.type);
+                this.stats[stat] = new Reportable([backend, stats[i].interval.params], stat, stats[i].addToHttpReport);
+            }
+            stream.stats[stat] = this.stats[stat];
+            if (cumulativeOnly) {
+                this.stats[stat].cumulative.merge(stats[i].interval);
+            } else {
+                this.stats[stat].merge(stats[i].interval);
             }
-            this.stats[stat].merge(report.stats[i].interval);
         }
-        this.scheduleProgressReport();
     },
 }
 
-/** Handler for all the requests to /remote. See http.js#startHttpServer(). */
-function serveRemote(url, req, res) {
-    var readBody = function(req, callback) {
+/** Handler for requests to /cluster, used by the buttons on the HTML report of a master. POST to
+    /cluster/stop, /cluster/pause or /cluster/resume calls remoteStop(), remotePause() or remoteResume(),
+    and responds with {confirmed: [slaves], unconfirmed: [slaves]}. Requests from other hosts must be signed
+    (see verifyControlRequest()), or get a 401 or 403 response. See http.js#startHttpServer(). */
+function serveCluster(url, req, res) {
+    var send = function(status, obj) {
+        var s = JSON.stringify(obj);
+        res.writeHead(status, {"Content-Type": "application/json", "Content-Length": Buffer.byteLength(s, 'utf8')});
+        res.end(s, 'utf8');
+    }
+    var actions = {'/cluster/stop': remoteStop, '/cluster/pause': remotePause, '/cluster/resume': remoteResume};
+    if (req.method != "POST" || actions[url] == null) {
+        res.writeHead((actions[url] == null) ? 404 : 405, {"Content-Length": 0});
+        res.end();
+        return;
+    }
+    var body = '';
+    req.setEncoding('utf8');
+    req.on('data', function(chunk) { body += chunk });
+    req.on('end', function() {
+        var authError = verifyControlRequest(req, body);
+        if (authError != null) {
+            send((REMOTE_SECRET == null) ? 403 : 401, {error: authError});
+            return;
+        }
+        actions[url](function(confirmed, unconfirmed) {
+            send(200, {confirmed: confirmed, unconfirmed: unconfirmed});
+        });
+    });
+}
+
+/** Returns a function that handles the response of a slave to a job or ping. If the slave rejected the
+    request, the error returned by the slave is printed and the slave is flagged with an error state. */
+function rejected(slave) {
+    return function(response) {
+        if (response.statusCode < 400)
+            return;
         var body = '';
-        req.on('data', function(chunk) { body += chunk });
-        req.on('end', function() { callback(body) });
+        response.on('data', function(chunk) { body += chunk });
+        response.on('end', function() {
+            qprint("\nWARN: slave " + slave.id + " rejected request (" + response.statusCode + "): " + body);
+        });
+        var dropped = (slave.state == "running");
+        slave.state = "error";
+        if (dropped && WORKER_POOL != null) {
+            WORKER_POOL.rebalance();
+        }
     }
+}
+
+/** Handler for all the requests to /remote. See http.js#startHttpServer(). Every request must be signed
+    (see verifyRemoteRequest()). Rejected requests get a 400, 401 or 403 response with a JSON body
+    {error: description}. */
+function serveRemote(url, req, res) {
     var sendStatus = function(status) {
         res.writeHead(status, {"Content-Length": 0});
         res.end();
     }
-    if (req.method == "POST" && url == "/remote") {
-        readBody(req, function(remoteFun) {
-            qputs("Starting remote test:\n" + remoteFun);
-            eval(remoteFun);
+    var sendError = function(status, message) {
+        var s = JSON.stringify({error: message});
+        res.writeHead(status, {"Content-Type": "application/json", "Content-Length": Buffer.byteLength(s, 'utf8')});
+        res.end(s, 'utf8');
+    }
+    var parseJson = function(body) {
+        try {
+            return JSON.parse(body);
+        } catch(e) {
+            sendError(400, "body is not valid JSON: " + e.message);
+            return null;
+        }
+    }
+
+    var body = '';
+    req.setEncoding('utf8');
+    req.on('data', function(chunk) { body += chunk });
+    req.on('end', function() {
+        var authError = verifyRemoteRequest(req, body);
+        if (authError != null) {
+            qputs("WARN: rejected remote request " + req.method + " " + url + " from " +
+                    req.connection.remoteAddress + ": " + authError);
+            sendError((REMOTE_SECRET == null) ? 403 : 401, authError);
+        } else if (req.method == "POST" && url == "/remote") {
+            var job = parseJson(body);
+            if (job == null)
+                return;
+            var jobError = validateRemoteJob(job);
+            if (jobError != null) {
+                sendError(400, jobError);
+                return;
+            }
+            qputs("Starting remote job from " + job.master + ": " + job.tests.length + " tests, " +
+                    job.scripts.length + " scripts");
+            try {
+                runRemoteJob(job);
+            } catch(e) {
+                sendError(400, "job failed to start: " + e);
+                return;
+            }
+            sendStatus(200);
+        } else if (req.method == "GET" && url == "/remote/state") {
+            if (SCHEDULER.running == true) {
+                sendStatus(200);
+            } else {
+                sendStatus(410);
+            }
+        } else if (req.method == "POST" && url == "/remote/stop") {
+            qprint("\nReceived remote stop...");
+            SCHEDULER.stopAll();
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/pause") {
+            qprint("\nReceived remote pause...");
+            pauseTests();
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/resume") {
+            qprint("\nReceived remote resume...");
+            resumeTests();
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/share") {
+            var update = parseJson(body);
+            if (update == null)
+                return;
+            if (!isValidShare(update.share)) {
+                sendError(400, "share must be a number between 0 and 1");
+                return;
+            }
+            setLoadShare(update.share);
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/register") {
+            var registration = parseJson(body);
+            if (registration == null)
+                return;
+            if (typeof registration.address != "string" || !registration.address.match(/^[^:]+:\d+$/)) {
+                sendError(400, "address must be a string of the form host:port");
+                return;
+            }
+            receiveRegistration(registration);
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/progress") {
+            var report = parseJson(body);
+            if (report == null)
+                return;
+            if (WORKER_POOL == null || typeof report.stream != "string" || typeof report.seq != "number" ||
+                    typeof report.start != "number" || typeof report.end != "number" ||
+                    report.stats == null || typeof report.stats != "object") {
+                sendError(400, "no remote test is running, or the report has no stream, seq, start, end or stats");
+                return;
+            }
+            WORKER_POOL.receiveProgress(report);
             sendStatus(200);
-        });
-    } else if (req.method == "GET" && req.url == "/remote/state") {
-        if (SCHEDULER.running == true) {
-            res.writeHead(200, {"Content-Length": 0});
         } else {
-            res.writeHead(410, {"Content-Length": 0});
+            sendStatus(405);
         }
-        res.end();
-    } else if (req.method == "POST" && url == "/remote/stop") {
-        qprint("\nReceived remote stop...");
-        SCHEDULER.stopAll();
-        sendStatus(200);
-    } else if (req.method == "POST" && url == "/remote/progress") {
-        readBody(req, function(report) {
-            WORKER_POOL.receiveProgress(JSON.parse(report));
-            sendStatus(200);
-        });
-    } else {
-        sendStatus(405);
+    });
+}
+
+if (typeof REMOTE_MASTER == "undefined") {
+    REMOTE_MASTER = null;
+    if (process.env['NODELOAD_MASTER'] != null) {
+        REMOTE_MASTER = process.env['NODELOAD_MASTER'];
     }
 }
 
+if (REMOTE_MASTER != null)
+    registerWithMaster(REMOTE_MASTER, process.env['NODELOAD_SLAVE_ADDRESS']);
 // ------------------------------------
 // Progress Reporting
 // ------------------------------------
 var progressSummaryEnabled = false;
 
-function defaultProgressReport(stats) {
+function defaultProgressReport(stats, status) {
     var out = '{"ts": ' + JSON.stringify(new Date());
+    for (var i in status) {
+        out += ', "' + i + '": ' + JSON.stringify(status[i]);
+    }
     for (var i in stats) {
         var stat = stats[i];
         var summary = stat.interval.summary();
@@ -1049,7 +4122,11 @@ function defaultProgressReport(stats) {
             out += JSON.stringify(summary);
         }
         if (HTTP_REPORT.charts[stat.name] != null) {
-            HTTP_REPORT.charts[stat.name].put(summary);
+            if (status != null && status.paused) {
+                HTTP_REPORT.charts[stat.name].gap();
+            } else {
+                HTTP_REPORT.charts[stat.name].put(summary);
+            }
         }
         stats[i].next();
     }
@@ -1134,6 +4211,14 @@ Chart.prototype = {
             row[col] = data[item];
         }
         this.rows.push(row);
+    },
+    /** Adds a row with no values, so the lines in the chart are broken at the current time */
+    gap: function() {
+        var row = [Math.floor((new Date().getTime() - START) / 600) / 100];
+        for (var i = 1; i < this.columns.length; i++) {
+            row.push(null);
+        }
+        this.rows.push(row);
     }
 }
 
@@ -1289,6 +4374,152 @@ Histogram.prototype =  {
     }
 }
 
+/** A log-linear bucketed histogram in the style of HdrHistogram. Each power of 2 range of values is
+    split into a fixed number of linear sub-buckets, so values are recorded with a constant relative
+    precision of "significantDigits" decimal digits. Memory usage depends only on the configured range,
+    not on the number of items, which makes it suitable for long running tests. Accepts params:
+
+        significantDigits: 2,       // Decimal digits of precision to maintain (1 to 5)
+        lowest: 0.001,              // Smallest discernible value (0.001 = 1 microsecond if items are in ms)
+        highest: 3600000,           // Largest trackable value. Larger items are counted in the top bucket.
+        percentiles: [0.95, 0.99]   // Percentiles to include in summary()
+    */
+HdrHistogram = function(params) {
+    if (params == null)
+        params = {};
+
+    this.type = "HdrHistogram";
+    this.params = params;
+    this.significantDigits = (params.significantDigits != null) ? params.significantDigits : 2;
+    this.lowest = (params.lowest != null) ? params.lowest : 0.001;
+    this.highest = (params.highest != null) ? params.highest : 3600000;
+    this.percentiles = (params.percentiles != null) ? params.percentiles : [0.95, 0.99];
+
+    if (this.significantDigits < 1 || this.significantDigits > 5)
+        throw "HdrHistogram significantDigits must be between 1 and 5";
+    if (this.lowest <= 0 || this.highest <= this.lowest)
+        throw "HdrHistogram requires 0 < lowest < highest";
+
+    // Values are recorded as integer multiples of "lowest". Each bucket covers a power of 2 range
+    // and is split into subBucketCount linear slots; only the upper half of each bucket after the
+    // first is needed since the lower half overlaps with the previous bucket.
+    this.maxValue = Math.ceil(this.highest / this.lowest);
+    this.subBucketCountMagnitude = Math.ceil(Math.log(2 * Math.pow(10, this.significantDigits)) / Math.LN2);
+    this.subBucketHalfCountMagnitude = this.subBucketCountMagnitude - 1;
+    this.subBucketCount = Math.pow(2, this.subBucketCountMagnitude);
+    this.subBucketHalfCount = this.subBucketCount / 2;
+    this.bucketCount = 1;
+    for (var smallestUntrackable = this.subBucketCount; smallestUntrackable <= this.maxValue; smallestUntrackable *= 2) {
+        this.bucketCount++;
+    }
+    this.countsLength = (this.bucketCount + 1) * this.subBucketHalfCount;
+    this.decimals = Math.max(0, -Math.floor(Math.log(this.lowest) / Math.LN10));
+    this.clear();
+}
+HdrHistogram.prototype = {
+    clear: function() {
+        this.start = new Date();
+        this.length = 0;
+        this.sum = 0;
+        this.min = -1;
+        this.max = -1;
+        this.counts = {};                       // Sparse map of counts index => number of items
+    },
+    put: function(item) {
+        this.length++;
+        this.sum += item;
+        if (item < this.min || this.min == -1) this.min = item;
+        if (item > this.max || this.max == -1) this.max = item;
+
+        var idx = this.countsIndex(item);
+        this.counts[idx] = (this.counts[idx] || 0) + 1;
+    },
+    get: function(item) {
+        return this.counts[this.countsIndex(item)] || 0;
+    },
+    mean: function() {
+        return this.sum / this.length;
+    },
+    percentile: function(percentile) {
+        if (this.length == 0)
+            return 0;
+
+        var target = Math.max(1, Math.ceil(this.length * percentile));
+        var sum = 0;
+        for (var i = 0; i < this.countsLength; i++) {
+            if (this.counts[i] != null) {
+                sum += this.counts[i];
+                if (sum >= target) {
+                    return this.round(Math.max(Math.min(this.highestEquivalentValue(i), this.max), this.min));
+                }
+            }
+        }
+        return this.max;
+    },
+    stddev: function() {
+        var mean = this.mean();
+        var s = 0;
+        for (var i in this.counts) {
+            s += this.counts[i] * Math.pow(this.medianEquivalentValue(Number(i)) - mean, 2);
+        }
+        return Math.sqrt(s / this.length);
+    },
+    summary: function() {
+        var s = {
+            min: this.min,
+            max: this.max,
+            avg: Number(this.mean().toFixed(1)),
+            median: this.percentile(.5)
+        };
+        for (var i in this.percentiles) {
+            s[this.percentiles[i] * 100 + "%"] = this.percentile(this.percentiles[i]);
+        }
+        return s;
+    },
+    /** other may be an HdrHistogram or its JSON representation, as sent by slaves. */
+    merge: function(other) {
+        if (other.significantDigits != this.significantDigits || other.lowest != this.lowest || other.highest != this.highest) {
+            throw "Incompatible histograms";
+        }
+
+        this.length += other.length;
+        this.sum += other.sum;
+        this.min = (other.min != -1 && (other.min < this.min || this.min == -1)) ? other.min : this.min;
+        this.max = (other.max > this.max || this.max == -1) ? other.max : this.max;
+        for (var i in other.counts) {
+            this.counts[i] = (this.counts[i] || 0) + other.counts[i];
+        }
+    },
+    /** Map a value to its slot in counts */
+    countsIndex: function(item) {
+        var value = Math.min(Math.max(Math.floor(item / this.lowest), 0), this.maxValue);
+        var bucketIdx = Math.max(0, floorLog2(value) - this.subBucketHalfCountMagnitude);
+        var subBucketIdx = Math.floor(value / Math.pow(2, bucketIdx));
+        return (bucketIdx + 1) * this.subBucketHalfCount + (subBucketIdx - this.subBucketHalfCount);
+    },
+    /** Lowest value, in units of this.lowest, that maps to the slot idx in counts */
+    lowestEquivalentUnits: function(idx) {
+        var bucketIdx = Math.floor(idx / this.subBucketHalfCount) - 1;
+        var subBucketIdx = (idx % this.subBucketHalfCount) + this.subBucketHalfCount;
+        if (bucketIdx < 0) {
+            subBucketIdx -= this.subBucketHalfCount;
+            bucketIdx = 0;
+        }
+        return {value: subBucketIdx * Math.pow(2, bucketIdx), width: Math.pow(2, bucketIdx)};
+    },
+    highestEquivalentValue: function(idx) {
+        var u = this.lowestEquivalentUnits(idx);
+        return (u.value + u.width) * this.lowest - this.lowest;
+    },
+    medianEquivalentValue: function(idx) {
+        var u = this.lowestEquivalentUnits(idx);
+        return (u.value + u.width / 2) * this.lowest;
+    },
+    round: function(value) {
+        return Number(value.toFixed(this.decimals));
+    }
+}
+
 Accumulator = function() {
     this.type = "Accumulator";
     this.total = 0;
@@ -1458,6 +4689,37 @@ Rate.prototype = {
     }
 }
 
+/** Sums the values put into it, such as numbers of bytes, and reports the total and the rate per second since
+    it was created or cleared */
+Throughput = function() {
+    this.type = "Throughput";
+    this.start = new Date();
+    this.total = 0;
+    this.length = 0;
+}
+Throughput.prototype = {
+    put: function(stat) {
+        this.total += stat;
+        this.length++;
+    },
+    get: function() {
+        var seconds = (new Date() - this.start) / 1000;
+        return (seconds > 0) ? this.total / seconds : 0;
+    },
+    clear: function() {
+        this.start = new Date();
+        this.total = 0;
+        this.length = 0;
+    },
+    summary: function() {
+        return { total: this.total, rate: Number(this.get().toFixed(1)) };
+    },
+    merge: function(other) {
+        this.total += other.total;
+        this.length += other.length;
+    }
+}
+
 LogFile = function(filename) {
     this.type = "LogFile";
     this.length = 0;
@@ -1586,6 +4848,13 @@ nextGaussian = function(mean, stddev) {
     return z0 * Math.sqrt(-2 * Math.log(s) / s) * stddev + mean;
 }
 
+nextExponential = function(mean) {
+    if (mean == null) mean = 1;
+    var rnd = Math.random();
+    while (rnd == 0) rnd = Math.random();
+    return -Math.log(rnd) * mean;
+}
+
 nextPareto = function(min, max, shape) {
     if (shape == null) shape = 0.1;
     var l = 1, h = Math.pow(1+max-min, shape), rnd = Math.random();
@@ -1596,11 +4865,13 @@ nextPareto = function(min, max, shape) {
 function statsClassFromString(name) {
     types = {
         "Histogram": Histogram, 
+        "HdrHistogram": HdrHistogram,
         "Accumulator": Accumulator, 
         "ResultsCounter": ResultsCounter,
         "Uniques": Uniques,
         "Peak": Peak,
         "Rate": Rate,
+        "Throughput": Throughput,
         "LogFile": LogFile,
         "NullLog": NullLog,
         "Reportable": Reportable
@@ -1608,6 +4879,17 @@ function statsClassFromString(name) {
     return types[name];
 }
 
+/** Returns floor(log2(value)) for value >= 1, or 0 for smaller values. Corrects for floating point
+    error in Math.log() near powers of 2. */
+function floorLog2(value) {
+    if (value < 1)
+        return 0;
+    var b = Math.floor(Math.log(value) / Math.LN2);
+    if (Math.pow(2, b) > value) b--;
+    if (Math.pow(2, b + 1) <= value) b++;
+    return b;
+}
+
 // ------------------------------------
 // Logs
 // ------------------------------------
@@ -1689,6 +4971,17 @@ function getReportAsHtml(report) {
         chartdivs += chartdiv.replace(/\$\{id\}/g, uid);
         plotcharts += plotchart.replace(/\$\{id\}/g, uid);
     }
+    var controls = "";
+    if (WORKER_POOL != null && WORKER_POOL.callback != null) {
+        // Buttons to stop, pause or resume all the slaves of a running remote test. See remote.js#serveCluster().
+        controls = 
+            '<div class="post"><h2>Remote slaves</h2><div class="entry">' +
+            '<button onclick="control(\'stop\')">Stop</button> ' +
+            '<button onclick="control(\'pause\')">Pause</button> ' +
+            '<button onclick="control(\'resume\')">Resume</button> ' +
+            '<span id="controlResult"></span>' +
+            '</div></div>';
+    }
     var now = new Date();
     var html = 
             '<html><head><title>Test Results</title>' +
@@ -1716,6 +5009,7 @@ function getReportAsHtml(report) {
                 '<div class="post"><h2>Summary</h2><div class="entry">' +
                     '<p><pre id="reportText">' + report.text + '</pre></p>' +
                 '</div></div>' +
+                controls +
                 chartdivs +
             '</div></div>' +
             '<script id="source" language="javascript" type="text/javascript">' +
@@ -1725,6 +5019,12 @@ function getReportAsHtml(report) {
                 'http.onreadystatechange=function() { if(http.readyState == 4 && http.status == 200) { document.getElementById("reportText").innerText = http.responseText }};' +
                 'http.send(null);' +
             '}, ' + SUMMARY_HTML_REFRESH_PERIOD + ');' +
+            'function control(action) {' +
+                'if(navigator.appName == "Microsoft Internet Explorer") { c = new ActiveXObject("Microsoft.XMLHTTP"); } else { c = new XMLHttpRequest(); }' +
+                'c.open("POST", "/cluster/" + action);' +
+                'c.onreadystatechange=function() { if(c.readyState == 4) { var r = JSON.parse(c.responseText); document.getElementById("controlResult").innerText = (r.error != null) ? action + " failed: " + r.error : action + ": confirmed by " + r.confirmed.length + " of " + (r.confirmed.length + r.unconfirmed.length) + " slaves" }};' +
+                'c.send(null);' +
+            '}' +
             plotcharts+
             '</script>' +
             '<div id="footer"><p>generated with <a href="http://github.com/benschmaus/nodeload">nodeload</a></p></div>' +
@@ -1822,6 +5122,10 @@ startHttpServer = function(port) {
             serveRemote(req.url, req, res);
         } else if (req.url.match("^/remote")) {
             serveRemote(req.url, req, res);
+        } else if (req.url.match("^/tests")) {
+            serveTests(req.url, req, res);
+        } else if (req.url.match("^/cluster/")) {
+            serveCluster(req.url, req, res);
         } else if (req.method == "GET") {
             serveFile("." + req.url, res);
         } else {
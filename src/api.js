@@ -13,29 +13,143 @@ var TEST_DEFAULTS = {
 
     host: 'localhost',                      // host and port specify where to connect
     port: 8080,                             //
-    requestGenerator: null,                 // Specify one of: requestGenerator, requestLoop, or (method, path, requestData)
-    requestLoop: null,                      //   - A requestGenerator is a function that takes a http.Client param
-    method: 'GET',                          //     and returns a http.ClientRequest.
+    secure: false,                          // If true, connect to host:port with HTTPS. The TLS handshake time of each
+                                            // connection is reported as the 'tls-handshake' stat.
+    tlsConf: {rejectUnauthorized: true},    // TLS options used when secure is true:
+                                            //   - ca, cert, key: PEM encoded CA certificates to trust, and client certificate
+                                            //     and private key to present to the server
+                                            //   - rejectUnauthorized: if true, connections to servers whose certificates are
+                                            //     not signed by ca fail with result code 'tls-error'
+    requestGenerator: null,                 // Specify one of: requestGenerator, requestLoop, scenario, mix, or (method, path, requestData)
+    requestLoop: null,                      //   - A requestGenerator is a function that takes params (http.Client, context)
+    method: 'GET',                          //     and returns a http.ClientRequest. context is described in extract.
     path: '/',                              //   - A requestLoop is a function that takes two params (loopFun, http.Client).
     requestData: null,                      //     It should call loopFun({req: http.ClientRequest, res: http.ClientResponse})
                                             //     after each operation to schedule the next iteration of requestLoop.
-                                            //   - (method, path, requestData) specify a single URL to test
+                                            //   - (method, path, requestData) specify a single URL to test. path, requestData
+                                            //     and the values of headers are templates, e.g. '/item-{{uniform(1, 1000)}}'.
+                                            //     See templates.js#compileTemplate for the placeholders. {{seq}} is the number
+                                            //     of the request, which is unique across the slaves of a remote test.
+    requestFile: null,                      // File to send as the body of (method, path) PUT and POST requests instead of
+                                            // requestData. It is streamed from disk for each request, so it can be large.
+    headers: null,                          // Map of additional request headers to send with (method, path, requestData)
+    scenario: null,                         //   - A scenario is a list of steps that each virtual user runs in order, e.g.
+                                            //       [{name: 'login', request: function(client, context) {...},
+                                            //         response: function(res, body, context) { context.token = body }},
+                                            //        {name: 'browse', request: function(client, context) {...}, thinkTime: 5}]
+                                            //     request returns a http.ClientRequest, and the optional response is called
+                                            //     with the completed response; returning false skips the remaining steps.
+                                            //     context is an object kept for each user (client) for passing values between
+                                            //     steps. The 'latency' and 'result-codes' stats are also reported for each step
+                                            //     as 'latency: <step name>' and 'result-codes: <step name>'. The scenario's
+                                            //     'latency' includes think time, and its result code is that of the last step run.
+                                            //     Steps may also set checks and extract, which apply to the step's response.
+    thinkTime: null,                        // Time to wait after each step of a scenario unless the step sets thinkTime:
+                                            // seconds, or {type: 'uniform', min: 1, max: 3}, or {type: 'gaussian', mean: 2,
+                                            // stddev: 0.5}. There is no think time after the last step.
+    mix: null,                              //   - A mix is a list of weighted entries, each of which is one of the above except
+                                            //     requestLoop, e.g.
+                                            //       [{name: 'read', weight: 90, path: '/item-{{uniform(1, 1000)}}'},
+                                            //        {name: 'write', weight: 10, method: 'PUT', path: '/item', requestData: '...'}]
+                                            //     Each iteration runs one entry, chosen in proportion to weight (default 1), so
+                                            //     the entries share numClients and targetRps. Entries may set requestGenerator,
+                                            //     method, path, requestData, requestFile, headers, scenario, thinkTime, checks
+                                            //     and extract, and use the test's values for those they do not set. Stats are
+                                            //     reported for each entry like for scenario steps, the 'mix' stat counts the runs
+                                            //     of each entry, and the summary compares the achieved share of each entry to
+                                            //     its target.
 
     numClients: 10,                         // Maximum number of concurrent executions of request loop
     numRequests: Infinity,                  // Maximum number of iterations of request loop
     timeLimit: 120,                         // Maximum duration of test in seconds
     targetRps: Infinity,                    // Number of times per second to execute request loop
+    correctCoordinatedOmission: false,      // If true and targetRps is set, the 'latency' stat is measured from when each
+                                            // request was scheduled to be sent, and the uncorrected time is reported as
+                                            // the 'service-time' stat. Requests are sent back to back to catch up after
+                                            // a slow response.
+    arrivals: null,                         // Set to 'constant' or 'poisson' to start requests at targetRps regardless of
+                                            // how many are still waiting for a response (an "open" model). numClients is
+                                            // ignored, and the number of requests dropped because maxInFlight was reached
+                                            // is reported as the 'dropped' stat.
+    maxInFlight: Infinity,                  // Maximum number of outstanding requests when arrivals is set
     delay: 0,                               // Seconds before starting test
+    requestTimeout: 60000,                  // Milliseconds to wait for a response. Failed requests are counted in the
+                                            // 'result-codes' stat as 'timeout', 'ECONNREFUSED', 'ECONNRESET', 'dns-error',
+                                            // 'tls-error', 'parse-error' or 'error', and logged to the error log. Set .timeout on a
+                                            // request returned by requestGenerator to override it for that request.
+    followRedirects: 0,                     // Maximum number of redirects (301, 302, 303, 307, 308) to follow for each request.
+                                            // The 'latency' stat includes all the redirects and 'result-codes' counts the final
+                                            // response. The time of each request is reported as the 'hop-latency' stat.
+    cookies: false,                         // If true, each client keeps the cookies set by responses and sends them with later
+                                            // requests that match their domain and path until they expire. The cookies are kept
+                                            // in a cookies.js#CookieJar, which is context.cookies (see extract).
+    connection: 'persistent',               // How each client uses connections: 'persistent' to send all of its requests on one
+                                            // connection, 'per-request' to open a new connection for each request, or
+                                            // {maxRequests: 100, maxAge: 30, poolSize: 6} to open a new connection after the
+                                            // given number of requests or seconds, and to keep several connections that are used
+                                            // in turn. See connections.js#CONNECTION_DEFAULTS. Unless it is 'persistent', the
+                                            // 'connect-time' stat is always reported (see stats), and the number of connections
+                                            // opened after each client's first as the 'reconnects' stat. Redirects
+                                            // are sent on the same connection, and requestLoop always uses one connection.
+    feeder: null,                           // Rows of test data to use, e.g. {file: 'users.csv', strategy: 'unique'}. Before each
+                                            // iteration, the next row is stored as context.row, where requestGenerator and the
+                                            // steps of a scenario can use it (see extract). See feeders.js#FEEDER_DEFAULTS.
+    stages: null,                           // List of stages to vary the load during the test, e.g.
+                                            //   [{name: 'ramp up', duration: 60, targetRps: 200, numClients: 20},
+                                            //    {name: 'hold', duration: 600},
+                                            //    {name: 'ramp down', duration: 30, targetRps: 0}]
+                                            // Each stage linearly moves targetRps and numClients from their values at the
+                                            // end of the previous stage to the values given for the stage over "duration"
+                                            // seconds. The first stage starts from the test's targetRps (or 0 if it is
+                                            // Infinity) and numClients. Stages that do not set numClients leave the
+                                            // concurrency as it is. The test ends after the last stage.
 
     successCodes: null,                     // List of success HTTP response codes. Failures are logged to the error log.
-    stats: ['latency', 'result-codes'],     // Specify list of: latency, result-codes, uniques, concurrency. Note that "uniques"
-                                            // only shows up in summary report and requests must be made with traceableRequest().
-                                            // Not doing so will result in reporting only 2 uniques.
-    latencyConf: {percentiles: [.95,.99]},  // Set latencyConf.percentiles to percentiles to report for the 'latency' stat
+    checks: null,                           // List of checks on each response, e.g.
+                                            //   [{contains: 'ok'}, {matches: 'id=\\d+'}, {json: 'user.active', equals: true},
+                                            //    {maxBodySize: 65536}, {header: 'content-type', matches: 'json'}, {name: ...}]
+                                            // Failures are counted by check name in the 'failed-checks' stat and logged to the
+                                            // error log. A failed check ends the current iteration of a scenario. See
+                                            // evloops.js#monitorChecksLoop for details.
+    extract: null,                          // Map of values to copy from each response into the context of the client, e.g.
+                                            //   {id: {json: 'items.0.id'}, token: {header: 'x-token'}, csrf: {matches: 'csrf=(\\w+)'}}
+                                            // The context is an object kept for each client and passed to requestGenerator and
+                                            // to scenario steps. It is not available to requestLoop.
+    thresholds: null,                       // Pass/fail criteria checked against the cumulative stats when the test ends, e.g.
+                                            //   {latency: {'99%': 250, avg: 100}, errorRate: 0.01, minRps: 100, resultCodes: {500: 0}}
+                                            //   - latency: max value of 'latency' summary fields or of any percentile, e.g. '99.9%'
+                                            //   - errorRate: max fraction of responses not in successCodes (or >= 400, if null), counting
+                                            //     timeouts and connection errors, which have no response, as errors
+                                            //   - resultCodes: max number of results with each HTTP status code or error, e.g. 'timeout'
+                                            //   - minRps: min average requests per second
+                                            //   - abortOnBreach: if true, also check every reportInterval and stop all tests
+                                            //     at the first breach (minRps is only checked at the end)
+                                            // The result is in the summary report. If any test fails, endTest() exits with status 1.
+    stats: ['latency', 'result-codes'],     // Specify list of: latency, result-codes, uniques, concurrency, dns, connect-time, ttfb,
+                                            // transfer, total, bytes-received, bytes-sent. Note that "uniques" only shows up in
+                                            // summary report and requests must be made with traceableRequest(). Not doing so will
+                                            // result in reporting only 2 uniques. dns, connect-time, ttfb, transfer and total report
+                                            // the phases of each request: the DNS lookup and connect time of new connections, the
+                                            // time to first byte once connected, the time to receive the body, and the total time
+                                            // including the body. DNS lookups are only timed if the http.Client reports them, and
+                                            // are otherwise part of connect-time. The phases are not recorded for requestLoop. The
+                                            // TLS handshake is reported as 'tls-handshake'. bytes-received and bytes-sent count the
+                                            // headers and body of each response and request, and report the total and rate per
+                                            // second. Requests are only counted if they are made with traceableRequest().
+    latencyConf: {percentiles: [.95,.99]},  // Set latencyConf.percentiles to percentiles to report for the 'latency' stat.
+                                            // Set latencyConf.type to 'HdrHistogram' to use a log-linear histogram with
+                                            // bounded memory for long tests (see stats.js#HdrHistogram for more params).
     reportInterval: 2,                      // Seconds between each progress report
-    reportFun: null,                        // Function called each reportInterval that takes a param, stats, which is a map of
+    reportFun: null,                        // Function called each reportInterval that takes params (stats, status). status
+                                            // is {stage: name of current stage} if stages is set. stats is a map of
                                             // { 'latency': Reportable(Histogram), 'result-codes': Reportable(ResultsCounter},
-                                            // 'uniques': Reportable(Uniques), 'concurrency': Reportable(Peak) }
+                                            // 'uniques': Reportable(Uniques), 'concurrency': Reportable(Peak),
+                                            // 'service-time': Reportable(Histogram), 'dropped': Reportable(Accumulator),
+                                            // 'tls-handshake': Reportable(Histogram), 'failed-checks': Reportable(ResultsCounter),
+                                            // 'hop-latency': Reportable(Histogram), 'mix': Reportable(ResultsCounter),
+                                            // 'reconnects': Reportable(Accumulator), and 'dns', 'connect-time', 'ttfb', 'transfer'
+                                            // and 'total': Reportable(Histogram), 'bytes-received' and 'bytes-sent':
+                                            // Reportable(Throughput) }
 }
 
 /** RAMP_DEFAULTS defines all of the parameters that can be set in a ramp-up specifiction passed
@@ -49,34 +163,128 @@ var RAMP_DEFAULTS = {
     clientsPerStep: 1,                  // The number of connections to add to the test at each step.
     delay: 0                            // Number of seconds to wait before ramping up. 
 }
+
+/** SEARCH_DEFAULTS defines all of the parameters that can be set in a search specification passed to
+    addSearch(spec, searchSpec). By default, a search starts at 10 requests/sec and doubles the rate every
+    30 seconds until a level fails, then binary searches for the highest passing rate. */
+var SEARCH_DEFAULTS = {
+    startRps: 10,                       // The first rate to try
+    minRps: 1,                          // The lowest rate to try. If no level has passed by the time the binary
+                                        // search would go below it, the search stops with maxPassingRps null.
+    maxRps: 100000,                     // The highest rate to try
+    stepRps: null,                      // If set, add stepRps to the rate after each passing level and stop at the
+                                        // first failure. If null, double the rate until a level fails, then binary
+                                        // search between the highest passing and lowest failing rates.
+    resolution: 0.05,                   // Binary search stops when the highest passing rate is within this fraction
+                                        // of the lowest failing rate
+    holdTime: 30,                       // Seconds to hold each rate. Levels change at the test's reportInterval, so
+                                        // this is rounded up to a multiple of it.
+    criteria: null                      // function(stats) that returns true if a level passes. stats is a map like the
+                                        // one passed to reportFun, but contains the statistics for the level only,
+                                        // e.g. { 'latency': Histogram, 'result-codes': ResultsCounter }
+}
+/** The stats that can be reported for the phases of each request (see evloops.js#requestGeneratorLoop), with the
+    field of result.timings they record and their name in reports */
+var PHASE_STATS = {
+    'dns': {phase: 'dns', title: 'DNS lookup'},
+    'connect-time': {phase: 'connect', title: 'Connect time'},
+    'ttfb': {phase: 'ttfb', title: 'Time to first byte'},
+    'transfer': {phase: 'transfer', title: 'Transfer time'},
+    'total': {phase: 'total', title: 'Total time'}
+};
 var summaryStats = [];
+var tests = [];
+var thresholdsBreached = false;
 var endTestTimeoutId;
 
 /** addTest(spec) is the primary method to create a load test with nodeloadlib. See TEST_DEFAULTS for a list
     of the configuration values that can be provided in the test specification, spec. Remember to call
     startTests() to kick off the tests defined though addTest(spec)/addRamp(spec). */
 addTest = function(spec) {
-    function req(client) {
-        if (spec.requestGenerator == null) {
-            if ((spec.requestData != null) && (spec.method.search('^(PUT|POST)$') != -1)) {
-                var body = spec.requestData;
-            }
-            return traceableRequest(client, spec.method, spec.path, { 'host': spec.host }, body);
-        }
-        return spec.requestGenerator(client);
-    }
-    
     defaults(spec, TEST_DEFAULTS);
-    var monitored = spec.requestLoop;
-    if (monitored == null) {
-        monitored = requestGeneratorLoop(req);
+    var seq = 0;
+    var nextSeq = function() {
+        // Interleave the numbers used by each slave of a remote test, so they are unique across the slaves
+        var partition = (SLAVE_CONFIG != null && SLAVE_CONFIG.partition != null) ? SLAVE_CONFIG.partition : {index: 0, count: 1};
+        return (seq++) * partition.count + partition.index;
+    };
+    if (spec.stages != null) {
+        var stages = planStages(spec);
+        spec.timeLimit = stages[stages.length-1].end;
     }
-
+    var histogram = (spec.latencyConf.type == null) ? Histogram : statsClassFromString(spec.latencyConf.type);
+    if (spec.followRedirects > 0) {
+        var redirects = {
+            max: spec.followRedirects,
+            host: spec.host,
+            port: spec.port,
+            secure: spec.secure,
+            hops: new Reportable([histogram, spec.latencyConf], spec.name + ': Hop latency', true),
+            newClient: function(host, port, secure, user) { return redirectClient(spec, host, port, secure, user) }
+        };
+    }
+    // A requestLoop is passed the client itself, so it always uses one persistent connection
+    var plain = (spec.requestLoop != null && spec.scenario == null && spec.mix == null);
     var stats = {};
+    var monitored = spec.requestLoop;
+    if (spec.mix != null) {
+        spec.mix.forEach(function(entry, i) {
+            if (entry.name == null)
+                entry.name = (entry.path != null) ? (entry.method || spec.method) + ' ' + entry.path : 'entry ' + (i+1);
+            if (entry.weight == null)
+                entry.weight = 1;
+        });
+        stats['mix'] = new Reportable(ResultsCounter, spec.name + ': Mix', true);
+        monitored = mixLoop(spec.mix, function(entry) { return mixEntryLoop(spec, entry, stats, redirects, nextSeq) }, stats['mix']);
+    } else if (spec.scenario != null) {
+        monitored = scenarioLoop(spec.scenario, {
+            timeout: spec.requestTimeout,
+            thinkTime: spec.thinkTime,
+            redirects: redirects,
+            wrapStep: function(step, loop) { return monitorStepLoop(spec, step, stats, loop) }
+        });
+    } else if (monitored == null) {
+        monitored = requestGeneratorLoop(requestFunction(spec, spec, nextSeq), spec.requestTimeout, redirects);
+    }
+    if (redirects != null) {
+        stats['hop-latency'] = redirects.hops;
+    }
+    if (spec.stats.indexOf('bytes-received') >= 0) {
+        stats['bytes-received'] = new Reportable(Throughput, spec.name + ': Bytes received', true);
+    }
+    if (spec.stats.indexOf('bytes-sent') >= 0) {
+        stats['bytes-sent'] = new Reportable(Throughput, spec.name + ': Bytes sent', true);
+    }
+    if (spec.scenario == null && spec.mix == null) {
+        // Bytes are counted for each step of a scenario or entry of a mix. They must be counted before checks read the body.
+        monitored = monitorBytesLoop(stats, monitored);
+    }
+    if (hasChecks(spec)) {
+        stats['failed-checks'] = new Reportable(ResultsCounter, spec.name + ': Failed checks', true);
+    }
+    if (spec.scenario == null && spec.mix == null && (spec.checks != null || spec.extract != null)) {
+        monitored = monitorChecksLoop(spec.checks, spec.extract, stats['failed-checks'], monitored);
+    }
     if (spec.stats.indexOf('latency') >= 0) {
-        var l = new Reportable([Histogram, spec.latencyConf], spec.name + ': Latency', true);
-        monitored = monitorLatenciesLoop(l, monitored);
+        var l = new Reportable([histogram, spec.latencyConf], spec.name + ': Latency', true);
         stats['latency'] = l;
+        if (spec.correctCoordinatedOmission) {
+            var svc = new Reportable([histogram, spec.latencyConf], spec.name + ': Service time', true);
+            monitored = monitorLatenciesLoop(svc, monitored);
+            monitored = monitorIntendedLatenciesLoop(l, monitored);
+            stats['service-time'] = svc;
+        } else {
+            monitored = monitorLatenciesLoop(l, monitored);
+        }
+    }
+    for (var key in PHASE_STATS) {
+        if (spec.stats.indexOf(key) >= 0 || (key == 'connect-time' && spec.connection != 'persistent' && !plain)) {
+            stats[key] = new Reportable([histogram, spec.latencyConf], spec.name + ': ' + PHASE_STATS[key].title, true);
+        }
+    }
+    if (spec.scenario == null && spec.mix == null) {
+        // The phases are recorded for each step of a scenario or entry of a mix
+        monitored = monitorPhasesLoop(requestPhases(stats), monitored);
     }
     if (spec.stats.indexOf('result-codes') >= 0) {
         var rc = new Reportable(ResultsCounter, spec.name + ': Result codes', true);
@@ -93,23 +301,102 @@ addTest = function(spec) {
         monitored = monitorUniqueUrlsLoop(uniq, monitored);
         stats['uniques'] = uniq;
     }
-    if (spec.successCodes != null) {
+    // Each step of a scenario and each entry of a mix has its own latency and result code stats
+    (spec.mix || spec.scenario || []).forEach(function(part) {
+        if (spec.stats.indexOf('latency') >= 0) {
+            stats['latency: ' + part.name] = new Reportable([histogram, spec.latencyConf], spec.name + ': Latency (' + part.name + ')', true);
+        }
+        if (spec.stats.indexOf('result-codes') >= 0) {
+            stats['result-codes: ' + part.name] = new Reportable(ResultsCounter, spec.name + ': Result codes (' + part.name + ')', true);
+        }
+    });
+    if (spec.scenario == null && spec.mix == null) {
+        // Failures are logged for each step of a scenario or entry of a mix
         monitored = monitorHttpFailuresLoop(spec.successCodes, monitored);
     }
+    if (spec.secure) {
+        var handshakes = new Reportable([histogram, spec.latencyConf], spec.name + ': TLS handshake', true);
+        stats['tls-handshake'] = handshakes;
+    }
+    if (plain && spec.connection != 'persistent') {
+        qputs("WARN: connection is ignored for tests that set requestLoop.");
+    } else if (spec.connection != 'persistent') {
+        // The connect time is recorded with the other phases of each request
+        var connectStats = {reconnects: new Reportable(Accumulator, spec.name + ': Reconnects', true)};
+        stats['reconnects'] = connectStats.reconnects;
+    }
+    if (spec.arrivals != null) {
+        var dropped = new Reportable(Accumulator, spec.name + ': Dropped', true);
+        stats['dropped'] = dropped;
+    }
+    if (spec.feeder != null) {
+        if (spec.feeder.partition == null && SLAVE_CONFIG != null) {
+            spec.feeder.partition = SLAVE_CONFIG.partition;
+        }
+        monitored = feederLoop(new Feeder(spec.feeder), monitored, function() { s.stop() });
+    }
 
     var s = SCHEDULER.schedule({
         fun: monitored,
-        argGenerator: function() { return http.createClient(spec.port, spec.host) },
-        concurrency: spec.numClients,
-        rps: spec.targetRps,
+        argGenerator: function() {
+            var cookies = spec.cookies ? new CookieJar() : null;
+            var newClient = function() {
+                return createHttpClient(spec.port, spec.host, spec.secure, spec.tlsConf, handshakes, cookies);
+            };
+            if (plain) {
+                return newClient();
+            }
+            return {client: null, connections: new ConnectionPool(spec.connection, newClient, connectStats), context: {cookies: cookies}};
+        },
+        concurrency: (stages != null) ? stages[0].from.numClients : spec.numClients,
+        rps: (stages != null) ? stages[0].from.targetRps : spec.targetRps,
         duration: spec.timeLimit,
         numberOfTimes: spec.numRequests,
-        delay: spec.delay
+        delay: spec.delay,
+        correctCoordinatedOmission: spec.correctCoordinatedOmission,
+        arrivals: spec.arrivals,
+        maxInFlight: spec.maxInFlight,
+        dropped: dropped,
+        // On a slave, only run this slave's share of the load (see remote.js#RemoteWorkerPool)
+        share: (SLAVE_CONFIG != null) ? SLAVE_CONFIG.share : 1
     });
 
+    if (stages != null) {
+        s.stage = stages[0].name;
+        SCHEDULER.schedule({
+            fun: funLoop(stagesUpdater(s, stages)),
+            rps: 2,
+            delay: spec.delay,
+            monitored: false
+        });
+    }
+
+    if (spec.mix != null) {
+        addReportSection(spec.name + ': Mix', function() { return mixSummary(spec.mix, stats['mix']) });
+    }
+    if (spec.thresholds != null) {
+        addReportSection(spec.name + ': Thresholds', function() { return thresholdsSummary(s) });
+        if (spec.thresholds.abortOnBreach) {
+            SCHEDULER.schedule({
+                fun: funLoop(function() { abortOnBreach(s) }),
+                rps: 1/spec.reportInterval,
+                delay: spec.delay + spec.reportInterval,
+                monitored: false
+            });
+        }
+    }
+
     if (spec.reportInterval != null) {
+        var status = function() {
+            var status = {};
+            if (stages != null)
+                status.stage = s.stage;
+            if (s.paused)
+                status.paused = true;
+            return status;
+        };
         SCHEDULER.schedule({
-            fun: progressReportLoop(stats, spec.reportFun),
+            fun: progressReportLoop(stats, spec.reportFun, status),
             rps: 1/spec.reportInterval,
             delay: spec.reportInterval,
             monitored: false
@@ -119,22 +406,19 @@ addTest = function(spec) {
     s.stats = stats;
     s.testspec = spec;
     summaryStats.push(stats);
+    tests.push(s);
     
     return s;
 }
 
 /** addRamp(spec) defines a step-wise ramp-up of the load in a given test defined by a pervious addTest(spec)
-    call. See RAMP_DEFAULTS for a list of the parameters that can be specified in the ramp specification, spec. */
+    call. See RAMP_DEFAULTS for a list of the parameters that can be specified in the ramp specification, spec.
+    Use the "stages" test parameter instead for more complex load profiles. */
 addRamp = function(spec) {
     defaults(spec, RAMP_DEFAULTS);
     var ramp = function() {
-        SCHEDULER.schedule({
-            fun: spec.test.fun,
-            argGenerator: function() { return http.createClient(spec.test.testspec.port, spec.test.testspec.host) },
-            rps: spec.rpsPerStep,
-            concurrency: spec.clientsPerStep,
-            monitored: false
-        }).start();
+        spec.test.setRate(spec.test.rps + spec.rpsPerStep);
+        spec.test.setConcurrency(spec.test.concurrency + spec.clientsPerStep);
     }
     return SCHEDULER.schedule({
         fun: funLoop(ramp),
@@ -145,6 +429,77 @@ addRamp = function(spec) {
     });
 }
 
+/** addSearch(spec, searchSpec) adds a test, like addTest(spec), that searches for the highest request rate
+    that satisfies searchSpec.criteria. The test's rate is changed in steps, and each step is held for
+    searchSpec.holdTime seconds. See SEARCH_DEFAULTS for the other parameters of searchSpec. The test stops
+    when the search is complete; a table of the results of each level is included in the summary report.
+    Returns the test, which has a field "search" containing {maxPassingRps: number, levels: [...]}. maxPassingRps
+    is null if no rate down to searchSpec.minRps passed. */
+addSearch = function(spec, searchSpec) {
+    defaults(searchSpec, SEARCH_DEFAULTS);
+    if (searchSpec.criteria == null)
+        throw "addSearch() requires searchSpec.criteria";
+    if (spec.timeLimit == null)
+        spec.timeLimit = Infinity;
+    spec.targetRps = searchSpec.startRps;
+
+    var reportFun = spec.reportFun, test;
+    var search = {maxPassingRps: null, levels: []};
+    var levelStats = {}, levelStart = new Date(), rps = searchSpec.startRps, fail = null;
+    var nextRps = function(passed) {
+        if (searchSpec.stepRps != null) {
+            return (passed && rps < searchSpec.maxRps) ? Math.min(rps + searchSpec.stepRps, searchSpec.maxRps) : null;
+        }
+        if (!passed) {
+            fail = rps;
+        } else if (fail == null) {
+            return (rps < searchSpec.maxRps) ? Math.min(rps * 2, searchSpec.maxRps) : null;
+        }
+        var pass = (search.maxPassingRps == null) ? 0 : search.maxPassingRps;
+        if (fail - pass <= fail * searchSpec.resolution) {
+            return null;
+        }
+        if (search.maxPassingRps == null && (pass + fail) / 2 < searchSpec.minRps) {
+            return null;
+        }
+        return (pass + fail) / 2;
+    }
+    spec.reportFun = function(stats, status) {
+        // Accumulate this reporting interval's statistics into the current level
+        for (var i in stats) {
+            if (levelStats[i] == null) {
+                levelStats[i] = new (statsClassFromString(stats[i].interval.type))(stats[i].interval.params);
+            }
+            levelStats[i].merge(stats[i].interval);
+        }
+        if (reportFun != null) {
+            reportFun(stats, status);
+        }
+
+        var elapsed = (new Date() - levelStart) / 1000;
+        if (elapsed >= searchSpec.holdTime && rps != null) {
+            var passed = searchSpec.criteria(levelStats) ? true : false;
+            search.levels.push(levelResult(rps, elapsed, levelStats, passed));
+            if (passed && rps > search.maxPassingRps) {
+                search.maxPassingRps = rps;
+            }
+            rps = nextRps(passed);
+            if (rps == null) {
+                test.stop();
+            } else {
+                test.setRate(rps);
+            }
+            levelStats = {};
+            levelStart = new Date();
+        }
+    }
+
+    test = addTest(spec);
+    test.search = search;
+    addReportSection(spec.name + ': Search results', function() { return searchSummary(search) });
+    return test;
+}
+
 /** Start all tests were added via addTest(spec) and addRamp(spec). When all tests complete, callback will
     be called. If stayAliveAfterDone is true, then the nodeload HTTP server will remain running. Otherwise,
     the server will automatically terminate once the tests are finished. */
@@ -160,12 +515,28 @@ runTest = function(spec, callback, stayAliveAfterDone) {
     return t;
 }
 
-/** Stop all tests and shutdown nodeload */
+/** Pause all the running tests until resumeTests() is called. Requests in progress are allowed to finish.
+    Time spent paused counts towards each test's timeLimit. The pause is marked in the stats log and charts. */
+pauseTests = function() {
+    for (var i in tests) {
+        tests[i].pause();
+    }
+    logTestEvent('pause');
+}
+
+resumeTests = function() {
+    for (var i in tests) {
+        tests[i].resume();
+    }
+    logTestEvent('resume');
+}
+
+/** Stop all tests and shutdown nodeload. The exit status is 1 if any test failed its thresholds. */
 endTest = function() {
     qputs("\nFinishing...");
     closeAllLogs();
     stopHttpServer();
-    setTimeout(process.exit, 500);
+    setTimeout(function() { process.exit(thresholdsBreached ? 1 : 0) }, 500);
 }
 
 /** Use traceableRequest instead of built-in node.js `http.Client.request()` when tracking the "uniques" statistic. 
@@ -186,6 +557,7 @@ traceableRequest = function(client, method, path, headers, body) {
     // the only way to reliably get all the headers going over the wire.
     request.headerLines = request.output.slice();
     request.path = path;
+    request.method = method;
 
     if (body != null) {
         request.write(body);
@@ -195,6 +567,35 @@ traceableRequest = function(client, method, path, headers, body) {
     return request;
 }
 
+/** Creates an http.Client connected to host:port. If secure is true, the client uses HTTPS with the options in
+    tlsConf (see TEST_DEFAULTS.tlsConf). If handshakes, which is generally a stats.js#Histogram, is not null,
+    the number of milliseconds taken by each TLS handshake is written to it. If cookies, a cookies.js#CookieJar,
+    is given, the client sends and stores the cookies in it. */
+createHttpClient = function(port, host, secure, tlsConf, handshakes, cookies) {
+    if (!secure) {
+        var client = http.createClient(port, host);
+        return (cookies != null) ? cookies.attach(client, host, false) : client;
+    }
+
+    tlsConf = tlsConf || {};
+    var credentials = crypto.createCredentials({ca: tlsConf.ca, cert: tlsConf.cert, key: tlsConf.key});
+    client = http.createClient(port, host, true, credentials);
+    var connected = null;
+    client.on('connect', function() {
+        connected = new Date();
+    });
+    client.on('secure', function() {
+        if (handshakes != null && connected != null) {
+            handshakes.put(new Date() - connected);
+        }
+        if (tlsConf.rejectUnauthorized !== false && !client.verifyPeer()) {
+            client.emit('error', new Error('TLS error: certificate of ' + host + ' could not be verified'));
+            client.destroy();
+        }
+    });
+    return (cookies != null) ? cookies.attach(client, host, true) : client;
+}
+
 /** Use a predefined configuration type. 'short' and 'long' are supported. In a 'short' duration test,
     stats reported every 2 seconds. In a 'long' duration test, stats are reported every 10 seconds. */
 setTestConfig = function(configType) {
@@ -215,12 +616,172 @@ setTestConfig = function(configType) {
 // Private methods
 // =================
 
+/** Returns a requestGenerator for def, which is spec or an entry of spec.mix. If def has no requestGenerator,
+    the request is made from its method, path, requestData and headers, or else those of spec. The path,
+    requestData and headers are templates (see templates.js#compileTemplate), in which {{seq}} is nextSeq(). */
+function requestFunction(spec, def, nextSeq) {
+    if (def.requestGenerator != null) {
+        return def.requestGenerator;
+    }
+    var method = def.method || spec.method;
+    var templates = requestTemplates(def.path || spec.path, (def.requestData != null) ? def.requestData : spec.requestData,
+                                     def.headers || spec.headers);
+    var file = def.requestFile || spec.requestFile, fileLength = null;
+    if (file != null && method.search('^(PUT|POST)$') != -1) {
+        try {
+            fileLength = fs.statSync(file).size;
+        } catch (e) {
+            qputs("WARN: could not read requestFile " + file + ": " + (e.message || e));
+        }
+    }
+    return function(client, context) {
+        var vars = {seq: nextSeq()};
+        var headers = { 'host': spec.host };
+        for (var name in templates.headers) {
+            headers[name] = templates.headers[name](context, vars);
+        }
+        if (fileLength != null) {
+            headers['content-length'] = fileLength;
+        } else if ((templates.requestData != null) && (method.search('^(PUT|POST)$') != -1)) {
+            var body = templates.requestData(context, vars);
+        }
+        var request = traceableRequest(client, method, templates.path(context, vars), headers, body);
+        if (fileLength != null) {
+            request.bodyFile = file;
+            request.bodyLength = fileLength;
+        }
+        return request;
+    }
+}
+
+/** Compiles the path, requestData and headers of a request into templates */
+function requestTemplates(path, requestData, headers) {
+    var templates = {path: compileTemplate(String(path)), requestData: null, headers: {}};
+    if (requestData != null) {
+        templates.requestData = (typeof requestData == "string") ? compileTemplate(requestData) : function() { return requestData };
+    }
+    for (var name in headers) {
+        templates.headers[name.toLowerCase()] = compileTemplate(String(headers[name]));
+    }
+    return templates;
+}
+
+/** Returns the loop for an entry of spec.mix, which makes the entry's request or runs its scenario, and
+    records the entry's stats. */
+function mixEntryLoop(spec, entry, stats, redirects, nextSeq) {
+    if (entry.scenario != null) {
+        var loop = scenarioLoop(entry.scenario, {
+            timeout: spec.requestTimeout,
+            thinkTime: (entry.thinkTime != null) ? entry.thinkTime : spec.thinkTime,
+            redirects: redirects,
+            // The steps of a scenario in a mix are checked and their failures logged, but they have no stats of their own
+            wrapStep: function(step, loop) {
+                var stepStats = {'failed-checks': stats['failed-checks'], 'bytes-received': stats['bytes-received'],
+                                 'bytes-sent': stats['bytes-sent']};
+                for (var key in PHASE_STATS) {
+                    stepStats[key] = stats[key];
+                }
+                return monitorStepLoop(spec, step, stepStats, loop);
+            }
+        });
+        return monitorNamedStatsLoop(entry.name, stats, loop);
+    }
+    var request = requestGeneratorLoop(requestFunction(spec, entry, nextSeq), spec.requestTimeout, redirects);
+    return monitorStepLoop(spec, entry, stats, request);
+}
+
+/** Returns the fraction of the iterations of a test that ran each entry of its mix, and the fraction set by
+    the entry's weight. picked is the test's 'mix' stat. */
+function mixSummary(mix, picked) {
+    var counts = picked.cumulative, total = 0, out = {};
+    var percent = function(fraction) { return (100 * fraction).toFixed(1) + '%' };
+    mix.forEach(function(entry) { total += entry.weight });
+    mix.forEach(function(entry) {
+        var count = counts.items[entry.name] || 0;
+        out[entry.name] = percent((counts.length > 0) ? count / counts.length : 0) + ' (target ' + percent(entry.weight / total) + ')';
+    });
+    return out;
+}
+
+/** Returns true if spec, or any step of its scenario or entry of its mix, has checks */
+function hasChecks(spec) {
+    var parts = (spec.scenario || []).concat(spec.mix || []);
+    (spec.mix || []).forEach(function(entry) { parts = parts.concat(entry.scenario || []) });
+    return spec.checks != null || parts.some(function(part) { return part.checks != null });
+}
+
+/** Returns the client a virtual user uses to follow a redirect to another server. The client is reused for later
+    redirects to the same server, and shares the user's cookies. */
+function redirectClient(spec, host, port, secure, user) {
+    var key = (secure ? 'https://' : 'http://') + host + ':' + port;
+    user.redirectClients = user.redirectClients || {};
+    if (user.redirectClients[key] == null) {
+        var cookies = (user.context != null) ? user.context.cookies : null;
+        user.redirectClients[key] = createHttpClient(port, host, secure, spec.tlsConf, null, cookies);
+    }
+    return user.redirectClients[key];
+}
+
+/** Wraps the loop for a step of spec.scenario, or a request in spec.mix, to run its checks and extractors,
+    record its latency, result codes, phases and bytes in stats, and log its failures. */
+function monitorStepLoop(spec, step, stats, loop) {
+    loop = monitorBytesLoop(stats, loop);
+    var checks = (spec.checks || []).concat(step.checks || []);
+    if (checks.length > 0 || step.extract != null) {
+        loop = monitorChecksLoop(checks, step.extract, stats['failed-checks'], loop);
+    }
+    loop = monitorNamedStatsLoop(step.name, stats, loop);
+    loop = monitorPhasesLoop(requestPhases(stats), loop);
+    return monitorHttpFailuresLoop(spec.successCodes, loop);
+}
+
+/** Wraps loop to count the bytes sent and received in the 'bytes-sent' and 'bytes-received' stats, if set */
+function monitorBytesLoop(stats, loop) {
+    if (stats['bytes-received'] != null) {
+        loop = monitorByteReceivedLoop(stats['bytes-received'], loop);
+    }
+    if (stats['bytes-sent'] != null) {
+        loop = monitorBytesSentLoop(stats['bytes-sent'], loop);
+    }
+    return loop;
+}
+
+/** Returns the phases argument of evloops.js#monitorPhasesLoop for the phase stats in stats (see PHASE_STATS) */
+function requestPhases(stats) {
+    var phases = {};
+    for (var key in PHASE_STATS) {
+        if (stats[key] != null) {
+            phases[PHASE_STATS[key].phase] = stats[key];
+        }
+    }
+    return phases;
+}
+
+/** Wraps loop to record its latency and result codes in the stats 'latency: <name>' and 'result-codes: <name>' */
+function monitorNamedStatsLoop(name, stats, loop) {
+    if (stats['latency: ' + name] != null) {
+        loop = monitorLatenciesLoop(stats['latency: ' + name], loop);
+    }
+    if (stats['result-codes: ' + name] != null) {
+        loop = monitorResultsLoop(stats['result-codes: ' + name], loop);
+    }
+    return loop;
+}
+
 /** Returns a callback function that should be called at the end of the load test. It generates the
     summary file and calls the user specified callback function. It sets a timer for terminating 
     the nodeload process if no new tests are started by the user specified callback. */
 function testsComplete(callback, stayAliveAfterDone) {
     return function() {
         qprint('done.\n');
+        for (var i in tests) {
+            if (tests[i].testspec.thresholds != null && tests[i].verdict == null && tests[i].done) {
+                tests[i].verdict = checkThresholds(tests[i], true);
+            }
+            if (tests[i].verdict != null && tests[i].verdict.length > 0) {
+                thresholdsBreached = true;
+            }
+        }
         summaryReport(summaryStats);
         if (SLAVE_CONFIG == null && !stayAliveAfterDone) {
             // End process if not a slave and no more tests are started within 3 seconds.
@@ -232,6 +793,265 @@ function testsComplete(callback, stayAliveAfterDone) {
     }
 }
 
+/** Returns a copy of spec.stages with the start and end time, in seconds from the beginning of the test, and
+    the targetRps and numClients at the start (from) and end (to) of each stage. */
+function planStages(spec) {
+    var plan = [], time = 0;
+    var from = {targetRps: spec.targetRps, numClients: spec.numClients};
+    for (var i = 0; i < spec.stages.length; i++) {
+        var stage = spec.stages[i];
+        var to = {
+            targetRps: (stage.targetRps != null) ? stage.targetRps : from.targetRps,
+            numClients: (stage.numClients != null) ? stage.numClients : from.numClients
+        };
+        if (from.targetRps == Infinity && to.targetRps < Infinity) {
+            from = {targetRps: 0, numClients: from.numClients};
+        }
+        plan.push({
+            name: (stage.name != null) ? stage.name : 'stage ' + (i+1),
+            start: time,
+            end: time + stage.duration,
+            from: from,
+            to: to,
+            setsClients: (stage.numClients != null)
+        });
+        time += stage.duration;
+        from = to;
+    }
+    return plan;
+}
+
+/** Returns a function that sets the rate, concurrency and current stage name of the test job, which was
+    returned by addTest(), according to the stages returned by planStages(). The concurrency is only changed
+    by stages that set numClients. The function should be called periodically once the test starts. */
+function stagesUpdater(job, stages) {
+    var start = null;
+    var interpolate = function(from, to, fraction) {
+        return (from == to) ? to : from + (to - from) * fraction;
+    }
+    return function() {
+        if (start == null) {
+            start = new Date();
+        }
+        var elapsed = (new Date() - start) / 1000;
+        for (var i = 0; i < stages.length; i++) {
+            var stage = stages[i];
+            if (elapsed < stage.end || i == stages.length-1) {
+                var fraction = (stage.end > stage.start) ? Math.min(1, (elapsed - stage.start) / (stage.end - stage.start)) : 1;
+                job.stage = stage.name;
+                job.setRate(interpolate(stage.from.targetRps, stage.to.targetRps, fraction));
+                if (stage.setsClients) {
+                    job.setConcurrency(Math.round(interpolate(stage.from.numClients, stage.to.numClients, fraction)));
+                }
+                return;
+            }
+        }
+    }
+}
+
+/** Returns the result of a level of a search started by addSearch() */
+function levelResult(rps, elapsed, stats, passed) {
+    var count = 0;
+    for (var i in stats) {
+        count = Math.max(count, stats[i].length);
+    }
+    var result = {
+        targetRps: Number(rps.toFixed(1)),
+        actualRps: Number((count / elapsed).toFixed(1)),
+        passed: passed
+    };
+    if (stats['latency'] != null && stats['latency'].length > 0) {
+        result.latency = stats['latency'].summary();
+    }
+    return result;
+}
+
+/** Returns the results of a search started by addSearch() in a form suitable for the summary report */
+function searchSummary(search) {
+    var out = {'max passing rps': (search.maxPassingRps != null) ? search.maxPassingRps : 'none (no rate passed)'};
+    for (var i in search.levels) {
+        var level = search.levels[i];
+        out[level.targetRps + ' rps'] = (level.passed ? 'pass' : 'FAIL') + ', actual rps: ' + level.actualRps +
+                (level.latency != null ? ', latency: ' + JSON.stringify(level.latency) : '');
+    }
+    return out;
+}
+
+/** Returns a list of descriptions of each way that test, returned by addTest(), does not meet the criteria in
+    test.testspec.thresholds. See TEST_DEFAULTS. minRps is only checked if final is true. */
+function checkThresholds(test, final) {
+    var thresholds = test.testspec.thresholds, stats = test.stats, failures = [];
+    var latency = (stats['latency'] != null) ? stats['latency'].cumulative : null;
+    var results = (stats['result-codes'] != null) ? stats['result-codes'].cumulative : null;
+
+    if (thresholds.latency != null) {
+        if (latency == null) {
+            failures.push("latency thresholds require the 'latency' stat");
+        } else {
+            var summary = latency.summary();
+            for (var i in thresholds.latency) {
+                var pct = i.match(/^([\d.]+)%$/);
+                var value = (pct != null) ? latency.percentile(Number(pct[1]) / 100) : summary[i];
+                if (!(value <= thresholds.latency[i])) {
+                    failures.push("latency " + i + " was " + value + " (limit " + thresholds.latency[i] + ")");
+                }
+            }
+        }
+    }
+    if (thresholds.errorRate != null || thresholds.resultCodes != null) {
+        if (results == null) {
+            failures.push("errorRate and resultCodes thresholds require the 'result-codes' stat");
+        } else {
+            var errors = 0;
+            for (var code in results.items) {
+                if (code == 'total' || code == 'rps') {
+                    continue; // skip the fields set by ResultsCounter.summary()
+                }
+                // Failures without a response, such as 'timeout' or 'ECONNREFUSED', are always errors
+                var success = isNaN(Number(code)) ? false :
+                        (test.testspec.successCodes != null) ? 
+                        (test.testspec.successCodes.indexOf(Number(code)) >= 0) :
+                        (Number(code) > 0 && Number(code) < 400);
+                if (!success) {
+                    errors += results.items[code];
+                }
+            }
+            var errorRate = (results.length > 0) ? errors / results.length : 0;
+            if (thresholds.errorRate != null && errorRate > thresholds.errorRate) {
+                failures.push("error rate was " + errorRate.toFixed(4) + " (limit " + thresholds.errorRate + ")");
+            }
+            for (var i in thresholds.resultCodes) {
+                var count = results.items[i] || 0;
+                if (count > thresholds.resultCodes[i]) {
+                    failures.push(count + " responses with code " + i + " (limit " + thresholds.resultCodes[i] + ")");
+                }
+            }
+        }
+    }
+    if (thresholds.minRps != null && final) {
+        var total = (results != null) ? results.length : (latency != null) ? latency.length : null;
+        if (total == null || test.startTime == null) {
+            failures.push("minRps threshold requires the 'latency' or 'result-codes' stat");
+        } else {
+            var elapsed = (new Date() - test.startTime) / 1000 - test.delay;
+            var rps = (elapsed > 0) ? total / elapsed : 0;
+            if (rps < thresholds.minRps) {
+                failures.push("rps was " + rps.toFixed(1) + " (limit " + thresholds.minRps + ")");
+            }
+        }
+    }
+    return failures;
+}
+
+/** Stops all tests if test, returned by addTest(), does not meet its thresholds. The test is marked failed. */
+function abortOnBreach(test) {
+    if (test.verdict != null)
+        return;
+    var failures = checkThresholds(test, false);
+    if (failures.length > 0) {
+        qputs("\nWARN: test " + test.testspec.name + " breached thresholds; stopping all tests: " + failures.join("; "));
+        failures.push("aborted");
+        test.verdict = failures;
+        SCHEDULER.stopAll();
+    }
+}
+
+/** Returns the result of checking the thresholds of test in a form suitable for the summary report */
+function thresholdsSummary(test) {
+    var failures = (test.verdict != null) ? test.verdict : checkThresholds(test, false);
+    var out = {result: (failures.length > 0) ? 'FAIL' : (test.verdict != null) ? 'PASS' : 'in progress'};
+    for (var i = 0; i < failures.length; i++) {
+        out['breach ' + (i+1)] = failures[i];
+    }
+    return out;
+}
+
+/** Writes an entry {"ts": time, "event": event, ...fields} to the stats log. Events such as pauses are
+    listed in the log among the periodic statistics. */
+function logTestEvent(event, fields) {
+    var entry = {ts: new Date(), event: event};
+    for (var i in fields) {
+        entry[i] = fields[i];
+    }
+    STATS_LOG.put(JSON.stringify(entry) + ",");
+}
+
+/** Adds a section, which lists the fields of the return value of summaryFun(), to the summary report */
+function addReportSection(name, summaryFun) {
+    addReportStat({name: name, cumulative: { summary: summaryFun }});
+}
+
+/** Returns a summary of the current load generated by test, which was returned by addTest() */
+function testStatus(test) {
+    return {
+        name: test.testspec.name,
+        targetRps: test.rps,
+        numClients: test.concurrency,
+        maxInFlight: test.open ? test.maxInFlight : undefined,
+        stage: test.stage,
+        paused: test.paused,
+        running: test.started && !test.done
+    };
+}
+
+/** Handler for all the requests to /tests. See http.js#startHttpServer(). GET /tests lists the tests and
+    their current load. POST /tests/<name> with a JSON body such as {"targetRps": 100, "numClients": 20}
+    changes the rate and/or concurrency of the named test while it is running. POSTs from other hosts must
+    be signed (see remote.js#verifyControlRequest()), or get a 401 or 403 response. */
+function serveTests(url, req, res) {
+    var send = function(status, obj) {
+        var body = (obj == null) ? "" : JSON.stringify(obj);
+        res.writeHead(status, {"Content-Type": "application/json", "Content-Length": Buffer.byteLength(body, 'utf8')});
+        res.end(body, 'utf8');
+    }
+    if (req.method == "GET" && url == "/tests") {
+        send(200, tests.map(testStatus));
+    } else if (req.method == "POST" && url.match("^/tests/")) {
+        var name = querystring.unescape(url.substring("/tests/".length)), test = null;
+        for (var i in tests) {
+            if (tests[i].testspec.name == name) {
+                test = tests[i];
+            }
+        }
+        if (test == null) {
+            send(404, {error: "No such test: " + name});
+            return;
+        }
+
+        var body = '';
+        req.setEncoding('utf8');
+        req.on('data', function(chunk) { body += chunk });
+        req.on('end', function() {
+            var authError = verifyControlRequest(req, body);
+            if (authError != null) {
+                send((REMOTE_SECRET == null) ? 403 : 401, {error: authError});
+                return;
+            }
+            try {
+                var update = JSON.parse(body);
+            } catch(e) {
+                send(400, {error: "Body must be JSON, e.g. {\"targetRps\": 100, \"numClients\": 20}"});
+                return;
+            }
+            var rps = Number(update.targetRps), clients = Number(update.numClients);
+            if ((update.targetRps != null && !(rps >= 0)) || (update.numClients != null && !(clients >= 1))) {
+                send(400, {error: "targetRps must be >= 0 and numClients must be >= 1"});
+                return;
+            }
+            if (update.targetRps != null) {
+                test.setRate(rps);
+            }
+            if (update.numClients != null) {
+                test.setConcurrency(clients);
+            }
+            qputs("\nChanged load of test " + name + ": " + body);
+            send(200, testStatus(test));
+        });
+    } else {
+        send(405);
+    }
+}
+
 /** Copy the value from defaults into spec for all fields that are non-existent or null. */
 function defaults(spec, defaults) {
     for (var i in defaults) {
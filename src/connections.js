@@ -0,0 +1,85 @@
+// ------------------------------------
+// Connections
+// ------------------------------------
+//
+// A ConnectionPool holds the connections (http.Clients) of a virtual user, and decides which one each of
+// its requests is sent on. This models clients that keep one connection alive, open a new connection for
+// each request, reconnect every so often, or spread their requests over several connections like a browser.
+//
+
+/** CONNECTION_DEFAULTS defines all of the parameters that can be set in a connection policy, which is passed
+    to new ConnectionPool(spec, ...) or set as the "connection" of a test spec (see TEST_DEFAULTS in api.js).
+    The policies 'persistent' and 'per-request' are short for {} and {maxRequests: 1}. */
+var CONNECTION_DEFAULTS = {
+    maxRequests: Infinity,      // Number of requests to send on a connection before closing it and opening a new one
+    maxAge: Infinity,           // Seconds to use a connection for before closing it and opening a new one
+    poolSize: 1                 // Number of connections each virtual user keeps open. Requests use them in turn.
+};
+
+/** A pool of connections for one virtual user. newClient() is called to create each connection. If stats is
+    given, the number of milliseconds taken to open each connection is written to stats.connectTime, and 1 is
+    written to stats.reconnects for each connection opened after the first, whether because of the policy or
+    because the previous connection was closed. */
+ConnectionPool = function(spec, newClient, stats) {
+    if (spec == null || spec == 'persistent') {
+        spec = {};
+    } else if (spec == 'per-request') {
+        spec = {maxRequests: 1};
+    } else if (typeof spec != "object") {
+        qputs("WARN: unknown connection policy '" + spec + "'; using 'persistent'.");
+        spec = {};
+    }
+    defaults(spec, CONNECTION_DEFAULTS);
+    this.maxRequests = spec.maxRequests;
+    this.maxAge = spec.maxAge;
+    this.poolSize = Math.max(1, spec.poolSize);
+    this.newClient = newClient;
+    this.stats = stats || {};
+    this.connections = [];      // {client, requests, created} for each connection
+    this.index = -1;            // The connection used by the last request
+    this.connected = false;     // Whether any connection has been opened yet
+}
+ConnectionPool.prototype = {
+    /** Returns the client to send the next request on. A connection that has reached maxRequests or maxAge
+        is closed and replaced first. */
+    take: function() {
+        this.index = (this.index + 1) % this.poolSize;
+        var conn = this.connections[this.index];
+        if (conn != null && (conn.requests >= this.maxRequests || new Date() - conn.created >= this.maxAge * 1000)) {
+            conn.client.destroy();
+            conn = null;
+        }
+        if (conn == null) {
+            conn = {client: this.watch(this.newClient()), requests: 0, created: new Date()};
+            this.connections[this.index] = conn;
+        }
+        conn.requests++;
+        return conn.client;
+    },
+    /** Closes all of the connections */
+    close: function() {
+        this.connections.forEach(function(conn) { conn.client.destroy() });
+        this.connections = [];
+    },
+    /** Times each connection the client opens. The client connects when a request is made while it is closed. */
+    watch: function(client) {
+        var pool = this, request = client.request, connecting = null;
+        client.request = function(method, path, headers) {
+            if (connecting == null && (client.readyState == null || client.readyState == 'closed')) {
+                connecting = new Date();
+            }
+            return request.apply(client, arguments);
+        };
+        client.on('connect', function() {
+            if (pool.stats.connectTime != null && connecting != null) {
+                pool.stats.connectTime.put(new Date() - connecting);
+            }
+            if (pool.stats.reconnects != null && pool.connected) {
+                pool.stats.reconnects.put(1);
+            }
+            pool.connected = true;
+            connecting = null;
+        });
+        return client;
+    }
+}
@@ -0,0 +1,157 @@
+// ------------------------------------
+// Cookies
+// ------------------------------------
+//
+// A CookieJar keeps the cookies set by the responses to a virtual user's requests, and adds them to its
+// later requests the way a browser would, taking into account the domain, path, expiry and secure flag of
+// each cookie.
+//
+
+/** An empty set of cookies. Use attach(client, host, secure) to have the cookies sent and stored by an
+    http.Client connected to host. */
+CookieJar = function() {
+    this.cookies = [];
+}
+CookieJar.prototype = {
+    /** Wraps client.request() so that each request includes the cookies that match host and the path of the
+        request in its Cookie header, and the cookies set by its response are stored in this jar. */
+    attach: function(client, host, secure) {
+        var jar = this, request = client.request;
+        client.request = function(method, path, headers) {
+            headers = headers || {};
+            var cookie = jar.header(host, path, secure);
+            if (cookie != null && headers['cookie'] == null) {
+                headers['cookie'] = cookie;
+            }
+            var req = request.call(client, method, path, headers);
+            req.on('response', function(res) {
+                jar.put(res.headers['set-cookie'], host, path);
+            });
+            return req;
+        };
+        return client;
+    },
+    /** Stores the cookies in setCookie, the value of a Set-Cookie response header (a string or list of
+        strings), for a request to path on host. An expired cookie removes any cookie it replaces. */
+    put: function(setCookie, host, path) {
+        if (setCookie == null) {
+            return;
+        }
+        // node.js may join several Set-Cookie headers with ", ", which also appears in expiry dates
+        var lines = (setCookie instanceof Array) ? setCookie : String(setCookie).split(/,(?=\s*[^;=\s,]+=)/);
+        for (var i = 0; i < lines.length; i++) {
+            var cookie = parseCookie(lines[i], host, path);
+            if (cookie == null) {
+                continue;
+            }
+            this.cookies = this.cookies.filter(function(c) {
+                return c.name != cookie.name || c.domain != cookie.domain || c.path != cookie.path;
+            });
+            if (cookie.expires == null || cookie.expires > new Date().getTime()) {
+                this.cookies.push(cookie);
+            }
+        }
+    },
+    /** Returns the value of the Cookie header for a request to path on host, or null if no cookies match */
+    header: function(host, path, secure) {
+        var now = new Date().getTime();
+        host = String(host).toLowerCase();
+        path = cookieRequestPath(path);
+        this.cookies = this.cookies.filter(function(c) { return c.expires == null || c.expires > now });
+        var matching = this.cookies.filter(function(c) {
+            return domainMatches(host, c) && pathMatches(path, c.path) && (secure || !c.secure);
+        });
+        if (matching.length == 0) {
+            return null;
+        }
+        // Send more specific paths first
+        matching.sort(function(a, b) { return b.path.length - a.path.length });
+        return matching.map(function(c) { return c.name + '=' + c.value }).join('; ');
+    },
+    /** Returns the value of the cookie with the given name, or undefined */
+    get: function(name) {
+        for (var i = 0; i < this.cookies.length; i++) {
+            if (this.cookies[i].name == name) {
+                return this.cookies[i].value;
+            }
+        }
+    },
+    clear: function() {
+        this.cookies = [];
+    }
+}
+
+// =================
+// Private methods
+// =================
+
+/** Parses a Set-Cookie header line into {name, value, domain, hostOnly, path, expires, secure} */
+function parseCookie(line, host, path) {
+    var parts = String(line).split(';');
+    var eq = parts[0].indexOf('=');
+    if (eq <= 0) {
+        return null;
+    }
+    var cookie = {
+        name: parts[0].substring(0, eq).trim(),
+        value: parts[0].substring(eq+1).trim(),
+        domain: String(host).toLowerCase(),
+        hostOnly: true,
+        path: defaultCookiePath(cookieRequestPath(path)),
+        expires: null,
+        secure: false
+    };
+    var maxAge = null;
+    for (var i = 1; i < parts.length; i++) {
+        var attr = parts[i].split('='), key = attr[0].trim().toLowerCase(), val = attr.slice(1).join('=').trim();
+        if (key == 'domain' && val != '') {
+            var domain = val.replace(/^\./, '').toLowerCase();
+            if (cookie.domain != domain && !endsWith(cookie.domain, '.' + domain)) {
+                return null;
+            }
+            cookie.domain = domain;
+            cookie.hostOnly = false;
+        } else if (key == 'path' && val.charAt(0) == '/') {
+            cookie.path = val;
+        } else if (key == 'expires') {
+            var expires = Date.parse(val);
+            if (!isNaN(expires)) {
+                cookie.expires = expires;
+            }
+        } else if (key == 'max-age' && val.match(/^-?\d+$/)) {
+            maxAge = Number(val);
+        } else if (key == 'secure') {
+            cookie.secure = true;
+        }
+    }
+    if (maxAge != null) {
+        cookie.expires = new Date().getTime() + maxAge * 1000;
+    }
+    return cookie;
+}
+
+function cookieRequestPath(path) {
+    path = String(path || '/').split('?')[0];
+    return (path.charAt(0) == '/') ? path : '/';
+}
+
+function defaultCookiePath(path) {
+    var i = path.lastIndexOf('/');
+    return (i <= 0) ? '/' : path.substring(0, i);
+}
+
+function domainMatches(host, cookie) {
+    return (host == cookie.domain) || (!cookie.hostOnly && endsWith(host, '.' + cookie.domain));
+}
+
+function pathMatches(path, cookiePath) {
+    if (path == cookiePath) {
+        return true;
+    }
+    return path.indexOf(cookiePath) == 0 &&
+           (cookiePath.charAt(cookiePath.length-1) == '/' || path.charAt(cookiePath.length) == '/');
+}
+
+function endsWith(s, suffix) {
+    return s.length >= suffix.length && s.substring(s.length - suffix.length) == suffix;
+}
@@ -101,69 +101,555 @@ funLoop = function(fun) {
     }
 }
 
-/** Wrapper for a function that causes it to be executed "rps" times per second when used by ConditionalLoop. */
-rpsLoop = function(rps, fun) {
+/** Wrapper for a function that causes it to be executed "rps" times per second when used by ConditionalLoop.
+    If trackIntendedStart is true, each iteration is scheduled relative to when it should have started
+    rather than when the previous iteration finished, so the loop issues iterations back to back to
+    catch up after a slow one. The intended start time is passed to fun as a third parameter,
+    {intendedStart: milliseconds}, for use by monitorIntendedLatenciesLoop().
+    
+    The returned function has two extra methods: setRate(rps) changes the rate of the running loop, and
+    stop() releases any iteration that is waiting for its turn so the ConditionalLoop can terminate. An rps
+    of 0 pauses the loop until setRate() or stop() is called. */
+rpsLoop = function(rps, fun, trackIntendedStart) {
     var timeout = 1/rps * 1000;
-    var finished = false;
-    var lagging = false;
-    var finishFun = function(loopFun) {
-        finished = true;
-        if (lagging) {
+    var finished = true;        // Has the current call to fun finished?
+    var ready = true;           // Has enough time passed since the current call started?
+    var next = null;            // loopFun to call once the current call is finished and ready
+    var held = null;            // Iteration waiting for the loop to be unpaused
+    var lastStart = null;       // Actual or intended start time of the current call
+    var timeoutId = null;
+    var stopped = false;
+    var tryNext = function() {
+        if (finished && ready && next != null) {
+            var loopFun = next;
+            next = null;
             loopFun();
         }
     };
+    var schedule = function() {
+        clearTimeout(timeoutId);
+        var wait = (lastStart == null) ? 0 : lastStart + timeout - new Date().getTime();
+        if (stopped || wait <= 0) {
+            ready = true;
+        } else {
+            ready = false;
+            if (wait < Infinity) {
+                timeoutId = setTimeout(function() { 
+                    ready = true;
+                    tryNext();
+                }, wait);
+            }
+        }
+    };
     var wrapperFun = function(loopFun, args) {
+        if (timeout == Infinity && !stopped) {
+            held = {loopFun: loopFun, args: args};
+            lastStart = null;
+            return;
+        }
+
+        var iteration = null, now = new Date().getTime();
+        if (trackIntendedStart && lastStart != null) {
+            lastStart += timeout;
+        } else {
+            lastStart = now;
+        }
+        if (trackIntendedStart) {
+            iteration = {intendedStart: lastStart};
+        }
+
         finished = false;
-        if (timeout > 0) {
-            setTimeout(function() { 
-                if (!finished)
-                    lagging = true; 
-                else
-                    loopFun();
-            }, timeout);
-            lagging = false;
+        next = loopFun;
+        schedule();
+        fun(function() { 
+            finished = true;
+            tryNext();
+        }, args, iteration);
+    };
+    // setRate() and stop() are usually called from outside of the loop, e.g. by Scheduler.stopAll(), so
+    // defer continuing the loop to the next tick.
+    wrapperFun.setRate = function(rps) {
+        var paused = (timeout == Infinity);
+        timeout = 1/rps * 1000;
+        if (paused && timeout < Infinity) {
+            // Schedule from the resume, rather than catching up on the iterations skipped while paused
+            lastStart = null;
+        }
+        if (held != null) {
+            if (timeout < Infinity) {
+                var h = held;
+                held = null;
+                process.nextTick(function() { wrapperFun(h.loopFun, h.args) });
+            }
+        } else if (next != null) {
+            schedule();
+            process.nextTick(tryNext);
+        }
+    };
+    wrapperFun.stop = function() {
+        stopped = true;
+        if (held != null) {
+            var h = held;
+            held = null;
+            process.nextTick(h.loopFun);
+        } else if (next != null) {
+            schedule();
+            process.nextTick(tryNext);
+        }
+    };
+    return wrapperFun;
+}
+
+/** Wrapper for a function that causes ConditionalLoop to start it "rps" times per second without waiting
+    for earlier calls to finish. This is an "open" workload model: the rate of arrivals does not depend on
+    how quickly fun completes. conf may contain:
+
+        arrivals: 'constant',       // 'constant' for evenly spaced arrivals, or 'poisson' for exponentially
+                                    // distributed gaps between arrivals
+        maxInFlight: Infinity,      // Maximum number of calls to fun running at once. Further arrivals are dropped.
+        argGenerator: null,         // Called to create args for each concurrent call to fun. args are reused
+                                    // once a call finishes. If null, the loop's args are passed to every call.
+        dropped: null               // put(1) is called on this object for each dropped arrival
+
+    fun is passed {intendedStart: milliseconds} as its third parameter. The returned function has these
+    extra methods:
+
+        drain(callback): call callback once no more calls to fun are in flight
+        setRate(rps): change the arrival rate. An rps of 0 pauses arrivals.
+        setMaxInFlight(n): change conf.maxInFlight
+        stop(): stop waiting for the next arrival so the ConditionalLoop can terminate
+    */
+arrivalLoop = function(rps, fun, conf) {
+    var meanGap = 1/rps * 1000;
+    var maxInFlight = (conf.maxInFlight == null) ? Infinity : conf.maxInFlight;
+    var inFlight = 0;
+    var idleArgs = [];
+    var lastArrival = null;
+    var nextArrival = null;
+    var waiting = null;         // loopFun to call at the next arrival
+    var timeoutId = null;
+    var drainCallback = null;
+    var launch = function(args, intendedStart) {
+        if (inFlight >= maxInFlight) {
+            if (conf.dropped != null) {
+                conf.dropped.put(1);
+            }
+            return;
+        }
+        if (conf.argGenerator != null) {
+            args = (idleArgs.length > 0) ? idleArgs.pop() : conf.argGenerator();
+        }
+        inFlight++;
+        fun(function() {
+            inFlight--;
+            if (conf.argGenerator != null) {
+                idleArgs.push(args);
+            }
+            if (inFlight == 0 && drainCallback != null) {
+                var callback = drainCallback;
+                drainCallback = null;
+                callback();
+            }
+        }, args, {intendedStart: intendedStart});
+    };
+    var gap = function() {
+        return (conf.arrivals == 'poisson') ? nextExponential(meanGap) : meanGap;
+    };
+    var schedule = function() {
+        clearTimeout(timeoutId);
+        if (nextArrival < Infinity) {
+            timeoutId = setTimeout(function() {
+                var loopFun = waiting;
+                waiting = null;
+                loopFun();
+            }, Math.max(0, nextArrival - new Date().getTime()));
+        }
+    };
+    var wrapperFun = function(loopFun, args) {
+        var now = new Date().getTime();
+        if (nextArrival == null || nextArrival == Infinity) {
+            nextArrival = now;
+        }
+        lastArrival = nextArrival;
+        launch(args, lastArrival);
+        nextArrival = lastArrival + gap();
+        waiting = loopFun;
+        schedule();
+    };
+    wrapperFun.drain = function(callback) {
+        if (inFlight == 0) {
+            callback();
         } else {
-            lagging = true;
+            drainCallback = callback;
         }
-        fun(function() { finishFun(loopFun) }, args);
-    }
+    };
+    wrapperFun.setRate = function(rps) {
+        meanGap = 1/rps * 1000;
+        if (waiting != null) {
+            nextArrival = Math.max(lastArrival + gap(), new Date().getTime());
+            schedule();
+        }
+    };
+    wrapperFun.setMaxInFlight = function(n) {
+        maxInFlight = n;
+    };
+    wrapperFun.stop = function() {
+        if (waiting != null) {
+            nextArrival = 0;
+            schedule();
+        }
+    };
     return wrapperFun;
 }
 
 /** Wrapper for request generator function, "generator", to be used by ConditionalLoop. "generator" may accept
-    a single parameter which is an http client provided by nodeload. It must return a http.ClientRequest
-    (i.e. return value of http.Client.request()). In addition, http.ClientRequest may contain a .timeout
-    field specifying the maximum number of milliseconds to wait for a response. The returned function 
-    expects an http client as it's 2nd (args) parameter. It calls loopFun({req: http.ClientRequest, res: http.ClientResponse})
-    after each iteration. */
-requestGeneratorLoop = function(generator) {
-    return function(loopFun, client) {
-        var request = generator(client);
+    two parameters, an http client provided by nodeload and the context of the virtual user. It must return a
+    http.ClientRequest (i.e. return value of http.Client.request()). In addition, http.ClientRequest may contain
+    a .timeout field specifying the maximum number of milliseconds to wait for a response, which defaults to the
+    "timeout" parameter, and a .bodyFile field naming a file to stream from disk as the body of the request. Such
+    a request should have a content-length header, and its length can be set as .bodyLength for the 'bytes-sent'
+    stat. The returned function expects an http client, or a virtual user {client: http.Client, context: {}}, as
+    it's 2nd (args) parameter. If the user has a connections.js#ConnectionPool as .connections, user.client is
+    set to the client it returns for each request. It calls loopFun({req: http.ClientRequest, res:
+    http.ClientResponse}) exactly once for each iteration.
+
+    If the request times out or fails, loopFun is called with {req: http.ClientRequest, res: {statusCode: code},
+    err: error}, where code is a string classifying the failure: 'timeout', 'ECONNREFUSED', 'ECONNRESET',
+    'dns-error', 'tls-error', 'parse-error' or 'error'. A response arriving after a timeout is ignored.
+
+    If "redirects" is given, redirect responses (301, 302, 303, 307 and 308) are followed. It is {max, host,
+    port, secure, hops, newClient}, where max is the number of redirects to follow, and (host, port, secure)
+    is where the client is connected to. The time of each request is written to hops, which is generally a
+    stats.js#Histogram, if given. Redirects to other servers use the client returned by newClient(host, port,
+    secure, user) and are not followed if newClient is null. After a redirect, loopFun is called with the final
+    request and response, and the final URL as .url, which is just the path if it is on the original server.
+
+    The result passed to loopFun also has the time in milliseconds of each phase of the request as .timings:
+
+      - dns: looking up the host, if the client opened a connection and reports it with a 'lookup' event
+      - connect: opening the connection, if the client was not connected. It includes dns if that is missing.
+      - tls: the TLS handshake, if the client opened a secure connection
+      - ttfb: from sending the request, once connected, to the first byte of the response
+      - transfer: receiving the body of the response
+      - total: from the start of the iteration to the end of the response, including any redirects
+
+    transfer and total are set when the response ends, which is after loopFun is called unless something
+    waits for the body first. The other phases are those of the final request. */
+requestGeneratorLoop = function(generator, timeout, redirects) {
+    return function(loopFun, args) {
+        var user = (args != null && args.context != null) ? args : {client: args};
+        if (user.connections != null) {
+            user.client = user.connections.take();
+        }
+        var client = user.client;
+        var started = new Date(), marks = {start: started};
+        var stopWatching = watchConnectionPhases(client, marks);
+        var request = generator(client, user.context);
         if (request == null) {
+            stopWatching();
             qputs('WARN: HTTP request is null; did you forget to call return request?');
-            loopfun(null);
-        } else {
-            var timedOut = false;
-            var timeoutId = null;
+            loopFun(null);
+            return;
+        }
+
+        var finished = false;
+        var timeoutId = null;
+        var hopStart = null, hops = 0, finalUrl = null;
+        var location = (redirects != null) ? {host: redirects.host, port: redirects.port, secure: redirects.secure} : null;
+        var finish = function(result) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timeoutId);
+            stopWatching();
+            if (client != null && client.removeListener != null) {
+                client.removeListener('error', onError);
+            }
+            loopFun(result);
+        };
+        var fail = function(err, code) {
+            finish({req: request, res: {statusCode: code}, err: {message: String(err.message || err), code: err.code}});
+        };
+        var onError = function(err) {
+            fail(err, requestErrorCode(err));
+        };
+        var send = function() {
+            if (request.timeout == null) {
+                request.timeout = timeout;
+            }
             if (request.timeout != null) {
                 timeoutId = setTimeout(function() {
-                    timedOut = true;
-                    loopFun({req: request, res: {statusCode: 0}});
+                    // Close the connection so a late response does not hold up the client's next request
+                    if (client != null && client.destroy != null) {
+                        client.destroy();
+                    }
+                    fail('No response after ' + request.timeout + 'ms', 'timeout');
                 }, request.timeout);
             }
+            hopStart = new Date();
+            request.on('error', onError);
             request.on('response', function(response) {
-                if (!timedOut) {
-                    if (timeoutId != null) {
-                        clearTimeout(timeoutId);
+                if (finished) {
+                    return;
+                }
+                clearTimeout(timeoutId);
+                if (redirects != null && redirects.hops != null) {
+                    redirects.hops.put(new Date() - hopStart);
+                }
+                var next = (redirects != null && hops < redirects.max) ? redirectLocation(response, request, location) : null;
+                var nextClient = client;
+                if (next != null && (next.host != location.host || next.port != location.port || next.secure != location.secure)) {
+                    nextClient = (redirects.newClient != null) ? redirects.newClient(next.host, next.port, next.secure, user) : null;
+                }
+                if (next == null || nextClient == null) {
+                    var result = {req: request, res: response, timings: requestTimings(marks, started, response)};
+                    if (finalUrl != null) {
+                        result.url = finalUrl;
                     }
-                    loopFun({req: request, res: response});
+                    finish(result);
+                    return;
+                }
+
+                if (nextClient !== client) {
+                    client.removeListener('error', onError);
+                    nextClient.on('error', onError);
+                    client = nextClient;
                 }
+                hops++;
+                finalUrl = (next.host == redirects.host && next.port == redirects.port && next.secure == redirects.secure) ? next.path : next.href;
+                location = next;
+                // Like browsers, change the method to GET except for "307 Temporary Redirect" and "308 Permanent Redirect"
+                var keepMethod = (response.statusCode == 307 || response.statusCode == 308);
+                var headers = {'host': next.hostHeader}, bodyFile = keepMethod ? request.bodyFile : null, bodyLength = request.bodyLength;
+                if (bodyFile != null) {
+                    headers['content-length'] = bodyLength;
+                }
+                stopWatching();
+                marks = {start: new Date()};
+                stopWatching = watchConnectionPhases(client, marks);
+                request = traceableRequest(client, keepMethod ? (request.method || 'GET') : 'GET', next.path, headers,
+                                           keepMethod ? request.body : null);
+                if (bodyFile != null) {
+                    request.bodyFile = bodyFile;
+                    request.bodyLength = bodyLength;
+                }
+                send();
+            });
+            if (request.bodyFile != null) {
+                // Stream the body from disk, so that it does not need to fit in memory
+                var body = fs.createReadStream(request.bodyFile);
+                body.on('error', onError);
+                sys.pump(body, request);
+            } else {
+                request.end();
+            }
+        };
+
+        if (client != null && client.on != null) {
+            client.on('error', onError);
+        }
+        send();
+    }
+}
+
+/** If client is about to open a connection, records the time of each step as marks.lookup, marks.connect and
+    marks.secure. Returns a function that stops listening for them. */
+function watchConnectionPhases(client, marks) {
+    if (client == null || client.on == null || (client.readyState != null && client.readyState != 'closed')) {
+        return function() {};
+    }
+    var listeners = {};
+    ['lookup', 'connect', 'secure'].forEach(function(event) {
+        listeners[event] = function() {
+            if (marks[event] == null) {
+                marks[event] = new Date();
+            }
+        };
+        client.on(event, listeners[event]);
+    });
+    return function() {
+        for (var event in listeners) {
+            client.removeListener(event, listeners[event]);
+        }
+    };
+}
+
+/** Returns the .timings of a request (see requestGeneratorLoop()) from the marks of its connection phases.
+    transfer and total are added when response ends. */
+function requestTimings(marks, started, response) {
+    var now = new Date(), timings = {dns: null, connect: null, tls: null, ttfb: null, transfer: null, total: null};
+    if (marks.lookup != null) {
+        timings.dns = marks.lookup - marks.start;
+    }
+    if (marks.connect != null) {
+        timings.connect = marks.connect - (marks.lookup || marks.start);
+    }
+    if (marks.secure != null && marks.connect != null) {
+        timings.tls = marks.secure - marks.connect;
+    }
+    timings.ttfb = now - (marks.secure || marks.connect || marks.start);
+    if (response.on != null) {
+        response.on('end', function() {
+            var end = new Date();
+            timings.transfer = end - now;
+            timings.total = end - started;
+        });
+    }
+    return timings;
+}
+
+/** Returns where a redirect response to request, which was sent to {host, port, secure}, points to, as
+    {host, port, secure, path, hostHeader, href}. Returns null if the response is not a redirect. */
+function redirectLocation(response, request, from) {
+    if ([301, 302, 303, 307, 308].indexOf(response.statusCode) < 0 || response.headers['location'] == null) {
+        return null;
+    }
+    var base = (from.secure ? 'https' : 'http') + '://' + from.host + ':' + from.port + (request.path || '/');
+    var href = url.resolve(base, response.headers['location']);
+    var parsed = url.parse(href);
+    if (parsed.protocol != 'http:' && parsed.protocol != 'https:') {
+        return null;
+    }
+    var secure = (parsed.protocol == 'https:');
+    return {
+        host: parsed.hostname,
+        port: (parsed.port != null) ? Number(parsed.port) : (secure ? 443 : 80),
+        secure: secure,
+        path: (parsed.pathname || '/') + (parsed.search || ''),
+        hostHeader: parsed.host,
+        href: href
+    };
+}
+
+/** Returns a short code for the error emitted by a failed HTTP request or client, which is used in place of
+    the HTTP status code in the 'result-codes' statistic. */
+function requestErrorCode(err) {
+    var s = (err.code || '') + ' ' + (err.message || err);
+    if (s.match(/ECONNREFUSED/)) {
+        return 'ECONNREFUSED';
+    } else if (s.match(/ECONNRESET|socket hang up/)) {
+        return 'ECONNRESET';
+    } else if (s.match(/ENOTFOUND|EAI_|EADDRINFO|getaddrinfo|ENODATA|Domain name not found/)) {
+        return 'dns-error';
+    } else if (s.match(/TLS|SSL|certificate|EPROTO/)) {
+        return 'tls-error';
+    } else if (s.match(/HPE_|Parse Error/)) {
+        return 'parse-error';
+    }
+    return 'error';
+}
+
+/** Runs a multi-step user scenario, an ordered list of steps, in each iteration of a ConditionalLoop.
+    Each step is {name, request, response, thinkTime}:
+
+      - request(client, context) returns a http.ClientRequest, like a requestGenerator
+      - response(res, body, context) is optional and is called with the http.ClientResponse and its body
+        once the response completes. If it returns false, the remaining steps are skipped.
+      - thinkTime is the time to wait before the next step (see thinkTimeMs()), which defaults to conf.thinkTime
+      - checks and extract are used by the monitorChecksLoop() that conf.wrapStep adds for the step, if any
+
+    The returned function expects a virtual user {client: http.Client, context: {}} as its 2nd (args)
+    parameter. context is kept for the lifetime of the user, so steps can use it to pass cookies, tokens and
+    other values extracted from responses to the following steps and iterations. conf is {timeout, thinkTime,
+    redirects, wrapStep}, where timeout and redirects are passed to requestGeneratorLoop(), and wrapStep(step,
+    loop) may return loop wrapped in monitoring loops for the step.
+
+    loopFun is called with the {req, res} of the last step that ran. A step that fails (see
+    requestGeneratorLoop) or fails a check (see monitorChecksLoop) ends the iteration. */
+scenarioLoop = function(steps, conf) {
+    conf = conf || {};
+    var loops = null;
+    return function(loopFun, user) {
+        if (loops == null) {
+            loops = steps.map(function(step) {
+                var loop = requestGeneratorLoop(step.request, conf.timeout, conf.redirects);
+                return (conf.wrapStep != null) ? conf.wrapStep(step, loop) : loop;
             });
-            request.end();
         }
+        var i = 0;
+        var next = function() {
+            var step = steps[i];
+            loops[i](function(result) {
+                if (result == null || result.err != null) {
+                    loopFun(result);
+                    return;
+                }
+                var body = '';
+                result.res.on('data', function(chunk) {
+                    if (step.response != null) {
+                        body += chunk;
+                    }
+                });
+                result.res.on('end', function() {
+                    var proceed = (result.failedChecks == null) &&
+                                  ((step.response == null) || (step.response(result.res, body, user.context) !== false));
+                    i++;
+                    if (!proceed || i >= steps.length) {
+                        loopFun(result);
+                        return;
+                    }
+                    var wait = thinkTimeMs((step.thinkTime != null) ? step.thinkTime : conf.thinkTime);
+                    if (wait > 0) {
+                        setTimeout(next, wait);
+                    } else {
+                        next();
+                    }
+                });
+            }, user);
+        };
+        next();
     }
 }
 
+/** Runs one of a weighted list of loops in each iteration of a ConditionalLoop. entries is a list of objects
+    with a name and a weight, and loopFor(entry) is called the first time an entry is run to create its loop.
+    Entries are picked by smooth weighted round robin, so each entry runs in proportion to its weight at any
+    point of the test, and the entries are interleaved. The name of each entry picked is written to picked,
+    which is generally a stats.js#ResultsCounter object, if given. */
+mixLoop = function(entries, loopFor, picked) {
+    var loops = [], current = [], total = 0;
+    entries.forEach(function(entry) {
+        total += entry.weight;
+        current.push(0);
+    });
+    return function(loopFun, args, iteration) {
+        var best = 0;
+        for (var i = 0; i < entries.length; i++) {
+            current[i] += entries[i].weight;
+            if (current[i] > current[best]) {
+                best = i;
+            }
+        }
+        current[best] -= total;
+        if (loops[best] == null) {
+            loops[best] = loopFor(entries[best]);
+        }
+        if (picked != null) {
+            picked.put(entries[best].name);
+        }
+        loops[best](loopFun, args, iteration);
+    }
+}
+
+/** Returns a random think time in milliseconds from a spec in seconds, which is one of:
+
+      - a number, or {type: 'fixed', value: seconds}
+      - {type: 'uniform', min: seconds, max: seconds}
+      - {type: 'gaussian', mean: seconds, stddev: seconds}, which is never less than 0 */
+function thinkTimeMs(spec) {
+    if (spec == null) {
+        return 0;
+    } else if (typeof spec == "number") {
+        return spec * 1000;
+    } else if (spec.type == 'uniform') {
+        return (spec.min + Math.random() * (spec.max - spec.min)) * 1000;
+    } else if (spec.type == 'gaussian') {
+        return Math.max(0, nextGaussian(spec.mean, spec.stddev)) * 1000;
+    }
+    return (spec.value || 0) * 1000;
+}
+
 // ------------------------------------
 // Monitoring loops
 // ------------------------------------
@@ -175,6 +661,46 @@ monitorLatenciesLoop = function(latencies, fun) {
     return loopWrapper(fun, start, finish);
 }
 
+/** Like monitorLatenciesLoop, but time each call to fun from when it was scheduled to start rather
+    than when it actually started. This corrects for "coordinated omission": when a slow response delays
+    the next iteration of an rpsLoop, the delay is included in the latency of that iteration. The intended
+    start time is provided by rpsLoop(rps, fun, true); if it is missing, the actual start time is used. */
+monitorIntendedLatenciesLoop = function(latencies, fun) {
+    var start = function(args, iteration) {
+        return (iteration != null && iteration.intendedStart != null) ? iteration.intendedStart : new Date().getTime();
+    }
+    var finish = function(result, start) { latencies.put(new Date().getTime() - start) };
+    return loopWrapper(fun, start, finish);
+}
+
+/** Each call to fun should return an object {timings: {}}, like requestGeneratorLoop(). This function writes
+    the time of each phase of the request to the matching field of phases, {dns, connect, tls, ttfb, transfer,
+    total}. Each field is generally a stats.js#Histogram object, and may be left out. */
+monitorPhasesLoop = function(phases, fun) {
+    var finish = function(result) {
+        var timings = result.timings;
+        if (timings == null) {
+            return;
+        }
+        var put = function(phase) {
+            if (phases[phase] != null && timings[phase] != null) {
+                phases[phase].put(timings[phase]);
+            }
+        };
+        ['dns', 'connect', 'tls', 'ttfb'].forEach(put);
+        var ended = function() {
+            put('transfer');
+            put('total');
+        };
+        if (timings.total != null) {
+            ended();
+        } else if (result.res != null && result.res.on != null) {
+            result.res.on('end', ended);
+        }
+    };
+    return loopWrapper(fun, null, finish);
+}
+
 /** Each call to fun should return an object {res: http.ClientResponse}. This function tracks the http
     response codes and writes them to results, which is generally a stats.js#ResultsCounter object. */
 monitorResultsLoop = function(results, fun) {
@@ -183,9 +709,14 @@ monitorResultsLoop = function(results, fun) {
 }
 
 /** Each call to fun should return an object {res: http.ClientResponse}. This function reads the http
-    response body and writes its size to bytesReceived, which is generally a stats.js#Accumlator object. */
+    response body and writes its size, and the size of the headers, to bytesReceived, which is generally a
+    stats.js#Accumlator or stats.js#Throughput object. fun must not read the body before calling loopFun. */
 monitorByteReceivedLoop = function(bytesReceived, fun) {
     var finish = function(http) { 
+        if (http.err != null) {
+            return;
+        }
+        bytesReceived.put(responseHeaderLength(http.res));
         http.res.on('data', function(chunk) {
             bytesReceived.put(chunk.length);
         });
@@ -193,6 +724,37 @@ monitorByteReceivedLoop = function(bytesReceived, fun) {
     return loopWrapper(fun, null, finish);
 }
 
+/** Each call to fun should return an object {req: http.ClientRequest} made with traceableRequest(). This
+    function writes the number of bytes in the request's headers and body to bytesSent, which is generally a
+    stats.js#Throughput object. Requests made without traceableRequest() are not counted. */
+monitorBytesSentLoop = function(bytesSent, fun) {
+    var finish = function(http) {
+        var req = http.req;
+        if (req == null || req.headerLines == null) {
+            return;
+        }
+        var bytes = 0;
+        req.headerLines.forEach(function(line) { bytes += String(line).length });
+        if (req.body != null) {
+            bytes += (typeof req.body == "string") ? Buffer.byteLength(req.body, 'utf8') : req.body.length;
+        } else if (req.bodyLength != null) {
+            bytes += req.bodyLength;
+        }
+        bytesSent.put(bytes);
+    };
+    return loopWrapper(fun, null, finish);
+}
+
+/** Returns the number of bytes in the status line and headers of res. node.js only keeps the parsed headers,
+    so this is how long they would be if each was sent once as "Name: value". */
+function responseHeaderLength(res) {
+    var length = ('HTTP/' + (res.httpVersion || '1.1') + ' ' + res.statusCode + ' ' + (http.STATUS_CODES[res.statusCode] || '') + '\r\n\r\n').length;
+    for (var name in res.headers) {
+        length += (name + ': ' + res.headers[name] + '\r\n').length;
+    }
+    return length;
+}
+
 /** Tracks the concurrency of calls to fun and writes it to concurrency, which is generally a
     stats.js#Peak object. */
 monitorConcurrencyLoop = function(concurrency, fun) {
@@ -210,13 +772,26 @@ monitorRateLoop = function(rate, fun) {
 
 /** Each call to fun should return an object {res: http.ClientResponse}. This function reads the http
     response code and writes the full request and response to "log" if the response code is not in the 
-    "successCodes" list. "log" is generally a stats.js#LogFile object. */
+    "successCodes" list. Requests that failed without a response (see requestGeneratorLoop()) are always
+    written to "log", even if "successCodes" is null. "log" is generally a stats.js#LogFile object. */
 monitorHttpFailuresLoop = function(successCodes, fun, log) {
     if (log == null)
         log = ERROR_LOG;
     var finish = function(http) {
         var body = "";
-        if (successCodes.indexOf(http.res.statusCode) < 0) {
+        if (http.err != null) {
+            log.put(JSON.stringify({
+                ts: new Date(),
+                req: {
+                    headersLines: http.req.headerLines,
+                    body: http.req.body,
+                },
+                err: {
+                    result: http.res.statusCode,
+                    message: http.err.message
+                }
+            }));
+        } else if (successCodes != null && successCodes.indexOf(http.res.statusCode) < 0) {
             http.res.on('data', function(chunk) {
                 body += chunk;
             });
@@ -239,46 +814,190 @@ monitorHttpFailuresLoop = function(successCodes, fun, log) {
     return loopWrapper(fun, null, finish);
 }
 
+/** Each call to fun should return an object {req: http.ClientRequest, res: http.ClientResponse}. This function
+    reads the response body and runs each check in the "checks" list against the response. Each check is one of:
+
+      - {contains: 'text'}: the body contains the text
+      - {matches: 'regex'}: the body matches the regular expression (a string or RegExp)
+      - {json: 'path.to.field', equals: value}: the body is JSON with a value at the path, e.g. 'items.0.id',
+        that is equal to "value", if given
+      - {maxBodySize: bytes}: the body is at most "bytes" long
+      - {header: 'name', equals: value, matches: 'regex'}: the response has the header, and its value is
+        equal to "value" and matches the regular expression, if given
+
+    A check may be given a name; otherwise one is made from its definition. The names of the checks a response
+    fails are written to failedChecks, which is generally a stats.js#ResultsCounter object, and set as
+    result.failedChecks. Each failure is written to "log" along with the request and response.
+
+    "extract" is an optional map of names to selectors, which have the same form as the json, header and matches
+    checks, e.g. {id: {json: 'user.id'}, token: {header: 'x-token'}, csrf: {matches: 'csrf=(\\w+)'}}. The value
+    selected from each response (the first group of a regular expression, if it has one) is stored in the
+    context of the virtual user under that name (see requestGeneratorLoop()). */
+monitorChecksLoop = function(checks, extract, failedChecks, fun, log) {
+    if (log == null)
+        log = ERROR_LOG;
+    checks = checks || [];
+    var finish = function(http, start, args) {
+        if (http.err != null) {
+            return;
+        }
+        var body = '', size = 0;
+        http.res.on('data', function(chunk) {
+            body += chunk;
+            size += chunk.length;
+        });
+        http.res.on('end', function() {
+            var failed = [];
+            checks.forEach(function(check) {
+                var name = (check.name != null) ? check.name : checkName(check);
+                if (checkPasses(check, http.res, body, size)) {
+                    return;
+                }
+                failed.push(name);
+                if (failedChecks != null) {
+                    failedChecks.put(name);
+                }
+                log.put(JSON.stringify({
+                    ts: new Date(),
+                    check: name,
+                    req: {
+                        headersLines: http.req.headerLines,
+                        body: http.req.body,
+                    },
+                    res: {
+                        statusCode: http.res.statusCode,
+                        headers: http.res.headers,
+                        body: body
+                    }
+                }));
+            });
+            if (failed.length > 0) {
+                http.failedChecks = failed;
+            }
+            if (extract != null && args != null && args.context != null) {
+                for (var key in extract) {
+                    var value = selectResponseValue(extract[key], http.res, body);
+                    if (value !== undefined) {
+                        args.context[key] = value;
+                    }
+                }
+            }
+        });
+    };
+    return loopWrapper(fun, null, finish);
+}
+
+/** Returns true if the response passes the check (see monitorChecksLoop()) */
+function checkPasses(check, res, body, size) {
+    if (check.maxBodySize != null) {
+        return size <= check.maxBodySize;
+    } else if (check.contains != null) {
+        return body.indexOf(check.contains) >= 0;
+    }
+    var value = selectResponseValue(check, res, body);
+    if (value === undefined) {
+        return false;
+    }
+    return (check.equals === undefined) || (JSON.stringify(value) == JSON.stringify(check.equals));
+}
+
+/** Returns the value selected from the response by {header: name}, {json: path} and/or {matches: regex}, or
+    undefined if there is none. */
+function selectResponseValue(selector, res, body) {
+    var value = (selector.header != null) ? res.headers[selector.header.toLowerCase()] : body;
+    if (value === undefined) {
+        return undefined;
+    }
+    if (selector.json != null) {
+        try {
+            value = JSON.parse(value);
+        } catch(e) {
+            return undefined;
+        }
+        var path = String(selector.json).split('.');
+        for (var i = 0; i < path.length; i++) {
+            if (path[i] == '') {
+                continue;
+            } else if (value == null || typeof value != "object" || !(path[i] in value)) {
+                return undefined;
+            }
+            value = value[path[i]];
+        }
+    }
+    if (selector.matches != null) {
+        var match = String(value).match(selector.matches);
+        if (match == null) {
+            return undefined;
+        }
+        value = (match.length > 1) ? match[1] : match[0];
+    }
+    return value;
+}
+
+/** Describes a check that has no name, e.g. "json user.id == 5" */
+function checkName(check) {
+    if (check.maxBodySize != null) {
+        return 'body <= ' + check.maxBodySize + ' bytes';
+    } else if (check.contains != null) {
+        return 'contains ' + JSON.stringify(check.contains);
+    }
+    var name = [];
+    if (check.header != null)
+        name.push('header ' + check.header);
+    if (check.json != null)
+        name.push('json ' + check.json);
+    if (check.matches != null)
+        name.push('matches ' + ((check.matches instanceof RegExp) ? check.matches : '/' + check.matches + '/'));
+    if (check.equals !== undefined)
+        name.push('== ' + JSON.stringify(check.equals));
+    return name.join(' ');
+}
+
 /** Each call to fun should return an object {req: http.ClientRequest}. This function writes the request
-    URL to uniqs which is generally a stats.js#Uniques object. */
+    URL, or the final URL of a redirected request (see requestGeneratorLoop()), to uniqs which is generally a
+    stats.js#Uniques object. */
 monitorUniqueUrlsLoop = function(uniqs, fun) {
-    var finish = function(http) { uniqs.put(http.req.path) };
+    var finish = function(http) { uniqs.put((http.url != null) ? http.url : http.req.path) };
     return loopWrapper(fun, null, finish);
 }
 
-/** Wrap a ConditionalLoop compatible loop function. For each iteration, calls startRes = start(args) 
-    before calling fun(), and calls finish(result, startRes) when fun() returns. */
+/** Wrap a ConditionalLoop compatible loop function. For each iteration, calls startRes = start(args, iteration) 
+    before calling fun(), and calls finish(result, startRes, args) when fun() returns. iteration is the optional
+    third parameter passed by rpsLoop(), and is passed through to fun(). */
 loopWrapper = function(fun, start, finish) {
-    return function(loopFun, args) {
+    return function(loopFun, args, iteration) {
         var startRes;
         if (start != null) {
-            startRes = start(args);
+            startRes = start(args, iteration);
         }
         var finishFun = function(result) {
             if (result == null) {
                 qputs('Function result is null; did you forget to call loopFun(result)?');
             } else {
                 if (finish != null) {
-                    finish(result, startRes);
+                    finish(result, startRes, args);
                 }
             }
             loopFun(result);
         }
-        fun(finishFun, args);
+        fun(finishFun, args, iteration);
     }
 }
 
-/** Returns a ConditionalLoop compatible loop function that calls progressFun(stats) and 
-    report.js#defaultProgressReport(stats) during each iteration. If this is a slave nodeload instance
-    (SLAVE_CONFIG is defined), the statistics are also reported to the master node. A progressReportLoop
-    should be scheduled in SCHEDULER to periodically gather statistics during a load test. */
-progressReportLoop = function(stats, progressFun) {
+/** Returns a ConditionalLoop compatible loop function that calls progressFun(stats, status) and 
+    report.js#defaultProgressReport(stats, status) during each iteration. status is the return value of
+    statusFun(), if given, which is a map of extra fields, such as the current stage of the test, to include
+    in the report. If this is a slave nodeload instance (SLAVE_CONFIG is defined), the statistics are also
+    reported to the master node. A progressReportLoop should be scheduled in SCHEDULER to periodically
+    gather statistics during a load test. */
+progressReportLoop = function(stats, progressFun, statusFun) {
     return function(loopFun) {
+        var status = (statusFun != null) ? statusFun() : null;
         if (progressFun != null)
-            progressFun(stats);
+            progressFun(stats, status);
         if (SLAVE_CONFIG != null)
             SLAVE_CONFIG.reportProgress(stats);
-        defaultProgressReport(stats);
+        defaultProgressReport(stats, status);
         loopFun();
     }
 }
@@ -0,0 +1,278 @@
+// ------------------------------------
+// Data feeders
+// ------------------------------------
+//
+// A Feeder reads rows from a CSV or JSON-lines file for data driven tests, e.g. a list of user names and
+// passwords to log in with. Files are read as a stream and only up to FEEDER_DEFAULTS.bufferSize rows are
+// kept in memory, so they can be larger than the memory available to nodeload.
+//
+
+/** FEEDER_DEFAULTS defines all of the parameters that can be set in a feeder specification, which is passed
+    to new Feeder(spec) or set as the "feeder" of a test spec (see TEST_DEFAULTS in api.js). */
+var FEEDER_DEFAULTS = {
+    file: null,                 // The file to read rows from
+    format: null,               // 'csv' or 'jsonl'. If null, 'jsonl' is used for files ending in .jsonl, .ndjson
+                                // or .json, and 'csv' otherwise.
+    columns: null,              // For CSV files, the list of column names. If null, the first line of the file
+                                // is a header with the column names. Each row is an object mapping column names to
+                                // values. Each line of a JSON-lines file is a row.
+    strategy: 'sequential',     // How rows are handed out:
+                                //   - 'sequential': in order, and the test stops when the rows run out
+                                //   - 'circular': in order, starting over at the end of the file
+                                //   - 'random': in random order, choosing from bufferSize rows at a time
+                                //   - 'unique': each virtual user (client) gets its own row, which it keeps. The
+                                //     test stops if there are more users than rows.
+    bufferSize: 1000,           // Maximum number of rows to read ahead. If the whole file fits, it is only read once.
+    partition: null             // {index, count}: only use the rows whose number modulo count is index. When a test
+                                // runs on remote slaves, each slave uses a different partition of the file.
+};
+
+/** Reads rows from spec.file (see FEEDER_DEFAULTS). Call next(callback) to get each row. */
+Feeder = function(spec) {
+    defaults(spec, FEEDER_DEFAULTS);
+    this.file = spec.file;
+    this.format = (spec.format != null) ? spec.format : (spec.file.match(/\.(jsonl|ndjson|json)$/) ? 'jsonl' : 'csv');
+    this.columns = spec.columns;
+    // Whether the first line of the file names the columns. It is skipped on every pass through the file.
+    this.header = (this.format == 'csv' && spec.columns == null);
+    this.strategy = spec.strategy;
+    this.bufferSize = spec.bufferSize;
+    this.partition = spec.partition;
+    this.rows = [];             // Rows read ahead
+    this.all = null;            // All the rows of the partition, if they fit in bufferSize
+    this.firstPass = [];        // The rows read so far in the first pass through the file, while they fit
+    this.waiting = [];          // Callbacks waiting for a row
+    this.stream = null;
+    this.eof = false;
+    this.passes = 0;
+    if (['sequential', 'circular', 'random', 'unique'].indexOf(this.strategy) < 0) {
+        qputs("WARN: unknown feeder strategy '" + this.strategy + "'; using 'sequential'.");
+        this.strategy = 'sequential';
+    }
+    this.open();
+}
+Feeder.prototype = {
+    /** Calls callback(row) with the next row, as soon as one has been read. callback(null) is called if
+        there are no more rows. */
+    next: function(callback) {
+        var row = this.take();
+        if (row !== undefined) {
+            callback(row);
+        } else if (this.exhausted()) {
+            callback(null);
+        } else {
+            this.waiting.push(callback);
+            this.fill();
+        }
+    },
+    close: function() {
+        if (this.stream != null) {
+            this.stream.destroy();
+            this.stream = null;
+        }
+    },
+    /** Returns true if the strategy starts over at the end of the file */
+    cycles: function() {
+        return this.strategy == 'circular' || this.strategy == 'random';
+    },
+    /** Returns true if there are no rows left to read */
+    exhausted: function() {
+        return this.eof && this.rows.length == 0 && (!this.cycles() || (this.all != null && this.all.length == 0));
+    },
+    /** Returns the next row if one is available, or undefined */
+    take: function() {
+        if (this.all != null) {
+            if (this.all.length == 0) {
+                return undefined;
+            } else if (this.strategy == 'random') {
+                return this.all[Math.floor(Math.random() * this.all.length)];
+            }
+            this.index = (this.index + 1) % this.all.length;
+            return this.all[this.index];
+        }
+        if (this.rows.length == 0) {
+            return undefined;
+        }
+        var i = (this.strategy == 'random') ? Math.floor(Math.random() * this.rows.length) : 0;
+        var row = this.rows[i];
+        if (i == 0) {
+            this.rows.shift();
+        } else {
+            this.rows[i] = this.rows.pop();
+        }
+        this.fill();
+        return row;
+    },
+    /** Reads more rows if there is room for them */
+    fill: function() {
+        if (this.all != null || this.rows.length >= this.bufferSize) {
+            return;
+        }
+        if (this.stream == null && this.eof && this.cycles()) {
+            this.open();
+        } else if (this.stream != null && this.paused) {
+            this.paused = false;
+            this.stream.resume();
+        }
+    },
+    open: function() {
+        var feeder = this, partial = '', number = 0, header = this.header;
+        this.eof = false;
+        this.paused = false;
+        this.stream = fs.createReadStream(this.file, {encoding: 'utf8'});
+        this.stream.on('data', function(data) {
+            var lines = (partial + data).split(/\r?\n/);
+            partial = lines.pop();
+            lines.forEach(readLine);
+            if (feeder.rows.length >= feeder.bufferSize && feeder.stream != null) {
+                feeder.paused = true;
+                feeder.stream.pause();
+            }
+        });
+        this.stream.on('end', function() {
+            readLine(partial);
+            feeder.stream = null;
+            feeder.eof = true;
+            feeder.passes++;
+            if (feeder.passes == 1 && feeder.firstPass != null && feeder.cycles()) {
+                // The whole partition fits in the buffer, so keep it rather than reading the file again
+                feeder.all = feeder.firstPass;
+                feeder.index = feeder.all.length - feeder.rows.length - 1;
+                feeder.rows = [];
+                if (feeder.all.length == 0) {
+                    qputs("WARN: feeder " + feeder.file + " has no rows" + (feeder.partition ? " in its partition." : "."));
+                }
+            }
+            feeder.firstPass = null;
+            feeder.serve();
+            if (feeder.all == null && feeder.cycles() && feeder.waiting.length > 0) {
+                feeder.fill();
+            }
+        });
+        this.stream.on('error', function(err) {
+            qputs("WARN: could not read feeder " + feeder.file + ": " + (err.message || err));
+            feeder.stream = null;
+            feeder.eof = true;
+            feeder.all = feeder.all || [];
+            feeder.serve();
+        });
+
+        function readLine(line) {
+            if (line.match(/^\s*$/)) {
+                return;
+            } else if (header) {
+                header = false;
+                if (feeder.columns == null) {
+                    feeder.columns = parseCsvLine(line);
+                }
+                return;
+            }
+            number++;
+            var partition = feeder.partition;
+            if (partition != null && (number - 1) % partition.count != partition.index) {
+                return;
+            }
+            var row = parseFeederLine(feeder, line, number);
+            if (row !== undefined) {
+                feeder.rows.push(row);
+                if (feeder.firstPass != null && feeder.firstPass.length < feeder.bufferSize) {
+                    feeder.firstPass.push(row);
+                } else {
+                    feeder.firstPass = null;
+                }
+            }
+            feeder.serve();
+        }
+    },
+    /** Hands out rows to waiting callbacks */
+    serve: function() {
+        while (this.waiting.length > 0) {
+            var row = this.take();
+            if (row === undefined) {
+                if (this.exhausted()) {
+                    var waiting = this.waiting;
+                    this.waiting = [];
+                    waiting.forEach(function(callback) { callback(null) });
+                }
+                return;
+            }
+            this.waiting.shift()(row);
+        }
+    }
+}
+
+/** Wrap a ConditionalLoop compatible loop function so that each iteration first gets a row from "feeder", a
+    Feeder, and stores it in the context of the virtual user (see evloops.js#requestGeneratorLoop) as
+    context.row. With the 'unique' strategy, each user only gets a row once. When the feeder runs out of rows,
+    onEnd() is called and the iteration ends without calling fun. */
+feederLoop = function(feeder, fun, onEnd) {
+    return function(loopFun, user, iteration) {
+        var context = (user != null) ? user.context : null;
+        if (context == null || (feeder.strategy == 'unique' && context.row != null)) {
+            fun(loopFun, user, iteration);
+            return;
+        }
+        feeder.next(function(row) {
+            if (row == null) {
+                if (onEnd != null) {
+                    onEnd();
+                }
+                loopFun(null);
+                return;
+            }
+            context.row = row;
+            fun(loopFun, user, iteration);
+        });
+    }
+}
+
+// =================
+// Private methods
+// =================
+
+/** Parses a data line of the feeder's file into a row. Returns undefined, and logs a warning, if it is invalid. */
+function parseFeederLine(feeder, line, number) {
+    if (feeder.format == 'jsonl') {
+        try {
+            return JSON.parse(line);
+        } catch(e) {
+            if (feeder.passes == 0) {
+                qputs("WARN: skipping invalid JSON on line " + number + " of " + feeder.file);
+            }
+            return undefined;
+        }
+    }
+    var values = parseCsvLine(line), row = {};
+    for (var i = 0; i < feeder.columns.length; i++) {
+        row[feeder.columns[i]] = values[i];
+    }
+    return row;
+}
+
+/** Splits a line of a CSV file into a list of values. Values may be quoted with ", in which case they can
+    contain commas and "" for a quote. Quoted values cannot contain line breaks. */
+function parseCsvLine(line) {
+    var values = [], value = '', quoted = false;
+    for (var i = 0; i < line.length; i++) {
+        var c = line.charAt(i);
+        if (quoted) {
+            if (c == '"' && line.charAt(i+1) == '"') {
+                value += '"';
+                i++;
+            } else if (c == '"') {
+                quoted = false;
+            } else {
+                value += c;
+            }
+        } else if (c == '"') {
+            quoted = true;
+        } else if (c == ',') {
+            values.push(value);
+            value = '';
+        } else {
+            value += c;
+        }
+    }
+    values.push(value);
+    return values;
+}
@@ -6,6 +6,8 @@ var http = require('http');
 var fs = require('fs');
 var events = require('events');
 var querystring = require('querystring');
+var url = require('url');
+var crypto = require('crypto');
 
 var START = new Date().getTime();
 var lastUid = 0;
@@ -32,6 +32,17 @@ function getReportAsHtml(report) {
         chartdivs += chartdiv.replace(/\$\{id\}/g, uid);
         plotcharts += plotchart.replace(/\$\{id\}/g, uid);
     }
+    var controls = "";
+    if (WORKER_POOL != null && WORKER_POOL.callback != null) {
+        // Buttons to stop, pause or resume all the slaves of a running remote test. See remote.js#serveCluster().
+        controls = 
+            '<div class="post"><h2>Remote slaves</h2><div class="entry">' +
+            '<button onclick="control(\'stop\')">Stop</button> ' +
+            '<button onclick="control(\'pause\')">Pause</button> ' +
+            '<button onclick="control(\'resume\')">Resume</button> ' +
+            '<span id="controlResult"></span>' +
+            '</div></div>';
+    }
     var now = new Date();
     var html = 
             '<html><head><title>Test Results</title>' +
@@ -59,6 +70,7 @@ function getReportAsHtml(report) {
                 '<div class="post"><h2>Summary</h2><div class="entry">' +
                     '<p><pre id="reportText">' + report.text + '</pre></p>' +
                 '</div></div>' +
+                controls +
                 chartdivs +
             '</div></div>' +
             '<script id="source" language="javascript" type="text/javascript">' +
@@ -68,6 +80,12 @@ function getReportAsHtml(report) {
                 'http.onreadystatechange=function() { if(http.readyState == 4 && http.status == 200) { document.getElementById("reportText").innerText = http.responseText }};' +
                 'http.send(null);' +
             '}, ' + SUMMARY_HTML_REFRESH_PERIOD + ');' +
+            'function control(action) {' +
+                'if(navigator.appName == "Microsoft Internet Explorer") { c = new ActiveXObject("Microsoft.XMLHTTP"); } else { c = new XMLHttpRequest(); }' +
+                'c.open("POST", "/cluster/" + action);' +
+                'c.onreadystatechange=function() { if(c.readyState == 4) { var r = JSON.parse(c.responseText); document.getElementById("controlResult").innerText = (r.error != null) ? action + " failed: " + r.error : action + ": confirmed by " + r.confirmed.length + " of " + (r.confirmed.length + r.unconfirmed.length) + " slaves" }};' +
+                'c.send(null);' +
+            '}' +
             plotcharts+
             '</script>' +
             '<div id="footer"><p>generated with <a href="http://github.com/benschmaus/nodeload">nodeload</a></p></div>' +
@@ -165,6 +183,10 @@ startHttpServer = function(port) {
             serveRemote(req.url, req, res);
         } else if (req.url.match("^/remote")) {
             serveRemote(req.url, req, res);
+        } else if (req.url.match("^/tests")) {
+            serveTests(req.url, req, res);
+        } else if (req.url.match("^/cluster/")) {
+            serveCluster(req.url, req, res);
         } else if (req.method == "GET") {
             serveFile("." + req.url, res);
         } else {
@@ -25,135 +25,149 @@
  OTHER DEALINGS IN THE SOFTWARE.
 */
 
-var sys = require('sys'),
-    http = require('http');
+var sys = require('sys');
 
 var options = require('./options');
 var report = require('./txtreport');
-var stats = require('./stats');
-
 
 options.process();
 
-var url = options.get('url');
-if (!url)
+if (!options.get('url') && !options.get('slave'))
     options.help();
 
-var method = options.get('method');
-var host = options.get('host');
-var port = options.get('port');
-var numClients = options.get('numClients');
-var numRequests = options.get('numRequests');
-var timeLimit = options.get('timeLimit');
-var path = options.get('path');
-var requestData = options.get('requestData');
-var requestGenerator = options.get('requestGenerator');
-var quiet = options.get('quiet');
-var reportInterval = options.get('reportInterval');
-var requestsPerClient = numRequests/numClients;
-var targetRps = options.get('targetRps');
-var clientTimeout = (1 / (targetRps / numClients)) * 1000;
-
-var bytesTransferred = 0;
-var intervalStats = new stats.Histogram();
-var cumulativeStats = new stats.Histogram();
-
-// Keeps track of clients that are done working.  When all are finished
-// results are generated.
-var finishedClients = 0;
-
-var reportId;
-
-function initClientRequest(clientIdCounter) {
-    var requestCounter = 0;
-    var connection = http.createClient(port, host);
-
-    function doRequest() {
-        if (((timeLimit != null) && (new Date() - cumulativeStats.start) >= timeLimit) || 
-                ((numRequests != null) && (++requestCounter > requestsPerClient))) {
-            finishedClients++;
-            finish();
-            return;
-        }
-        
-        var finished = false;
-        var lagging = false;
-        if (targetRps != null) {
-            var rateLimitTimeoutId = setTimeout(function() { 
-                if (!finished) {
-                    lagging = true; 
-                } else {
-                    process.nextTick(doRequest); 
-                }
-            }, clientTimeout);
-        } else {
-            lagging = true;
-        }
-
-        var start = (new Date()).getTime();
-        var request;
-        if (requestGenerator == null) {
-            request = connection.request(method, path, { 'host': host });
+// nodeloadlib reads its configuration from these globals when it is loaded
+if (options.get('httpPort') != null)
+    HTTP_SERVER_PORT = options.get('httpPort');
+DISABLE_HTTP_SERVER = options.get('noHttp');
+DISABLE_LOGS = options.get('noLogs');
+require('../dist/nodeloadlib');
 
-            if ((requestData != null) && (method.search('^(PUT|POST)$') != -1)) {
-                request.sendBody(requestData);
-            }
-        } else {
-            request = requestGenerator.getRequest(connection);
+var quiet = options.get('quiet');
+var slaves = options.get('slaves');
+var extra = options.get('spec') || {};
+
+/** Returns the test definition (see TEST_DEFAULTS in NODELOADLIB.md) given by the command line options */
+function testSpec() {
+    var spec = {
+        name: options.get('name') || options.get('url').href,
+        host: options.get('host'),
+        port: options.get('port'),
+        secure: options.get('secure'),
+        tlsConf: {
+            ca: options.get('ca'),
+            cert: options.get('cert'),
+            key: options.get('key'),
+            rejectUnauthorized: options.get('rejectUnauthorized')
+        },
+        method: options.get('method'),
+        path: options.get('path'),
+        requestData: options.get('requestData'),
+        requestFile: options.get('requestFile'),
+        headers: requestHeaders(),
+        connection: (options.get('keepalive') || extra.requestLoop != null) ? 'persistent' : 'per-request',
+        requestGenerator: options.get('requestGenerator'),
+        numClients: options.get('numClients'),
+        numRequests: (options.get('numRequests') != null) ? options.get('numRequests') : Infinity,
+        timeLimit: (options.get('timeLimit') != null) ? options.get('timeLimit') : Infinity,
+        targetRps: options.get('targetRps'),
+        successCodes: options.get('successCodes'),
+        requestTimeout: options.get('requestTimeout'),
+        stats: options.get('stats'),
+        latencyConf: options.get('latencyConf'),
+        arrivals: options.get('arrivals'),
+        maxInFlight: options.get('maxInFlight'),
+        correctCoordinatedOmission: options.get('correctCoordinatedOmission'),
+        delay: options.get('delay'),
+        stages: options.get('stages'),
+        thresholds: options.get('thresholds'),
+        followRedirects: options.get('followRedirects'),
+        cookies: options.get('cookies'),
+        feeder: options.get('feeder'),
+        reportInterval: options.get('reportInterval')
+    };
+    for (var i in extra) {
+        if (i != 'ramp' && i != 'search') {
+            spec[i] = extra[i];
         }
-
-        request.addListener('response', function(response) {
-            var end = new Date();
-            var	delta = end - start;
-            cumulativeStats.put(delta);
-            intervalStats.put(delta);
-            finished = true;
-            
-            response.addListener('data', function(chunk) {
-                bytesTransferred += chunk.length;
-            });
-            response.addListener('end', function(body) {
-                // Tee up next request after this one finishes.
-                if (lagging == true) {
-                    process.nextTick(doRequest);
-                }
-            });
-        });
-        request.end();
     }
-
-    process.nextTick(doRequest);
+    if (!quiet && slaves == null) {
+        spec.reportFun = report.progress;
+    }
+    return spec;
 }
 
-function finish() {
-    // display results when the last client has finished.
-    if (finishedClients == numClients) {
-        clearInterval(reportId);
-        
-        var results = {
-            bytesTransferred: bytesTransferred,
-            stats: cumulativeStats
-        };
-        report.finish(results, options);
+/** Returns the headers to add to each request, given by -H, --auth, --content-type and --keepalive */
+function requestHeaders() {
+    var headers = {}, given = options.get('headers') || {};
+    if (options.get('contentType') != null) {
+        headers['content-type'] = options.get('contentType');
+    }
+    headers['connection'] = options.get('keepalive') ? 'keep-alive' : 'close';
+    for (var name in given) {
+        headers[name] = given[name];
+    }
+    if (options.get('requestGenerator') != null && (options.get('headers') != null || options.get('contentType') != null)) {
+        sys.puts('WARN: -H, --auth and --content-type are not added to requests from --request-generator.');
     }
+    return headers;
 }
 
-var doReport = function() {
-    report.progress({intervalStats: intervalStats, cumulativeStats: cumulativeStats});
-    if (intervalStats.length > 0)
-        intervalStats = new stats.Histogram();
+/** Returns the cumulative value of each of the test's stats, keyed like the stats passed to reportFun */
+function cumulativeStats(test, spec) {
+    var stats = {};
+    if (test != null) {
+        for (var i in test.stats) {
+            stats[i] = test.stats[i].cumulative;
+        }
+        return stats;
+    }
+    // The master merges the slaves' stats by their names in reports
+    var names = {'latency': 'Latency', 'result-codes': 'Result codes', 'bytes-received': 'Bytes received',
+                 'bytes-sent': 'Bytes sent', 'tls-handshake': 'TLS handshake'};
+    for (var i in names) {
+        var merged = WORKER_POOL.stats[spec.name + ': ' + names[i]];
+        if (merged != null) {
+            stats[i] = merged.cumulative;
+        }
+    }
+    return stats;
 }
 
 function main() {
+    if (options.get('slave')) {
+        if (options.get('master') != null) {
+            registerWithMaster(options.get('master'));
+        }
+        sys.puts('Waiting for tests from a master on port ' + HTTP_SERVER_PORT + '.');
+        return;
+    }
+
     if (quiet)
         report.setEcho(false);
 
-    for (var clientIdCounter = 0; clientIdCounter < numClients; clientIdCounter++) {
-        initClientRequest(clientIdCounter);
+    var spec = testSpec();
+    var ramp = extra.ramp || options.get('ramp');
+    var start, test = null;
+    var done = function() {
+        report.finish({elapsed: (new Date() - start) / 1000, stats: cumulativeStats(test, spec)}, options);
+    };
+
+    if (slaves == null) {
+        test = (extra.search != null) ? addSearch(spec, extra.search) : addTest(spec);
+        if (ramp != null) {
+            ramp.test = test;
+            addRamp(ramp);
+        }
+        start = new Date();
+        startTests(done);
+    } else {
+        if (ramp != null || extra.search != null) {
+            sys.puts('WARN: ramps and searches are not supported with --slaves; use stages instead.');
+        }
+        var master = options.get('master') || ('localhost:' + HTTP_SERVER_PORT);
+        start = new Date();
+        remoteStart(master, slaves, [remoteTest(spec)], done);
     }
-    
-    reportId = setInterval(doReport, reportInterval * 1000);
 }
 
 main();
-
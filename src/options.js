@@ -25,24 +25,56 @@
 */
 
 var sys = require('sys');
+var fs = require('fs');
 var path = require('path');
-require.paths.push(path.join(__dirname, 'optparse-js', 'src'));
+require.paths.push(path.join(__dirname, '..', 'deps', 'optparse-js', 'src'));
 var url = require('url');
 var optparse = require('optparse');
 
 // Default options
 var testConfig = {
     url: '',
+    name: null,
     method: 'GET',
     host: '',
     port: 80,
+    secure: false,
+    ca: null,
+    cert: null,
+    key: null,
+    rejectUnauthorized: true,
     numClients: 1,
-    numRequests: Infinity,
-    timeLimit: Infinity,
+    numRequests: null,
+    timeLimit: null,
     targetRps: Infinity,
     path: '/',
     requestGenerator: null,
-    reportInterval: 60
+    headers: null,
+    requestFile: null,
+    contentType: null,
+    keepalive: false,
+    reportInterval: 60,
+    successCodes: null,
+    requestTimeout: null,
+    stats: ['latency', 'result-codes', 'bytes-received', 'bytes-sent'],
+    latencyConf: {percentiles: [.95, .99]},
+    arrivals: null,
+    maxInFlight: null,
+    correctCoordinatedOmission: false,
+    delay: null,
+    stages: null,
+    ramp: null,
+    thresholds: null,
+    followRedirects: null,
+    cookies: false,
+    feeder: null,
+    spec: null,
+    httpPort: null,
+    noHttp: false,
+    noLogs: false,
+    slaves: null,
+    master: null,
+    slave: false
 };
 var switches = [
     [ '-n', '--number NUMBER', 'Number of requests to make. Defaults to value of --concurrency unless a time limit is specified.' ],
@@ -51,36 +83,64 @@ var switches = [
     [ '-e', '--request-rate NUMBER', 'Target number of requests per seconds. Infinite by default' ],
     [ '-m', '--method STRING', 'HTTP method to use.' ],
     [ '-d', '--data STRING', 'Data to send along with PUT or POST request.' ],
-    [ '-f', '--flot-chart', 'If set, generate an HTML page with a Flot chart of results.'],
+    [ '--data-file FILE', 'File to send as the body of PUT or POST requests. It is streamed from disk, so it can be large.'],
+    [ '--content-type STRING', 'Content-Type header of the request body, e.g. application/json.'],
+    [ '-H', '--header STRING', 'Header to add to each request, e.g. \'Accept: application/json\'. May be given more than once.'],
+    [ '--auth STRING', 'user:password to send with HTTP basic authentication.'],
+    [ '--keepalive', 'Keep connections open between requests. By default each request uses a new connection.'],
     [ '-r', '--request-generator STRING', 'Path to module that exports getRequest function'],
+    [ '-f', '--flot-chart', 'Deprecated and ignored. Charts are always in the HTML report.'],
     [ '-i', '--report-interval NUMBER', 'Frequency in seconds to report statistics. Default is 60.'],
     [ '-q', '--quiet', 'Supress display of progress count info.'],
+    [ '--ca STRING', 'PEM file of CA certificates to trust for https:// URLs.'],
+    [ '--cert STRING', 'PEM file of client certificate to present for https:// URLs.'],
+    [ '--key STRING', 'PEM file of private key for --cert.'],
+    [ '-k', '--insecure', 'Accept https:// servers whose certificates cannot be verified.'],
+    [ '--name STRING', 'Name of the test in reports. Defaults to the URL.'],
+    [ '-s', '--success-codes LIST', 'Comma separated HTTP status codes that count as successes, e.g. 200,304. Other responses are logged as errors.'],
+    [ '--timeout NUMBER', 'Milliseconds to wait for each response. Default is 60000.'],
+    [ '--stats LIST', 'Comma separated stats to report. Default is latency,result-codes,bytes-received,bytes-sent. See "stats" in NODELOADLIB.md.'],
+    [ '--percentiles LIST', 'Comma separated latency percentiles to report. Default is 0.95,0.99.'],
+    [ '--hdr-histogram', 'Record latencies in an HdrHistogram, which uses bounded memory for long tests.'],
+    [ '--arrivals STRING', 'Send requests at --request-rate regardless of responses: "constant" or "poisson" gaps between requests.'],
+    [ '--max-in-flight NUMBER', 'Maximum number of outstanding requests with --arrivals. Requests beyond it are dropped.'],
+    [ '--correct-omission', 'With --request-rate, measure latency from when each request should have been sent.'],
+    [ '--delay NUMBER', 'Seconds to wait before starting the test.'],
+    [ '--stages JSON', 'Load profile, e.g. \'[{"duration": 60, "targetRps": 100}, {"duration": 300}]\'. See "stages" in NODELOADLIB.md.'],
+    [ '--ramp JSON', 'Ramp up the load in steps, e.g. \'{"numberOfSteps": 10, "timeLimit": 60, "rpsPerStep": 10, "clientsPerStep": 1}\'.'],
+    [ '--thresholds JSON', 'Pass/fail criteria, e.g. \'{"latency": {"99%": 250}, "errorRate": 0.01}\'. The exit status is 1 if the test fails.'],
+    [ '--follow-redirects NUMBER', 'Maximum number of redirects to follow for each request.'],
+    [ '--cookies', 'Keep the cookies set by responses and send them with later requests, like a browser.'],
+    [ '--feeder FILE', 'CSV or JSON-lines file of rows to use in --data, the URL and request generators, e.g. /users/{{row.id}}.'],
+    [ '--feeder-strategy STRING', 'How --feeder rows are handed out: sequential (default), circular, random or unique.'],
+    [ '--spec FILE', 'Module whose exports are added to the test definition, e.g. a scenario, mix, checks, or a search.'],
+    [ '--http-port NUMBER', 'Port to serve the live HTML report on. Default is 8000.'],
+    [ '--no-http', 'Do not start the HTML report server.'],
+    [ '--no-logs', 'Do not write the log files and HTML summary.'],
+    [ '--slaves LIST', 'Comma separated host:port of nodeload slaves to run the test on, instead of locally. Set NODELOAD_SECRET.'],
+    [ '--master STRING', 'The host:port slaves reach this instance at. With --slave, the master to register with.'],
+    [ '--slave', 'Run as a slave that waits for tests from a master.'],
     [ '-u', '--usage', 'Show usage info' ],
 ];
 
 // Create a new OptionParser.
 var parser = new optparse.OptionParser(switches);
-parser.banner = 'nodeload.js [options] <host>:<port>[<path>]';
+parser.banner = 'nodeload.js [options] [http[s]://]<host>:<port>[<path>]';
 parser.on('usage', function() {
     help();
 });
 
 parser.on(2, function (value) {
-    if (value.search('^http://') == -1)
+    if (value.search('^https?://') == -1)
         value = 'http://' + value;
 
     testConfig.url = url.parse(value, false);
+    testConfig.secure = (testConfig.url.protocol == 'https:');
     testConfig.host = testConfig.url.hostname || testConfig.host;
-    testConfig.port = Number(testConfig.url.port) || testConfig.port;
-    testConfig.path = testConfig.url.pathname || testConfig.path;
+    testConfig.port = Number(testConfig.url.port) || (testConfig.secure ? 443 : testConfig.port);
+    testConfig.path = (testConfig.url.pathname || testConfig.path) + (testConfig.url.search || '');
 });
 
-parser.on(
-    "flot-chart", function() {
-        testConfig.flotChart = true;
-    }
-);
-
 parser.on(
     "quiet",
     function() {
@@ -94,10 +154,62 @@ parser.on(
     }
 );
 
+parser.on('data-file', function(opt, value) {
+    try {
+        fs.statSync(value);
+    } catch (e) {
+        sys.puts('Cannot read ' + opt + ' ' + value + ': ' + e.message);
+        process.exit(1);
+    }
+    testConfig.requestFile = value;
+});
+
+parser.on('content-type', function(opt, value) {
+    testConfig.contentType = value;
+});
+
+parser.on('header', function(opt, value) {
+    var colon = value.indexOf(':');
+    if (colon <= 0) {
+        sys.puts('Invalid ' + opt + ' "' + value + '": expected "Name: value".');
+        process.exit(1);
+    }
+    testConfig.headers = testConfig.headers || {};
+    testConfig.headers[value.substring(0, colon).trim().toLowerCase()] = value.substring(colon+1).trim();
+});
+
+parser.on('auth', function(opt, value) {
+    testConfig.headers = testConfig.headers || {};
+    testConfig.headers['authorization'] = 'Basic ' + new Buffer(value).toString('base64');
+});
+
+parser.on('keepalive', function() {
+    testConfig.keepalive = true;
+});
+
 parser.on('request-generator', function(opt, value) {
-    var moduleName = value.substring(0, value.lastIndexOf('.'));
     testConfig.requestGeneratorModule = value;
-    testConfig.requestGenerator = require(moduleName);
+    testConfig.requestGenerator = loadModule(value).getRequest;
+});
+
+parser.on('ca', function(opt, value) {
+    testConfig.ca = fs.readFileSync(value, 'ascii');
+});
+
+parser.on('cert', function(opt, value) {
+    testConfig.cert = fs.readFileSync(value, 'ascii');
+});
+
+parser.on('key', function(opt, value) {
+    testConfig.key = fs.readFileSync(value, 'ascii');
+});
+
+parser.on('insecure', function() {
+    testConfig.rejectUnauthorized = false;
+});
+
+parser.on('flot-chart', function() {
+    sys.puts('WARN: -f/--flot-chart is deprecated and ignored; charts are always in the HTML report.');
 });
 
 parser.on('report-interval', function(opt, value) {
@@ -118,7 +230,7 @@ parser.on('number', function(opt, value) {
 
 parser.on(
     'time-limit', function(opt, value) {
-        testConfig.timeLimit = Number(value*1000);
+        testConfig.timeLimit = Number(value);
     }
 );
 
@@ -126,14 +238,116 @@ parser.on('method', function(opt, value) {
     testConfig.method = value;
 });
 
+parser.on('name', function(opt, value) {
+    testConfig.name = value;
+});
+
+parser.on('success-codes', function(opt, value) {
+    testConfig.successCodes = value.split(',').map(Number);
+});
+
+parser.on('timeout', function(opt, value) {
+    testConfig.requestTimeout = Number(value);
+});
+
+parser.on('stats', function(opt, value) {
+    testConfig.stats = value.split(',');
+});
+
+parser.on('percentiles', function(opt, value) {
+    testConfig.latencyConf.percentiles = value.split(',').map(Number);
+});
+
+parser.on('hdr-histogram', function() {
+    testConfig.latencyConf.type = 'HdrHistogram';
+});
+
+parser.on('arrivals', function(opt, value) {
+    testConfig.arrivals = value;
+});
+
+parser.on('max-in-flight', function(opt, value) {
+    testConfig.maxInFlight = Number(value);
+});
+
+parser.on('correct-omission', function() {
+    testConfig.correctCoordinatedOmission = true;
+});
+
+parser.on('delay', function(opt, value) {
+    testConfig.delay = Number(value);
+});
+
+parser.on('stages', function(opt, value) {
+    testConfig.stages = parseJson(opt, value);
+});
+
+parser.on('ramp', function(opt, value) {
+    testConfig.ramp = parseJson(opt, value);
+});
+
+parser.on('thresholds', function(opt, value) {
+    testConfig.thresholds = parseJson(opt, value);
+});
+
+parser.on('follow-redirects', function(opt, value) {
+    testConfig.followRedirects = Number(value);
+});
+
+parser.on('cookies', function() {
+    testConfig.cookies = true;
+});
+
+parser.on('feeder', function(opt, value) {
+    testConfig.feeder = testConfig.feeder || {};
+    testConfig.feeder.file = value;
+});
+
+parser.on('feeder-strategy', function(opt, value) {
+    testConfig.feeder = testConfig.feeder || {};
+    testConfig.feeder.strategy = value;
+});
+
+parser.on('spec', function(opt, value) {
+    testConfig.spec = loadModule(value);
+});
+
+parser.on('http-port', function(opt, value) {
+    testConfig.httpPort = Number(value);
+});
+
+parser.on('no-http', function() {
+    testConfig.noHttp = true;
+});
+
+parser.on('no-logs', function() {
+    testConfig.noLogs = true;
+});
+
+parser.on('slaves', function(opt, value) {
+    testConfig.slaves = value.split(',');
+});
+
+parser.on('master', function(opt, value) {
+    testConfig.master = value;
+});
+
+parser.on('slave', function() {
+    testConfig.slave = true;
+});
+
 exports.get = function(option) {
     return testConfig[option];
 };
 exports.process = function() {
     parser.parse(process.argv);
-    if ((testConfig.timeLimit == null) && (testConfig.numRequests == null)) {
+    if ((testConfig.timeLimit == null) && (testConfig.numRequests == null) && (testConfig.stages == null)) {
         testConfig.numRequests = testConfig.numClients;
     }
+    if (testConfig.feeder != null && testConfig.feeder.file == null) {
+        sys.puts('--feeder-strategy requires --feeder.');
+        process.exit(1);
+    }
 };
 
 function help() {
@@ -142,3 +356,17 @@ function help() {
 };
 exports.help = help;
 
+/** Loads a module given on the command line, relative to the current directory */
+function loadModule(file) {
+    var name = file.replace(/\.js$/, '');
+    return require((name.charAt(0) == '/') ? name : path.join(process.cwd(), name));
+}
+
+function parseJson(opt, value) {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        sys.puts('Invalid JSON for ' + opt + ': ' + e.message);
+        process.exit(1);
+    }
+}
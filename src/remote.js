@@ -7,26 +7,73 @@
 //
 // Distributed tests work as follows:
 // 1. One node is designated as master, and the others are slaves
-// 2. The master node POSTs a string containing valid javascript to http://slave/remote on each slave
-// 3. Each slave executes the javascript by calling eval().
+// 2. The master node POSTs a JSON job to http://slave/remote on each slave. A job contains test specs,
+//    and "modules" of Javascript (the specs' functions, or a script file), each named by its SHA1 hash.
+// 3. Each slave checks the job and its modules, and runs the tests or script.
 // 4. Each slave periodically POSTs statistics as a JSON string back to the master at http://master/remote/progress
 // 5. The master aggregates these statistics and generates reports just like a regular, non-distributed nodeloadlib instance
 //
+// Every request to /remote/* must be signed with the shared secret REMOTE_SECRET (see signRemoteRequest()).
+// Slaves reject all remote requests if REMOTE_SECRET is not set. Requests to /cluster/* and POSTs to /tests,
+// which control the running tests, must be signed the same way unless they come from the local machine.
+//
 
 var SLAVE_CONFIG = null;
 var WORKER_POOL = null;
 var SLAVE_PING_PERIOD = 3000;
+var SLAVE_REPORT_TIMEOUT = 1000;
+var SLAVE_REGISTRY = {};
+var SLAVE_HEARTBEAT_ID = null;
+var REMOTE_SIGNATURE_WINDOW = 300000;
+var REMOTE_FUNCTIONS = ['requestGenerator', 'requestLoop', 'reportFun'];
+// Functions nested in a test spec that can be sent to slaves: those of scenario steps and mix entries
+var REMOTE_NESTED_FUNCTIONS = /^(mix\.\d+\.)?(requestGenerator|scenario\.\d+\.(request|response))$/;
+
+if (typeof REMOTE_SECRET == "undefined") {
+    REMOTE_SECRET = null;
+    if (process.env['NODELOAD_SECRET'] != null) {
+        REMOTE_SECRET = process.env['NODELOAD_SECRET'];
+    }
+}
+
+// Relative amount of load this instance can generate as a slave, which it declares when it registers with
+// a master. Slaves that have not registered have a capacity of 1.
+if (typeof SLAVE_CAPACITY == "undefined") {
+    SLAVE_CAPACITY = 1;
+    if (process.env['NODELOAD_CAPACITY'] != null) {
+        SLAVE_CAPACITY = Number(process.env['NODELOAD_CAPACITY']);
+    }
+}
+
+// Number of pings in a row a slave may miss before the master considers it lost
+if (typeof SLAVE_MISSED_PINGS_ALLOWED == "undefined") {
+    SLAVE_MISSED_PINGS_ALLOWED = 3;
+    if (process.env['NODELOAD_MISSED_PINGS'] != null) {
+        SLAVE_MISSED_PINGS_ALLOWED = Number(process.env['NODELOAD_MISSED_PINGS']);
+    }
+}
 
 /** Returns a test that can be scheduled with `remoteStart(spec)` (See TEST_DEFAULTS in api.ja for a list
-    of the configuration values that can be provided in the test specification */
+    of the configuration values that can be provided in the test specification). The functions in spec
+    (requestGenerator, requestLoop, reportFun, and those of the steps of a scenario and entries of a mix)
+    are sent to the slaves as modules, so they cannot use variables from the enclosing scope. */
 remoteTest = function(spec) {
-    return "(function() {\n" +
-            "  var remoteSpec = JSON.parse('" + JSON.stringify(spec) + "');\n" +
-            "  remoteSpec.requestGenerator = " + spec.requestGenerator + ";\n" +
-            "  remoteSpec.requestLoop = " + spec.requestLoop + ";\n" +
-            "  remoteSpec.reportFun = " + spec.reportFun + ";\n" +
-            "  addTest(remoteSpec);\n" +
-            "})();\n";
+    var test = {spec: null, functions: {}, modules: {}};
+    var copy = function(value, path) {
+        if (typeof value == "function") {
+            test.functions[path] = addRemoteModule(test.modules, "exports.fun = " + value + ";");
+            return undefined;
+        } else if (value == null || typeof value != "object" || value instanceof RegExp) {
+            return value;
+        }
+        var result = (value instanceof Array) ? [] : {};
+        for (var i in value) {
+            result[i] = copy(value[i], (path == null) ? i : path + '.' + i);
+        }
+        return result;
+    };
+    test.spec = copy(spec, null);
+    return test;
 }
 
 /** Run the list of tests, created by remoteTest(spec), on the specified slaves. Slaves will periodically 
@@ -34,12 +81,14 @@ remoteTest = function(spec) {
     is true, then the nodeload HTTP server will remain running. Otherwise, the server will automatically
     terminate once the tests are finished. */
 remoteStart = function(master, slaves, tests, callback, stayAliveAfterDone) {
-    var remoteFun = "";
+    var job = {tests: [], scripts: [], modules: {}};
     for (var i in tests) {
-        remoteFun += tests[i];
+        job.tests.push({spec: tests[i].spec, functions: tests[i].functions});
+        for (var hash in tests[i].modules) {
+            job.modules[hash] = tests[i].modules[hash];
+        }
     }
-    remoteFun += "startTests();\n";
-    remoteSubmit(master, slaves, remoteFun, callback, stayAliveAfterDone);
+    remoteSubmit(master, slaves, job, callback, stayAliveAfterDone);
 }
 
 /** Same as remoteStart(...), except runs a .js nodeload script rather than tests created using 
@@ -48,89 +97,470 @@ remoteStart = function(master, slaves, tests, callback, stayAliveAfterDone) {
 remoteStartFile = function(master, slaves, filename, callback, stayAliveAfterDone) {
     fs.readFile(filename, function (err, data) {
         if (err != null) throw err;
-        data = data.replace(/^#![^\n]+\n/, '// removed shebang directive from runnable script\n');
-        remoteSubmit(master, slaves, data, callback, stayAliveAfterDone);
+        data = data.toString().replace(/^#![^\n]+\n/, '// removed shebang directive from runnable script\n');
+        var job = {tests: [], scripts: [], modules: {}};
+        job.scripts.push(addRemoteModule(job.modules, data));
+        remoteSubmit(master, slaves, job, callback, stayAliveAfterDone);
     });
 }
 
+/** Registers this nodeload instance as a slave of the master at "host:port". address is the "host:port" at
+    which the master can reach this instance, and defaults to localhost and this instance's HTTP server port.
+    The master splits the load of a test between its slaves in proportion to their SLAVE_CAPACITY.
+    Registration is repeated every SLAVE_PING_PERIOD ms as a heartbeat, so a slave can be started before the
+    master, and a slave that restarts is given the running job again. Slaves started with the NODELOAD_MASTER
+    environment variable (and optionally NODELOAD_SLAVE_ADDRESS) call this automatically. */
+registerWithMaster = function(master, address) {
+    var hostport = master.split(":"), client = null;
+    var register = function() {
+        if (client == null) {
+            client = http.createClient(hostport[1], hostport[0]);
+            client.on('error', function() { client = null });
+        }
+        var body = JSON.stringify({
+            address: address || ('localhost:' + HTTP_SERVER_PORT),
+            instance: START,
+            capacity: SLAVE_CAPACITY
+        });
+        sendRemoteRequest(client, hostport[0], 'POST', '/remote/register', body);
+    }
+    clearInterval(SLAVE_HEARTBEAT_ID);
+    SLAVE_HEARTBEAT_ID = setInterval(register, SLAVE_PING_PERIOD);
+    process.nextTick(register);
+}
+
+/** Returns the state of each slave known to this master: [{id: "host:port", state, lastReport, share}, ...].
+    state is "idle" for a registered slave that is not running a job, or one of the states of a slave in the
+    current RemoteWorkerPool: "notstarted", "running", "done", "error" (the slave rejected the job) or "lost"
+    (it stopped responding to pings). share is the fraction of the total load generated by the slave. */
+remotePoolStatus = function() {
+    var status = [], slaves = (WORKER_POOL != null) ? WORKER_POOL.slaves : {};
+    for (var i in slaves) {
+        status.push({
+            id: i,
+            state: slaves[i].state,
+            lastReport: slaves[i].lastReport,
+            share: WORKER_POOL.shareOf(slaves[i])
+        });
+    }
+    for (var i in SLAVE_REGISTRY) {
+        if (slaves[i] == null) {
+            var alive = isRegistered(SLAVE_REGISTRY[i]);
+            status.push({id: i, state: alive ? "idle" : "lost", lastReport: SLAVE_REGISTRY[i].lastSeen, share: 0});
+        }
+    }
+    return status;
+}
+
+/** Stops the tests on every slave in the running remote test. callback(confirmed, unconfirmed), if given, is
+    called with the lists of slaves that did and did not acknowledge the request. The remote test completes
+    as usual once the slaves have stopped. */
+remoteStop = function(callback) {
+    remoteControl('/remote/stop', 'stop', callback);
+}
+
+/** Pauses the tests on every slave in the running remote test until remoteResume() is called. See
+    pauseTests() and remoteStop(). The pause is marked in the master's stats log and charts. */
+remotePause = function(callback) {
+    remoteControl('/remote/pause', 'pause', callback);
+}
+
+remoteResume = function(callback) {
+    remoteControl('/remote/resume', 'resume', callback);
+}
+
 // =================
 // Private methods
 // =================
-/** Creates a RemoteWorkerPool with the given master and slave and runs the specified code, fun, on 
-    every slave node in the pool. fun is a string containing valid Javascript. callback and 
-    stayAliveAfterDone are the same as for remoteStart(). */
-function remoteSubmit(master, slaves, fun, callback, stayAliveAfterDone) {
+/** Sends a stop, pause or resume request, url, to all the slaves in WORKER_POOL and logs the event */
+function remoteControl(url, event, callback) {
+    if (WORKER_POOL == null || WORKER_POOL.callback == null) {
+        qputs("WARN: no remote test is running.");
+        if (callback != null) {
+            callback([], []);
+        }
+        return;
+    }
+    if (event == 'pause') {
+        WORKER_POOL.paused = true;
+    } else if (event == 'resume') {
+        WORKER_POOL.paused = false;
+    }
+    WORKER_POOL.broadcast(url, function(confirmed, unconfirmed) {
+        qputs("\nRemote " + event + " confirmed by " + confirmed.length + " of " + 
+                (confirmed.length + unconfirmed.length) + " slaves.");
+        if (unconfirmed.length > 0) {
+            qputs("WARN: no confirmation from " + unconfirmed.join(', '));
+        }
+        logTestEvent(event, {confirmed: confirmed, unconfirmed: unconfirmed});
+        if (callback != null) {
+            callback(confirmed, unconfirmed);
+        }
+    });
+}
+
+/** Returns the addresses of the slaves that have registered with this master and are still sending
+    heartbeats */
+function registeredSlaves() {
+    var slaves = [];
+    for (var i in SLAVE_REGISTRY) {
+        if (isRegistered(SLAVE_REGISTRY[i])) {
+            slaves.push(i);
+        }
+    }
+    if (slaves.length == 0) {
+        qputs("WARN: no slaves have registered with this master.");
+    }
+    return slaves;
+}
+
+function isRegistered(entry) {
+    return (new Date() - entry.lastSeen) < SLAVE_PING_PERIOD * SLAVE_MISSED_PINGS_ALLOWED;
+}
+
+/** Records a registration or heartbeat POSTed by a slave to http://master/remote/register */
+function receiveRegistration(registration) {
+    var entry = SLAVE_REGISTRY[registration.address];
+    if (entry == null) {
+        qputs("Slave " + registration.address + " registered.");
+        entry = SLAVE_REGISTRY[registration.address] = {};
+    }
+    entry.instance = registration.instance;
+    entry.capacity = (registration.capacity > 0) ? registration.capacity : 1;
+    entry.lastSeen = new Date();
+    if (WORKER_POOL != null && WORKER_POOL.callback != null) {
+        WORKER_POOL.admit(registration.address, registration.instance);
+    }
+}
+
+/** Creates a new http.Client for a slave in a RemoteWorkerPool. If the connection fails, the client is
+    replaced so the slave can be reached again if it comes back. */
+function resetSlaveClient(slave) {
+    slave.client = http.createClient(slave.port, slave.host);
+    slave.client.on('error', function() {
+        resetSlaveClient(slave);
+    });
+}
+
+/** Returns the pool status for the summary report */
+function remoteSlavesSummary() {
+    var status = remotePoolStatus(), summary = {};
+    for (var i = 0; i < status.length; i++) {
+        var s = status[i];
+        summary[s.id] = s.state + ", share " + (s.share * 100).toFixed(0) + "%" +
+                        ((s.lastReport != null) ? ", last report " + s.lastReport.toTimeString() : "");
+    }
+    if (WORKER_POOL != null) {
+        summary['intervals missing slaves'] = WORKER_POOL.incompleteIntervals;
+        summary['late reports'] = WORKER_POOL.late;
+    }
+    return summary;
+}
+
+/** Creates a RemoteWorkerPool with the given master and slaves and submits the job to every slave node
+    in the pool. If slaves is null, the registered slaves are used. job is {tests: [{spec, functions}], scripts: [hash], modules: {hash: source}}. callback
+    and stayAliveAfterDone are the same as for remoteStart(). */
+function remoteSubmit(master, slaves, job, callback, stayAliveAfterDone) {
+    if (REMOTE_SECRET == null)
+        throw "Set REMOTE_SECRET or the NODELOAD_SECRET environment variable to run remote tests";
     WORKER_POOL = new RemoteWorkerPool(master, slaves);
-    WORKER_POOL.fun = fun;
+    WORKER_POOL.job = job;
     WORKER_POOL.start(callback, stayAliveAfterDone);
 }
 
+/** Adds the Javascript source to the map of modules, keyed by its SHA1 hash, and returns the hash */
+function addRemoteModule(modules, source) {
+    var hash = crypto.createHash('sha1').update(source, 'utf8').digest('hex');
+    modules[hash] = source;
+    return hash;
+}
+
+/** Runs the Javascript source of a module, which sets its exports like a node.js module, and returns the
+    exports. Modules run in the global context, so they can call nodeloadlib functions like addTest(). */
+function loadRemoteModule(hash, source) {
+    var exports = {};
+    process.compile("(function(exports) {" + source + "\n})", "remote-module-" + hash)(exports);
+    return exports;
+}
+
+/** Checks that job, POSTed by the master to http://slave/remote, is well formed and that every module it
+    references is present and matches its hash. Returns a description of the first problem, or null. */
+function validateRemoteJob(job) {
+    if (job == null || typeof job != "object")
+        return "job must be a JSON object";
+    if (typeof job.slaveId != "string")
+        return "slaveId must be a string";
+    if (job.master != null && typeof job.master != "string")
+        return "master must be a string of the form host:port";
+    if ((job.epoch != null && typeof job.epoch != "number") || (job.masterTime != null && typeof job.masterTime != "number"))
+        return "epoch and masterTime must be numbers";
+    if (job.share != null && !isValidShare(job.share))
+        return "share must be a number between 0 and 1";
+    if (job.partition != null && (typeof job.partition.index != "number" || typeof job.partition.count != "number" || !(job.partition.count >= 1)))
+        return "partition must be {index: number, count: number}";
+    if (!(job.tests instanceof Array) || !(job.scripts instanceof Array))
+        return "tests and scripts must be lists";
+    if (job.modules == null || typeof job.modules != "object")
+        return "modules must be a map of hash to source";
+
+    var hashes = job.scripts.slice();
+    for (var i = 0; i < job.tests.length; i++) {
+        var test = job.tests[i];
+        if (test == null || test.spec == null || typeof test.spec != "object")
+            return "tests[" + i + "].spec must be an object";
+        for (var name in test.functions) {
+            if (REMOTE_FUNCTIONS.indexOf(name) < 0 && remoteNestedFunction(test.spec, name) == null)
+                return "tests[" + i + "].functions." + name + " is not one of " + REMOTE_FUNCTIONS.join(', ') +
+                       " or a function of a scenario step or mix entry";
+            hashes.push(test.functions[name]);
+        }
+    }
+    for (var i = 0; i < hashes.length; i++) {
+        var source = job.modules[hashes[i]];
+        if (typeof source != "string")
+            return "missing module " + hashes[i];
+        if (crypto.createHash('sha1').update(source, 'utf8').digest('hex') != hashes[i])
+            return "module " + hashes[i] + " does not match its hash";
+    }
+    return null;
+}
+
+/** Runs a job that has been checked by validateRemoteJob(). The tests in job.tests are added and started,
+    and the scripts in job.scripts are run. */
+function runRemoteJob(job) {
+    registerSlave(job.slaveId, job.master, job.epoch, job.masterTime);
+    if (job.share != null) {
+        SLAVE_CONFIG.share = job.share;
+    }
+    SLAVE_CONFIG.partition = job.partition;
+    for (var i = 0; i < job.tests.length; i++) {
+        var spec = job.tests[i].spec;
+        for (var name in job.tests[i].functions) {
+            var hash = job.tests[i].functions[name];
+            var fun = loadRemoteModule(hash, job.modules[hash]).fun;
+            var nested = remoteNestedFunction(spec, name);
+            if (nested != null) {
+                nested.object[nested.field] = fun;
+            } else {
+                spec[name] = fun;
+            }
+        }
+        addTest(spec);
+    }
+    for (var i = 0; i < job.scripts.length; i++) {
+        loadRemoteModule(job.scripts[i], job.modules[job.scripts[i]]);
+    }
+    if (job.tests.length > 0) {
+        startTests();
+    }
+}
+
+/** Finds where a nested function in a remote job's test.functions, e.g. 'mix.1.scenario.0.request', goes in
+    spec. Returns {object, field}, or null if name is not one of REMOTE_NESTED_FUNCTIONS or its object is not
+    in spec. */
+function remoteNestedFunction(spec, name) {
+    if (!name.match(REMOTE_NESTED_FUNCTIONS))
+        return null;
+    var path = name.split('.'), object = spec;
+    for (var i = 0; i < path.length - 1; i++) {
+        var list = (i % 2 == 0);
+        object = object[path[i]];
+        if (object == null || typeof object != "object" || (object instanceof Array) != list)
+            return null;
+    }
+    return {object: object, field: path[path.length-1]};
+}
+
+function isValidShare(share) {
+    return typeof share == "number" && share >= 0 && share <= 1;
+}
+
+/** Changes the fraction of the load of each test that is run by this slave. The test specs give the total
+    load of a test across all the slaves. */
+function setLoadShare(share) {
+    if (SLAVE_CONFIG == null)
+        return;
+    SLAVE_CONFIG.share = share;
+    for (var i in tests) {
+        tests[i].setShare(share);
+    }
+}
+
+/** Returns the signature of a remote request, which is the HMAC-SHA1 of the method, url, timestamp and
+    body keyed with REMOTE_SECRET. */
+function signRemoteRequest(method, url, timestamp, body) {
+    var hmac = crypto.createHmac('sha1', REMOTE_SECRET);
+    hmac.update(method + " " + url + "\n" + timestamp + "\n" + body, 'utf8');
+    return hmac.digest('hex');
+}
+
+/** Sends a request signed with REMOTE_SECRET to another nodeload instance using client, and returns the
+    http.ClientRequest. body is a string, or null. */
+function sendRemoteRequest(client, host, method, url, body) {
+    body = body || "";
+    var timestamp = String(new Date().getTime());
+    var req = client.request(method, url, {
+        'host': host,
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(body, 'utf8'),
+        'x-nodeload-timestamp': timestamp,
+        'x-nodeload-signature': signRemoteRequest(method, url, timestamp, body)
+    });
+    req.write(body, 'utf8');
+    req.end();
+    return req;
+}
+
+/** Checks the signature of a request received at /remote/*. Returns a description of the problem if the
+    request is not properly signed, or null. Requests are rejected if REMOTE_SECRET is not set, or if they
+    were signed more than REMOTE_SIGNATURE_WINDOW ms from now, which limits the replay of old requests. */
+function verifyRemoteRequest(req, body) {
+    if (REMOTE_SECRET == null)
+        return "remote tests are disabled; set REMOTE_SECRET or NODELOAD_SECRET";
+    var timestamp = req.headers['x-nodeload-timestamp'], signature = req.headers['x-nodeload-signature'];
+    if (timestamp == null || signature == null)
+        return "request is not signed";
+    if (!(Math.abs(new Date().getTime() - Number(timestamp)) <= REMOTE_SIGNATURE_WINDOW))
+        return "request timestamp is too old or too far in the future";
+
+    // Compare every character so the time taken does not reveal how much of the signature matched
+    var expected = signRemoteRequest(req.method, req.url, timestamp, body), diff = 0;
+    if (expected.length != signature.length)
+        return "invalid signature";
+    for (var i = 0; i < expected.length; i++) {
+        diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+    }
+    return (diff == 0) ? null : "invalid signature";
+}
+
+/** Checks a request that controls the running tests, i.e. to /cluster/* or a POST to /tests. These are
+    accepted from the local machine, e.g. from the buttons of the HTML report, and from other hosts if they
+    are signed like requests to /remote/* (see verifyRemoteRequest()). Returns a description of the problem
+    if the request is not allowed, or null. */
+function verifyControlRequest(req, body) {
+    var address = String(req.connection.remoteAddress);
+    if (address.match(/^(::ffff:)?127\./) || address == '::1')
+        return null;
+    var error = verifyRemoteRequest(req, body);
+    return (error == null) ? null : "requests from other hosts must be signed: " + error;
+}
+
 /** Converts this nodeload instance into a slave node by defining the global variable SLAVE_CONFIG.
-    A slave node differ from normal (master) node because it sends statistics to a master node. */
-function registerSlave(id, master) {
-    SLAVE_CONFIG = new RemoteSlave(id, master);
+    A slave node differ from normal (master) node because it sends statistics to a master node. epoch
+    is the time the master started the job and masterTime is the master's current time, in ms. */
+function registerSlave(id, master, epoch, masterTime) {
+    SLAVE_CONFIG = new RemoteSlave(id, master, epoch, masterTime);
 }
 
 /** A RemoteSlave represents a slave nodeload instance. RemoteSlave.reportProgress() POSTs statistics
     as a JSON formatted string to http://master/remote/progress. */
-function RemoteSlave(id, master) {
+function RemoteSlave(id, master, epoch, masterTime) {
     var master = (master == null) ? ["", 0] : master.split(":");
     this.id = id;
     this.masterhost = master[0];
     this.master = http.createClient(master[1], master[0]);
+    // Reports are timestamped with the master's clock, so that the master can line up the reports
+    // from all its slaves even if their clocks differ
+    this.clockOffset = (masterTime != null) ? masterTime - new Date().getTime() : 0;
+    this.share = 1;
+    this.partition = null;
+    this.started = this.now();
+    this.epoch = (epoch != null) ? epoch : this.started;
+    this.streams = {};
 }
 RemoteSlave.prototype = {
+    now: function() {
+        return new Date().getTime() + this.clockOffset;
+    },
     sendReport: function(url, object) {
-        var s = JSON.stringify(object);
-        var req = this.master.request('POST', url, {'host': this.masterhost, 'content-length': s.length});
-        req.write(s);
-        req.end();
+        sendRemoteRequest(this.master, this.masterhost, 'POST', url, JSON.stringify(object));
     },
+    /** Sends the interval statistics in stats to the master. The reports from each progressReportLoop form
+        a stream, named by the names of its stats. Each report is tagged with the start and end of its
+        interval and a sequence number, which is the number of intervals since epoch. This lets the
+        master match up reports from slaves that joined the job late. */
     reportProgress: function(stats) {
-        this.sendReport('/remote/progress', {slaveId: this.id, stats: stats});
+        var names = [];
+        for (var i in stats) {
+            names.push(stats[i].name);
+        }
+        var name = names.join(','), now = this.now(), stream = this.streams[name];
+        if (stream == null) {
+            var intervalLength = Math.max(1, now - this.started);
+            stream = this.streams[name] = {
+                seq: Math.max(1, Math.round((now - this.epoch) / intervalLength)) - 1,
+                last: this.started
+            };
+        }
+        stream.seq++;
+        this.sendReport('/remote/progress', {
+            slaveId: this.id,
+            stream: name,
+            seq: stream.seq,
+            start: stream.last,
+            end: now,
+            stats: stats
+        });
+        stream.last = now;
     },
 }
 /** Represents a pool of nodeload instances with one master and multiple slaves. master and each slave 
-    is specified as a string "host:port". Each slave node executes the Javascript specified in the "fun"
-    string, and upon completion, "callback" is executed. */
+    is specified as a string "host:port". Each slave node runs the job (see remoteSubmit()), and upon
+    completion, "callback" is executed. If slaves is null, the pool uses the slaves that registered with
+    this master (see registerWithMaster()), and slaves that register while the job is running join it. */
 function RemoteWorkerPool(master, slaves) {
     this.master = master;
     this.slaves = {};
-    this.fun = null;
+    this.dynamic = (slaves == null);
+    this.job = null;
     this.callback = null;
     this.pingId = null;
-    this.progressId = null;
+    this.epoch = null;
     this.stats = {};
+    this.streams = {};
+    this.incompleteIntervals = 0;
+    this.late = 0;
+    this.paused = false;
+    this.nextPartition = 0;
+    this.partitions = 1;
 
+    if (slaves == null) {
+        slaves = registeredSlaves();
+    }
     for (var i in slaves) {
-        var slave = slaves[i].split(":");
-        this.slaves[slaves[i]] = {
-            id: slaves[i],
-            state: "notstarted",
-            host: slave[0], 
-            client: http.createClient(slave[1], slave[0])
-        };
+        this.addSlave(slaves[i]);
     }
 }
 RemoteWorkerPool.prototype = {
-    /** Run the Javascript in the string RemoteWorkerPool.fun on each of the slave node and register
-        a periodic alive check for each slave. */
+    /** Adds the slave at address "host:port" to the pool. The job is not submitted until start() or admit() */
+    addSlave: function(address) {
+        var registration = SLAVE_REGISTRY[address];
+        var hostport = address.split(":");
+        var slave = this.slaves[address] = {
+            id: address,
+            state: "notstarted",
+            host: hostport[0],
+            port: hostport[1],
+            instance: null,
+            waiting: false,
+            missed: 0,
+            lastReport: null,
+            capacity: (registration != null) ? registration.capacity : 1,
+            partition: this.nextPartition++
+        };
+        resetSlaveClient(slave);
+        return slave;
+    },
+    /** Submit RemoteWorkerPool.job to each of the slave nodes and register a periodic alive check for
+        each slave. */
     start: function(callback, stayAliveAfterDone) {
-        // Construct a Javascript string which converts a nodeloadlib instance to a slave, and wraps
-        // executes the contents of "fun" by placing it in an anonymous function call:
-        //      registerSlave(slave-id, master-host:port);
-        //      (function() { 
-        //          contents of "fun", which usually contains calls to addTest(), startTests(), etc
-        //      })()
-        var fun = "(function() {" + this.fun + "})();";
+        this.epoch = new Date().getTime();
+        // Feeder files are split between the slaves in the pool when it starts. Slaves that join later (or
+        // every slave after the first, if the pool starts empty) get partitions with no rows, and a slave
+        // that restarts starts its partition over.
+        this.partitions = Math.max(1, this.nextPartition);
         for (var i in this.slaves) {
-            var slave = this.slaves[i];
-            var slaveFun = "registerSlave('" + i + "','" + this.master + "');\n" + fun;
-            // POST the Javascript string to each slave which will eval() it.
-            var r = slave.client.request('POST', '/remote', {'host': slave.host, 'content-length': slaveFun.length});
-            r.write(slaveFun);
-            r.end();
-            slave.state = "running";
+            this.submit(this.slaves[i]);
         }
 
         // Register a period ping to make sure slave is still alive
@@ -138,19 +568,125 @@ RemoteWorkerPool.prototype = {
         this.pingId = setInterval(function() { worker.sendPings() }, SLAVE_PING_PERIOD);
         this.callback = testsComplete(callback, stayAliveAfterDone);
         summaryStats = [this.stats];
+        addReportSection('Remote slaves', remoteSlavesSummary);
+    },
+    /** POST the job to a slave */
+    submit: function(slave) {
+        // The slave uses slaveId to identify itself in its progress reports to the master, and epoch and
+        // masterTime to number its reports by the intervals of the master's clock since the job started.
+        slave.state = "running";
+        var job = {slaveId: slave.id, master: this.master, epoch: this.epoch, masterTime: new Date().getTime()};
+        job.share = this.shareOf(slave);
+        job.partition = {index: slave.partition, count: this.partitions};
+        for (var field in this.job) {
+            job[field] = this.job[field];
+        }
+        var r = sendRemoteRequest(slave.client, slave.host, 'POST', '/remote', JSON.stringify(job));
+        r.on('response', rejected(slave));
+        slave.waiting = false;
+        slave.missed = 0;
+        slave.instance = (SLAVE_REGISTRY[slave.id] != null) ? SLAVE_REGISTRY[slave.id].instance : null;
+    },
+    /** Called when a slave registers with the master while the job is running. A slave that is not yet in
+        the pool (if the pool was created without a list of slaves), or that has restarted since it was given
+        the job, is (re)admitted to the pool and sent the job. */
+    admit: function(address, instance) {
+        var slave = this.slaves[address];
+        if (slave == null && this.dynamic) {
+            qprint("\nSlave " + address + " joined.");
+            this.submit(this.addSlave(address));
+            this.rebalance();
+        } else if (slave != null && slave.instance != instance && slave.state != "error") {
+            qprint("\nSlave " + address + " restarted; resending job.");
+            this.submit(slave);
+            this.rebalance();
+        } else if (slave != null && slave.capacity != SLAVE_REGISTRY[address].capacity) {
+            slave.capacity = SLAVE_REGISTRY[address].capacity;
+            this.rebalance();
+        }
+    },
+    /** Returns the fraction of the total load of the job that should be generated by slave. The load is
+        split between the slaves that are running or about to be started, in proportion to their capacity. */
+    shareOf: function(slave) {
+        if (slave.state != "running" && slave.state != "notstarted")
+            return 0;
+        var total = 0;
+        for (var i in this.slaves) {
+            if (this.slaves[i].state == "running" || this.slaves[i].state == "notstarted") {
+                total += this.slaves[i].capacity;
+            }
+        }
+        return slave.capacity / total;
+    },
+    /** POSTs to url on every running slave. callback(confirmed, unconfirmed) is called with the lists of
+        slaves that did and did not respond with 200 OK within SLAVE_PING_PERIOD ms. */
+    broadcast: function(url, callback) {
+        var confirmed = [], unconfirmed = [], pending = 0, timeoutId = null;
+        var done = function() {
+            if (callback == null)
+                return;
+            clearTimeout(timeoutId);
+            for (var i in replied) {
+                if (!replied[i]) {
+                    unconfirmed.push(i);
+                }
+            }
+            var cb = callback;
+            callback = null;
+            cb(confirmed, unconfirmed);
+        }
+        var replied = {};
+        for (var i in this.slaves) {
+            var slave = this.slaves[i];
+            if (slave.state != "running")
+                continue;
+            pending++;
+            replied[i] = false;
+            var r = sendRemoteRequest(slave.client, slave.host, 'POST', url);
+            r.on('response', (function(id) { return function(response) {
+                replied[id] = true;
+                if (response.statusCode == 200) {
+                    confirmed.push(id);
+                } else {
+                    unconfirmed.push(id);
+                }
+                if (--pending == 0) {
+                    done();
+                }
+            }})(i));
+        }
+        if (pending == 0) {
+            done();
+        } else {
+            timeoutId = setTimeout(done, SLAVE_PING_PERIOD);
+        }
+    },
+    /** Sends each running slave its current share of the load, after a slave has joined or dropped out.
+        The slave adjusts the rate and concurrency of its tests (see setLoadShare()). */
+    rebalance: function() {
+        for (var i in this.slaves) {
+            var slave = this.slaves[i];
+            if (slave.state == "running") {
+                var body = JSON.stringify({share: this.shareOf(slave)});
+                var r = sendRemoteRequest(slave.client, slave.host, 'POST', '/remote/share', body);
+                r.on('response', rejected(slave));
+            }
+        }
     },
     /** Called after each round of slave pings to see if all the slaves have finished. A slave is "finished"
-        if it reports that it finished successfully, or if it fails to respond to a ping and flagged with
-        an error state. When all slaves are finished, the overall test is considered complete and the user 
-        defined callback function is called. */
+        if it reports that it finished successfully, if it rejected the job, or if it missed too many pings
+        and is flagged as lost. When all slaves are finished, the overall test is considered complete and
+        the user defined callback function is called. */
     checkFinished: function() {
         for (var i in this.slaves) {
-            if (this.slaves[i].state != "done" && this.slaves[i].state != "error") {
+            var state = this.slaves[i].state;
+            if (state != "done" && state != "error" && state != "lost") {
                 return;
             }
         }
         qprint("\nRemote tests complete.");
-        
+        this.reportAllIntervals();
+
         var callback = this.callback;
         clearInterval(this.pingId);
         this.callback = null;
@@ -159,107 +695,326 @@ RemoteWorkerPool.prototype = {
             callback();
         }
     },
+    /** Called whenever a slave responds to a ping or sends a progress report. A lost slave that responds
+        again is re-admitted to the pool. */
+    heardFrom: function(slave) {
+        slave.waiting = false;
+        slave.missed = 0;
+        if (slave.state == "lost") {
+            qprint("\nSlave " + slave.id + " is back.");
+            slave.state = "running";
+            this.rebalance();
+        }
+    },
     /** Issue a GET request to each slave at "http://slave/remote/state". This function is called every
-        SLAVE_PING_PERIOD seconds. If a slave fails to respond in that amount of time, it is flagged with
-        an error state. A slave will report that it is "done" when its SCHEDULER is no longer running, i.e.
-        all its tests ran to completion (or no tests were started, because "fun" didn't call to startTests()). */
+        SLAVE_PING_PERIOD seconds. If a slave fails to respond to SLAVE_MISSED_PINGS_ALLOWED pings in a row,
+        it is flagged as lost, but is still pinged in case it comes back. A slave will report that it is
+        "done" when its SCHEDULER is no longer running, i.e. all its tests ran to completion (or no tests
+        were started, because the job's script didn't call startTests()). */
     sendPings: function() {
         var worker = this;
         // Read the response from ping() (GET /remote/state)
         var pong = function(slave) { return function(response) {
-            if (slave.state == "ping") {
-                if (response.statusCode == 200) {
-                    slave.state = "running";
-                } else if (response.statusCode == 410) {
+            if (response.statusCode == 200) {
+                worker.heardFrom(slave);
+            } else if (response.statusCode == 410) {
+                worker.heardFrom(slave);
+                if (slave.state != "done") {
                     qprint("\n" + slave.id + " done.");
                     slave.state = "done";
                 }
+            } else {
+                rejected(slave)(response);
             }
         }}
         // Send GET to /remote/state
         var ping = function(slave) {
-            slave.state = "ping";
-            var r = slave.client.request('GET', '/remote/state', {'host': slave.host, 'content-length': 0});
+            slave.waiting = true;
+            var r = sendRemoteRequest(slave.client, slave.host, 'GET', '/remote/state');
             r.on('response', pong(slave));
-            r.end();
         }
 
-        // Verify every slave responded to the last round of pings. Send ping to slave that are still alive.
+        // Count the slaves that did not respond to the last round of pings, and ping the slaves that may
+        // still be running.
+        var lost = false;
         for (var i in this.slaves) {
-            if (this.slaves[i].state == "ping") {
-                qprint("\nWARN: slave " + i + " unresponsive.");
-                this.slaves[i].state = "error";
-            } else if (this.slaves[i].state == "running") {
-                ping(this.slaves[i]);
+            var slave = this.slaves[i];
+            if (slave.waiting && slave.state == "running") {
+                slave.missed++;
+                if (slave.missed >= SLAVE_MISSED_PINGS_ALLOWED) {
+                    qprint("\nWARN: slave " + i + " unresponsive after " + slave.missed + " pings.");
+                    slave.state = "lost";
+                    lost = true;
+                }
+            }
+            if (slave.state == "running" || slave.state == "lost") {
+                ping(slave);
             }
         }
-        this.checkFinished();
-    },
-    /** Every time the master receives a progress report is received from a slave, update the overall 
-        statistics. Since all the slaves will be on the same reporting schedule, we can expect the master
-        to receive progress reports from all slaves at approxmiate the same time. We allow a 500ms window
-        between the first and last report to arrive before updating the master stats. */
-    scheduleProgressReport: function() {
-        if (this.progressId == null) {
-            var worker = this;
-            this.progressId = setTimeout(function() { 
-                defaultProgressReport(worker.stats);
-                worker.progressId = null;
-            }, 500);
+        if (lost) {
+            this.rebalance();
         }
+        this.checkFinished();
     },
-    /** Process data received POSTed by a slave to http://master/remote/progress */
+    /** Process data received POSTed by a slave to http://master/remote/progress. Each report contains the
+        statistics of one interval of one of the slave's streams of reports (one per progressReportLoop, see
+        RemoteSlave.reportProgress()). The master reports an interval once every running slave has sent its
+        statistics for it, or SLAVE_REPORT_TIMEOUT ms after the first slave did, and lists the slaves that
+        are missing. Reports for an interval that has already been reported, and repeated reports, are only
+        added to the cumulative statistics, so that they are not counted in the wrong interval or twice. */
     receiveProgress: function(report) {
-        if (this.slaves[report.slaveId] == null)
+        var slave = this.slaves[report.slaveId];
+        if (slave == null)
             return;
-        this.slaves[report.slaveId].state = "running";
-        for (var i in report.stats) {
-            var stat = report.stats[i].name;
+        this.heardFrom(slave);
+        slave.lastReport = new Date();
+
+        var worker = this, seq = report.seq;
+        var stream = this.streams[report.stream];
+        if (stream == null) {
+            stream = this.streams[report.stream] = {stats: {}, reported: 0, intervals: {}};
+        }
+        var interval = stream.intervals[seq];
+        if (seq <= stream.reported || (interval != null && interval.reports[report.slaveId] != null)) {
+            this.late++;
+            this.mergeStats(stream, report.stats, true);
+            return;
+        }
+        if (interval == null) {
+            interval = stream.intervals[seq] = {start: report.start, end: report.end, reports: {}};
+            interval.timeoutId = setTimeout(function() { worker.reportIntervals(stream, seq) }, SLAVE_REPORT_TIMEOUT);
+        }
+        interval.reports[report.slaveId] = report.stats;
+        interval.start = Math.min(interval.start, report.start);
+        interval.end = Math.max(interval.end, report.end);
+
+        for (var i in this.slaves) {
+            if (this.slaves[i].state == "running" && interval.reports[i] == null) {
+                return;
+            }
+        }
+        this.reportIntervals(stream, seq);
+    },
+    /** Reports every interval in stream up to and including seq which has not been reported yet */
+    reportIntervals: function(stream, seq) {
+        for (var s = stream.reported + 1; s <= seq; s++) {
+            var interval = stream.intervals[s];
+            if (interval == null)
+                continue;
+            clearTimeout(interval.timeoutId);
+            delete stream.intervals[s];
+
+            var status = {interval: s, start: new Date(interval.start), end: new Date(interval.end)}, missing = [];
+            if (this.paused) {
+                status.paused = true;
+            }
+            for (var i in interval.reports) {
+                this.mergeStats(stream, interval.reports[i], false);
+            }
+            for (var i in this.slaves) {
+                var state = this.slaves[i].state;
+                if ((state == "running" || state == "lost") && interval.reports[i] == null) {
+                    missing.push(i);
+                }
+            }
+            if (missing.length > 0) {
+                status.missing = missing;
+                this.incompleteIntervals++;
+            }
+            defaultProgressReport(stream.stats, status);
+        }
+        stream.reported = Math.max(stream.reported, seq);
+    },
+    /** Reports all the intervals still waiting for slaves */
+    reportAllIntervals: function() {
+        for (var i in this.streams) {
+            var last = 0;
+            for (var seq in this.streams[i].intervals) {
+                last = Math.max(last, Number(seq));
+            }
+            this.reportIntervals(this.streams[i], last);
+        }
+    },
+    /** Adds the statistics in a slave's report to the master's statistics. If cumulativeOnly is true, the
+        statistics for the current interval are not changed. */
+    mergeStats: function(stream, stats, cumulativeOnly) {
+        for (var i in stats) {
+            var stat = stats[i].name;
             if (this.stats[stat] == null) {
-                var backend = statsClassFromString(report.stats[i].interval.type);
-                this.stats[stat] = new Reportable([backend, report.stats[i].interval.params], stat, report.stats[i].addToHttpReport);
+                var backend = statsClassFromString(stats[i].interval.type);
+                this.stats[stat] = new Reportable([backend, stats[i].interval.params], stat, stats[i].addToHttpReport);
+            }
+            stream.stats[stat] = this.stats[stat];
+            if (cumulativeOnly) {
+                this.stats[stat].cumulative.merge(stats[i].interval);
+            } else {
+                this.stats[stat].merge(stats[i].interval);
             }
-            this.stats[stat].merge(report.stats[i].interval);
         }
-        this.scheduleProgressReport();
     },
 }
 
-/** Handler for all the requests to /remote. See http.js#startHttpServer(). */
-function serveRemote(url, req, res) {
-    var readBody = function(req, callback) {
+/** Handler for requests to /cluster, used by the buttons on the HTML report of a master. POST to
+    /cluster/stop, /cluster/pause or /cluster/resume calls remoteStop(), remotePause() or remoteResume(),
+    and responds with {confirmed: [slaves], unconfirmed: [slaves]}. Requests from other hosts must be signed
+    (see verifyControlRequest()), or get a 401 or 403 response. See http.js#startHttpServer(). */
+function serveCluster(url, req, res) {
+    var send = function(status, obj) {
+        var s = JSON.stringify(obj);
+        res.writeHead(status, {"Content-Type": "application/json", "Content-Length": Buffer.byteLength(s, 'utf8')});
+        res.end(s, 'utf8');
+    }
+    var actions = {'/cluster/stop': remoteStop, '/cluster/pause': remotePause, '/cluster/resume': remoteResume};
+    if (req.method != "POST" || actions[url] == null) {
+        res.writeHead((actions[url] == null) ? 404 : 405, {"Content-Length": 0});
+        res.end();
+        return;
+    }
+    var body = '';
+    req.setEncoding('utf8');
+    req.on('data', function(chunk) { body += chunk });
+    req.on('end', function() {
+        var authError = verifyControlRequest(req, body);
+        if (authError != null) {
+            send((REMOTE_SECRET == null) ? 403 : 401, {error: authError});
+            return;
+        }
+        actions[url](function(confirmed, unconfirmed) {
+            send(200, {confirmed: confirmed, unconfirmed: unconfirmed});
+        });
+    });
+}
+
+/** Returns a function that handles the response of a slave to a job or ping. If the slave rejected the
+    request, the error returned by the slave is printed and the slave is flagged with an error state. */
+function rejected(slave) {
+    return function(response) {
+        if (response.statusCode < 400)
+            return;
         var body = '';
-        req.on('data', function(chunk) { body += chunk });
-        req.on('end', function() { callback(body) });
+        response.on('data', function(chunk) { body += chunk });
+        response.on('end', function() {
+            qprint("\nWARN: slave " + slave.id + " rejected request (" + response.statusCode + "): " + body);
+        });
+        var dropped = (slave.state == "running");
+        slave.state = "error";
+        if (dropped && WORKER_POOL != null) {
+            WORKER_POOL.rebalance();
+        }
     }
+}
+
+/** Handler for all the requests to /remote. See http.js#startHttpServer(). Every request must be signed
+    (see verifyRemoteRequest()). Rejected requests get a 400, 401 or 403 response with a JSON body
+    {error: description}. */
+function serveRemote(url, req, res) {
     var sendStatus = function(status) {
         res.writeHead(status, {"Content-Length": 0});
         res.end();
     }
-    if (req.method == "POST" && url == "/remote") {
-        readBody(req, function(remoteFun) {
-            qputs("Starting remote test:\n" + remoteFun);
-            eval(remoteFun);
+    var sendError = function(status, message) {
+        var s = JSON.stringify({error: message});
+        res.writeHead(status, {"Content-Type": "application/json", "Content-Length": Buffer.byteLength(s, 'utf8')});
+        res.end(s, 'utf8');
+    }
+    var parseJson = function(body) {
+        try {
+            return JSON.parse(body);
+        } catch(e) {
+            sendError(400, "body is not valid JSON: " + e.message);
+            return null;
+        }
+    }
+
+    var body = '';
+    req.setEncoding('utf8');
+    req.on('data', function(chunk) { body += chunk });
+    req.on('end', function() {
+        var authError = verifyRemoteRequest(req, body);
+        if (authError != null) {
+            qputs("WARN: rejected remote request " + req.method + " " + url + " from " +
+                    req.connection.remoteAddress + ": " + authError);
+            sendError((REMOTE_SECRET == null) ? 403 : 401, authError);
+        } else if (req.method == "POST" && url == "/remote") {
+            var job = parseJson(body);
+            if (job == null)
+                return;
+            var jobError = validateRemoteJob(job);
+            if (jobError != null) {
+                sendError(400, jobError);
+                return;
+            }
+            qputs("Starting remote job from " + job.master + ": " + job.tests.length + " tests, " +
+                    job.scripts.length + " scripts");
+            try {
+                runRemoteJob(job);
+            } catch(e) {
+                sendError(400, "job failed to start: " + e);
+                return;
+            }
+            sendStatus(200);
+        } else if (req.method == "GET" && url == "/remote/state") {
+            if (SCHEDULER.running == true) {
+                sendStatus(200);
+            } else {
+                sendStatus(410);
+            }
+        } else if (req.method == "POST" && url == "/remote/stop") {
+            qprint("\nReceived remote stop...");
+            SCHEDULER.stopAll();
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/pause") {
+            qprint("\nReceived remote pause...");
+            pauseTests();
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/resume") {
+            qprint("\nReceived remote resume...");
+            resumeTests();
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/share") {
+            var update = parseJson(body);
+            if (update == null)
+                return;
+            if (!isValidShare(update.share)) {
+                sendError(400, "share must be a number between 0 and 1");
+                return;
+            }
+            setLoadShare(update.share);
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/register") {
+            var registration = parseJson(body);
+            if (registration == null)
+                return;
+            if (typeof registration.address != "string" || !registration.address.match(/^[^:]+:\d+$/)) {
+                sendError(400, "address must be a string of the form host:port");
+                return;
+            }
+            receiveRegistration(registration);
+            sendStatus(200);
+        } else if (req.method == "POST" && url == "/remote/progress") {
+            var report = parseJson(body);
+            if (report == null)
+                return;
+            if (WORKER_POOL == null || typeof report.stream != "string" || typeof report.seq != "number" ||
+                    typeof report.start != "number" || typeof report.end != "number" ||
+                    report.stats == null || typeof report.stats != "object") {
+                sendError(400, "no remote test is running, or the report has no stream, seq, start, end or stats");
+                return;
+            }
+            WORKER_POOL.receiveProgress(report);
             sendStatus(200);
-        });
-    } else if (req.method == "GET" && req.url == "/remote/state") {
-        if (SCHEDULER.running == true) {
-            res.writeHead(200, {"Content-Length": 0});
         } else {
-            res.writeHead(410, {"Content-Length": 0});
+            sendStatus(405);
         }
-        res.end();
-    } else if (req.method == "POST" && url == "/remote/stop") {
-        qprint("\nReceived remote stop...");
-        SCHEDULER.stopAll();
-        sendStatus(200);
-    } else if (req.method == "POST" && url == "/remote/progress") {
-        readBody(req, function(report) {
-            WORKER_POOL.receiveProgress(JSON.parse(report));
-            sendStatus(200);
-        });
-    } else {
-        sendStatus(405);
+    });
+}
+
+if (typeof REMOTE_MASTER == "undefined") {
+    REMOTE_MASTER = null;
+    if (process.env['NODELOAD_MASTER'] != null) {
+        REMOTE_MASTER = process.env['NODELOAD_MASTER'];
     }
 }
 
+if (REMOTE_MASTER != null)
+    registerWithMaster(REMOTE_MASTER, process.env['NODELOAD_SLAVE_ADDRESS']);
@@ -3,8 +3,11 @@
 // ------------------------------------
 var progressSummaryEnabled = false;
 
-function defaultProgressReport(stats) {
+function defaultProgressReport(stats, status) {
     var out = '{"ts": ' + JSON.stringify(new Date());
+    for (var i in status) {
+        out += ', "' + i + '": ' + JSON.stringify(status[i]);
+    }
     for (var i in stats) {
         var stat = stats[i];
         var summary = stat.interval.summary();
@@ -13,7 +16,11 @@ function defaultProgressReport(stats) {
             out += JSON.stringify(summary);
         }
         if (HTTP_REPORT.charts[stat.name] != null) {
-            HTTP_REPORT.charts[stat.name].put(summary);
+            if (status != null && status.paused) {
+                HTTP_REPORT.charts[stat.name].gap();
+            } else {
+                HTTP_REPORT.charts[stat.name].put(summary);
+            }
         }
         stats[i].next();
     }
@@ -98,6 +105,14 @@ Chart.prototype = {
             row[col] = data[item];
         }
         this.rows.push(row);
+    },
+    /** Adds a row with no values, so the lines in the chart are broken at the current time */
+    gap: function() {
+        var row = [Math.floor((new Date().getTime() - START) / 600) / 100];
+        for (var i = 1; i < this.columns.length; i++) {
+            row.push(null);
+        }
+        this.rows.push(row);
     }
 }
 
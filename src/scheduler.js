@@ -21,7 +21,20 @@ var JOB_DEFAULTS = {
     duration: Infinity,         // Maximum duration of this job in seconds
     numberOfTimes: Infinity,    // Maximum number of times to call fun()
     delay: 0,                   // Seconds to wait before calling fun() for the first time
-    monitored: true             // Does this job need to finish in order for SCHEDULER.startAll() to end?
+    monitored: true,            // Does this job need to finish in order for SCHEDULER.startAll() to end?
+    correctCoordinatedOmission: false,  // If true and rps is set, schedule calls by their intended start
+                                // time and pass it to fun as a third parameter, {intendedStart: ms}.
+                                // See evloops.js#rpsLoop().
+    arrivals: null,             // Set to 'constant' or 'poisson' to start calls to fun() rps times per second
+                                // without waiting for earlier calls to finish (an "open" model). concurrency
+                                // is ignored, and argGenerator is called as needed for each call in flight.
+                                // See evloops.js#arrivalLoop().
+    maxInFlight: Infinity,      // If arrivals is set, the maximum calls to fun() running at once. Arrivals
+                                // beyond this are dropped.
+    dropped: null,              // If arrivals is set, put(1) is called on this object for each dropped arrival
+    share: 1                    // Fraction of rps, concurrency, maxInFlight and numberOfTimes to actually run.
+                                // This is used to split a job across several nodeload instances. Concurrency
+                                // is rounded to a whole number of at least 1. See Job.setShare().
 };
 /** A scheduler starts and monitors a group of Jobs. There should only be a single instance of Scheduler,
     SCHEDULER. See also the Job class below. */
@@ -98,6 +111,9 @@ Scheduler.prototype = {
     the entire job group to be complete. Scheduler automatically stops all unmonitored jobs in the
     same group when all monitored jobs complete.
     
+    The rate and concurrency of a running job can be changed with setRate() and setConcurrency(), and it
+    can be paused with pause() and resume().
+    
     TODO: find a better implementation of concurrency that doesn't require interaction with Scheduler */
 function Job(scheduler, spec) {
     this.id = uid();
@@ -111,10 +127,22 @@ function Job(scheduler, spec) {
     this.numberOfTimes = spec.numberOfTimes;
     this.delay = spec.delay;
     this.monitored = spec.monitored;
+    this.correctCoordinatedOmission = spec.correctCoordinatedOmission;
+    this.arrivals = spec.arrivals;
+    this.maxInFlight = spec.maxInFlight;
+    this.dropped = spec.dropped;
+    this.share = spec.share;
 
     this.callback = null;
     this.started = false;
     this.done = false;
+    this.parent = null;         // The job this job was cloned from to add concurrency
+    this.clones = [];           // Running clones of this job. See setConcurrency().
+    this.conditions = null;     // ConditionalLoop conditions, shared by a job and its clones
+    this.executions = 0;        // Number of calls to fun() started by the job and its clones
+    this.executionLimit = null; // Maximum value of executions, from numberOfTimes and share. See setShare().
+    this.limiter = null;        // The rpsLoop or arrivalLoop wrapping fun
+    this.paused = false;
     
     var job = this;
     this.warningTimeoutId = setTimeout(function() { qputs("WARN: a job" + job.id + " was not started; Job.start() called?") }, 3000);
@@ -122,7 +150,8 @@ function Job(scheduler, spec) {
 Job.prototype = {
     /** Scheduler calls this method to start the job. The user defined function, callback, is called when the
         job completes. This function basically creates and starts a ConditionalLoop instance (which is an "event 
-        based loop"). To handle concurrency, jobs are cloned and the clones are added to the parent scheduler. */
+        based loop"). To handle concurrency, jobs are cloned and the clones are added to the parent scheduler.
+        Open jobs (arrivals != null) are never cloned; their arrivalLoop starts concurrent calls as needed. */
     start: function(callback) {
         clearTimeout(this.warningTimeoutId); // Cancel "didn't start job" warning
         clearTimeout(endTestTimeoutId); // Do not end the process if loop is started
@@ -133,60 +162,180 @@ Job.prototype = {
             return;
             
         var job = this;
-        var fun = this.fun;
-        var conditions = [];
-
-        for (var i = 1; i < this.concurrency; i++) {
-            var clone = this.clone();
-            clone.concurrency = 1;
-            if (clone.numberOfTimes != null) {
-                clone.numberOfTimes /= this.concurrency;
-            }
-            if (clone.rps != null) {
-                clone.rps /= this.concurrency;
-            }
-            this.scheduler.addJob(clone);
-            this.scheduler.startJob(clone);
+        this.open = (this.arrivals != null);
+        if (this.open && !(this.rps < Infinity)) {
+            qputs("WARN: job" + this.id + " sets arrivals without a target rps; running as a closed loop.");
+            this.open = false;
         }
-        if (this.rps != null && this.rps < Infinity) {
-            var rps = this.rps;
-            if (this.concurrency > 1) {
-                rps /= this.concurrency;
+
+        if (this.parent == null) {
+            // Number of executions and duration are limits on the job as a whole, including clones
+            this.conditions = [];
+            if (this.numberOfTimes != null && this.numberOfTimes < Infinity) {
+                // Like maxExecutions(), but setShare() can change the limit while the job runs
+                this.executionLimit = Math.round(this.numberOfTimes * this.share);
+                this.conditions.push(function() { return job.executions++ < job.executionLimit });
             }
-            fun = rpsLoop(rps, fun);
-        }
-        if (this.numberOfTimes != null && this.numberOfTimes < Infinity) {
-            var numberOfTimes = this.numberOfTimes;
-            if (this.concurrency > 1) {
-                numberOfTimes /= this.concurrency;
+            if (this.duration != null && this.duration < Infinity) {
+                var duration = this.duration;
+                if (this.delay != null && this.delay > 0)
+                    duration += this.delay;
+                this.conditions.push(timeLimit(duration));
+                // Stop explicitly as well, in case the loop is paused waiting for a non-zero rate
+                this.durationTimeoutId = setTimeout(function() { job.stop() }, duration * 1000);
             }
-            conditions.push(maxExecutions(numberOfTimes));
+        } else {
+            this.conditions = this.parent.conditions;
         }
-        if (this.duration != null && this.duration < Infinity) {
-            var duration = this.duration;
-            if (this.delay != null && this.delay > 0)
-                duration += this.delay;
-            conditions.push(timeLimit(duration));
-        }
-        if (this.argGenerator != null) {
-            this.args = this.argGenerator();
+
+        if (this.open) {
+            this.limiter = arrivalLoop(this.localRps(), this.fun, {
+                arrivals: this.arrivals,
+                maxInFlight: this.localMaxInFlight(),
+                argGenerator: this.argGenerator,
+                dropped: this.dropped
+            });
+        } else {
+            this.limiter = rpsLoop(this.threadRps(), this.fun, this.correctCoordinatedOmission);
+            if (this.argGenerator != null) {
+                this.args = this.argGenerator();
+            }
         }
 
-        this.callback = callback;
-        this.loop = new ConditionalLoop(fun, this.args, conditions, this.delay);
-        this.loop.start(function() {
+        var finish = function() {
+            clearTimeout(job.durationTimeoutId);
             job.done = true;
             if (job.callback != null) {
                 job.callback();
             }
+        };
+        this.callback = callback;
+        this.startTime = new Date();
+        this.loop = new ConditionalLoop(this.limiter, this.args, this.conditions, this.delay);
+        this.loop.start(function() {
+            if (job.open) {
+                // Wait for calls that are still in flight
+                job.limiter.drain(finish);
+            } else {
+                finish();
+            }
         });
         
         this.started = true;
+
+        if (this.parent == null && !this.open) {
+            for (var i = 1; i < this.localConcurrency(); i++) {
+                this.addClone();
+            }
+        }
     },
     stop: function() {
+        for (var i in this.clones) {
+            this.clones[i].stop();
+        }
         if (this.loop != null) {
             this.loop.stop();
         }
+        if (this.limiter != null) {
+            this.limiter.stop();
+        }
+    },
+    /** Change the target number of calls per second to fun() for the job as a whole. The rate is split
+        evenly between the job and its clones. */
+    setRate: function(rps) {
+        if (this.parent != null)
+            return this.parent.setRate(rps);
+
+        this.rps = rps;
+        if (this.open) {
+            this.limiter.setRate(this.localRps());
+        } else {
+            var threads = [this].concat(this.clones);
+            for (var i in threads) {
+                if (threads[i].limiter != null) {
+                    threads[i].limiter.setRate(this.threadRps());
+                }
+            }
+        }
+    },
+    /** Change the number of concurrent calls to fun(). Clones are started or stopped as needed; a stopped
+        clone finishes its current call first. Open jobs are not limited by concurrency, so for them this only
+        records the value; their limit is maxInFlight. */
+    setConcurrency: function(concurrency) {
+        if (this.parent != null)
+            return this.parent.setConcurrency(concurrency);
+
+        this.concurrency = Math.max(1, Math.floor(concurrency));
+        if (this.started && !this.done && !this.open) {
+            var local = this.localConcurrency();
+            while (this.clones.length < local - 1) {
+                this.addClone();
+            }
+            while (this.clones.length > local - 1) {
+                this.clones.pop().stop();
+            }
+            this.setRate(this.rps);
+        }
+    },
+    /** Change the fraction of the job's rate, concurrency and number of calls to fun() that is run by this
+        nodeload instance (see JOB_DEFAULTS.share). Once the job has started, the calls it has left are scaled
+        by the change in share, so that when a slave drops out, the others take over the calls it had left. */
+    setShare: function(share) {
+        if (this.parent != null)
+            return this.parent.setShare(share);
+
+        var previous = this.share;
+        this.share = share;
+        if (this.started && !this.done) {
+            if (this.executionLimit != null) {
+                var remaining = Math.max(0, this.executionLimit - this.executions);
+                this.executionLimit = this.executions + ((previous > 0) ?
+                        Math.round(remaining * share / previous) : Math.round(this.numberOfTimes * share));
+            }
+            if (this.open) {
+                this.limiter.setMaxInFlight(this.localMaxInFlight());
+                this.setRate(this.rps);
+            } else {
+                this.setConcurrency(this.concurrency);
+            }
+        }
+    },
+    /** Stop calling fun() until resume() is called. Calls in progress are allowed to finish. The job's
+        duration includes the time it is paused. */
+    pause: function() {
+        if (this.parent != null)
+            return this.parent.pause();
+        this.paused = true;
+        this.setRate(this.rps);
+    },
+    resume: function() {
+        if (this.parent != null)
+            return this.parent.resume();
+        this.paused = false;
+        this.setRate(this.rps);
+    },
+    /** Target rate of each of the job's concurrent loops */
+    threadRps: function() {
+        var job = (this.parent != null) ? this.parent : this;
+        return job.localRps() / job.localConcurrency();
+    },
+    localRps: function() {
+        return this.paused ? 0 : this.rps * this.share;
+    },
+    localConcurrency: function() {
+        return Math.max(1, Math.round(this.concurrency * this.share));
+    },
+    localMaxInFlight: function() {
+        return Math.max(1, Math.round(this.maxInFlight * this.share));
+    },
+    addClone: function() {
+        var clone = this.clone();
+        clone.parent = this;
+        clone.concurrency = 1;
+        clone.delay = Math.max(0, this.delay - (new Date() - this.startTime) / 1000);
+        this.clones.push(clone);
+        this.scheduler.addJob(clone);
+        this.scheduler.startJob(clone);
     },
     clone: function() {
         var job = this;
@@ -199,7 +348,12 @@ Job.prototype = {
             duration: job.duration,
             numberOfTimes: job.numberOfTimes,
             delay: job.delay,
-            monitored: job.monitored
+            monitored: job.monitored,
+            correctCoordinatedOmission: job.correctCoordinatedOmission,
+            arrivals: job.arrivals,
+            maxInFlight: job.maxInFlight,
+            dropped: job.dropped,
+            share: job.share
         });
         return other;
     },
@@ -136,6 +136,152 @@ Histogram.prototype =  {
     }
 }
 
+/** A log-linear bucketed histogram in the style of HdrHistogram. Each power of 2 range of values is
+    split into a fixed number of linear sub-buckets, so values are recorded with a constant relative
+    precision of "significantDigits" decimal digits. Memory usage depends only on the configured range,
+    not on the number of items, which makes it suitable for long running tests. Accepts params:
+
+        significantDigits: 2,       // Decimal digits of precision to maintain (1 to 5)
+        lowest: 0.001,              // Smallest discernible value (0.001 = 1 microsecond if items are in ms)
+        highest: 3600000,           // Largest trackable value. Larger items are counted in the top bucket.
+        percentiles: [0.95, 0.99]   // Percentiles to include in summary()
+    */
+HdrHistogram = function(params) {
+    if (params == null)
+        params = {};
+
+    this.type = "HdrHistogram";
+    this.params = params;
+    this.significantDigits = (params.significantDigits != null) ? params.significantDigits : 2;
+    this.lowest = (params.lowest != null) ? params.lowest : 0.001;
+    this.highest = (params.highest != null) ? params.highest : 3600000;
+    this.percentiles = (params.percentiles != null) ? params.percentiles : [0.95, 0.99];
+
+    if (this.significantDigits < 1 || this.significantDigits > 5)
+        throw "HdrHistogram significantDigits must be between 1 and 5";
+    if (this.lowest <= 0 || this.highest <= this.lowest)
+        throw "HdrHistogram requires 0 < lowest < highest";
+
+    // Values are recorded as integer multiples of "lowest". Each bucket covers a power of 2 range
+    // and is split into subBucketCount linear slots; only the upper half of each bucket after the
+    // first is needed since the lower half overlaps with the previous bucket.
+    this.maxValue = Math.ceil(this.highest / this.lowest);
+    this.subBucketCountMagnitude = Math.ceil(Math.log(2 * Math.pow(10, this.significantDigits)) / Math.LN2);
+    this.subBucketHalfCountMagnitude = this.subBucketCountMagnitude - 1;
+    this.subBucketCount = Math.pow(2, this.subBucketCountMagnitude);
+    this.subBucketHalfCount = this.subBucketCount / 2;
+    this.bucketCount = 1;
+    for (var smallestUntrackable = this.subBucketCount; smallestUntrackable <= this.maxValue; smallestUntrackable *= 2) {
+        this.bucketCount++;
+    }
+    this.countsLength = (this.bucketCount + 1) * this.subBucketHalfCount;
+    this.decimals = Math.max(0, -Math.floor(Math.log(this.lowest) / Math.LN10));
+    this.clear();
+}
+HdrHistogram.prototype = {
+    clear: function() {
+        this.start = new Date();
+        this.length = 0;
+        this.sum = 0;
+        this.min = -1;
+        this.max = -1;
+        this.counts = {};                       // Sparse map of counts index => number of items
+    },
+    put: function(item) {
+        this.length++;
+        this.sum += item;
+        if (item < this.min || this.min == -1) this.min = item;
+        if (item > this.max || this.max == -1) this.max = item;
+
+        var idx = this.countsIndex(item);
+        this.counts[idx] = (this.counts[idx] || 0) + 1;
+    },
+    get: function(item) {
+        return this.counts[this.countsIndex(item)] || 0;
+    },
+    mean: function() {
+        return this.sum / this.length;
+    },
+    percentile: function(percentile) {
+        if (this.length == 0)
+            return 0;
+
+        var target = Math.max(1, Math.ceil(this.length * percentile));
+        var sum = 0;
+        for (var i = 0; i < this.countsLength; i++) {
+            if (this.counts[i] != null) {
+                sum += this.counts[i];
+                if (sum >= target) {
+                    return this.round(Math.max(Math.min(this.highestEquivalentValue(i), this.max), this.min));
+                }
+            }
+        }
+        return this.max;
+    },
+    stddev: function() {
+        var mean = this.mean();
+        var s = 0;
+        for (var i in this.counts) {
+            s += this.counts[i] * Math.pow(this.medianEquivalentValue(Number(i)) - mean, 2);
+        }
+        return Math.sqrt(s / this.length);
+    },
+    summary: function() {
+        var s = {
+            min: this.min,
+            max: this.max,
+            avg: Number(this.mean().toFixed(1)),
+            median: this.percentile(.5)
+        };
+        for (var i in this.percentiles) {
+            s[this.percentiles[i] * 100 + "%"] = this.percentile(this.percentiles[i]);
+        }
+        return s;
+    },
+    /** other may be an HdrHistogram or its JSON representation, as sent by slaves. */
+    merge: function(other) {
+        if (other.significantDigits != this.significantDigits || other.lowest != this.lowest || other.highest != this.highest) {
+            throw "Incompatible histograms";
+        }
+
+        this.length += other.length;
+        this.sum += other.sum;
+        this.min = (other.min != -1 && (other.min < this.min || this.min == -1)) ? other.min : this.min;
+        this.max = (other.max > this.max || this.max == -1) ? other.max : this.max;
+        for (var i in other.counts) {
+            this.counts[i] = (this.counts[i] || 0) + other.counts[i];
+        }
+    },
+    /** Map a value to its slot in counts */
+    countsIndex: function(item) {
+        var value = Math.min(Math.max(Math.floor(item / this.lowest), 0), this.maxValue);
+        var bucketIdx = Math.max(0, floorLog2(value) - this.subBucketHalfCountMagnitude);
+        var subBucketIdx = Math.floor(value / Math.pow(2, bucketIdx));
+        return (bucketIdx + 1) * this.subBucketHalfCount + (subBucketIdx - this.subBucketHalfCount);
+    },
+    /** Lowest value, in units of this.lowest, that maps to the slot idx in counts */
+    lowestEquivalentUnits: function(idx) {
+        var bucketIdx = Math.floor(idx / this.subBucketHalfCount) - 1;
+        var subBucketIdx = (idx % this.subBucketHalfCount) + this.subBucketHalfCount;
+        if (bucketIdx < 0) {
+            subBucketIdx -= this.subBucketHalfCount;
+            bucketIdx = 0;
+        }
+        return {value: subBucketIdx * Math.pow(2, bucketIdx), width: Math.pow(2, bucketIdx)};
+    },
+    highestEquivalentValue: function(idx) {
+        var u = this.lowestEquivalentUnits(idx);
+        return (u.value + u.width) * this.lowest - this.lowest;
+    },
+    medianEquivalentValue: function(idx) {
+        var u = this.lowestEquivalentUnits(idx);
+        return (u.value + u.width / 2) * this.lowest;
+    },
+    round: function(value) {
+        return Number(value.toFixed(this.decimals));
+    }
+}
+
 Accumulator = function() {
     this.type = "Accumulator";
     this.total = 0;
@@ -305,6 +451,37 @@ Rate.prototype = {
     }
 }
 
+/** Sums the values put into it, such as numbers of bytes, and reports the total and the rate per second since
+    it was created or cleared */
+Throughput = function() {
+    this.type = "Throughput";
+    this.start = new Date();
+    this.total = 0;
+    this.length = 0;
+}
+Throughput.prototype = {
+    put: function(stat) {
+        this.total += stat;
+        this.length++;
+    },
+    get: function() {
+        var seconds = (new Date() - this.start) / 1000;
+        return (seconds > 0) ? this.total / seconds : 0;
+    },
+    clear: function() {
+        this.start = new Date();
+        this.total = 0;
+        this.length = 0;
+    },
+    summary: function() {
+        return { total: this.total, rate: Number(this.get().toFixed(1)) };
+    },
+    merge: function(other) {
+        this.total += other.total;
+        this.length += other.length;
+    }
+}
+
 LogFile = function(filename) {
     this.type = "LogFile";
     this.length = 0;
@@ -433,6 +610,13 @@ nextGaussian = function(mean, stddev) {
     return z0 * Math.sqrt(-2 * Math.log(s) / s) * stddev + mean;
 }
 
+nextExponential = function(mean) {
+    if (mean == null) mean = 1;
+    var rnd = Math.random();
+    while (rnd == 0) rnd = Math.random();
+    return -Math.log(rnd) * mean;
+}
+
 nextPareto = function(min, max, shape) {
     if (shape == null) shape = 0.1;
     var l = 1, h = Math.pow(1+max-min, shape), rnd = Math.random();
@@ -443,11 +627,13 @@ nextPareto = function(min, max, shape) {
 function statsClassFromString(name) {
     types = {
         "Histogram": Histogram, 
+        "HdrHistogram": HdrHistogram,
         "Accumulator": Accumulator, 
         "ResultsCounter": ResultsCounter,
         "Uniques": Uniques,
         "Peak": Peak,
         "Rate": Rate,
+        "Throughput": Throughput,
         "LogFile": LogFile,
         "NullLog": NullLog,
         "Reportable": Reportable
@@ -455,3 +641,14 @@ function statsClassFromString(name) {
     return types[name];
 }
 
+/** Returns floor(log2(value)) for value >= 1, or 0 for smaller values. Corrects for floating point
+    error in Math.log() near powers of 2. */
+function floorLog2(value) {
+    if (value < 1)
+        return 0;
+    var b = Math.floor(Math.log(value) / Math.LN2);
+    if (Math.pow(2, b) > value) b--;
+    if (Math.pow(2, b + 1) <= value) b++;
+    return b;
+}
+
@@ -0,0 +1,100 @@
+// ------------------------------------
+// Request templates
+// ------------------------------------
+//
+// Templates let the path, headers and body of a test's requests vary without writing a requestGenerator.
+// A template is a string containing {{...}} placeholders, e.g. '/users/{{row.id}}/orders?n={{uniform(1, 20)}}'.
+// A placeholder is either a variable or a call to one of the TEMPLATE_FUNCTIONS.
+//
+
+/** TEMPLATE_FUNCTIONS are the generators that can be called in template placeholders. Their arguments must
+    be numbers or strings that do not contain commas. More functions can be added to this object. */
+TEMPLATE_FUNCTIONS = {
+    randomString: function(length) { return randomString((length != null) ? length : 10) },
+    uniform: function(min, max) { return Math.floor(min + Math.random() * (max - min + 1)) },
+    gaussian: function(mean, stddev) { return Math.round(nextGaussian(mean, stddev)) },
+    pareto: function(min, max, shape) { return Math.round(nextPareto(min, max, shape)) },
+    uuid: function() {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+            var r = Math.floor(Math.random() * 16);
+            return ((c == 'x') ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    },
+    timestamp: function() { return new Date().getTime() }
+};
+
+/** Compiles text containing {{...}} placeholders into a function(context, vars) that returns text with each
+    placeholder replaced by its value. A placeholder is one of:
+
+      - A call to a function in TEMPLATE_FUNCTIONS, e.g. {{randomString(8)}}, {{uniform(1, 100)}},
+        {{gaussian(500, 50)}}, {{pareto(1, 10000)}}, {{uuid()}} or {{timestamp()}}. The numbers returned by
+        uniform, gaussian and pareto are rounded to whole numbers.
+      - A variable, which may be a dotted path, e.g. {{seq}} or {{row.name}}. Variables are looked up in vars,
+        then in context, the context of the virtual user (see evloops.js#requestGeneratorLoop), and then in
+        context.row, the current row of the test's feeder. Variables that are not found are left empty.
+
+    Invalid placeholders are logged when the template is compiled, and are left empty. */
+compileTemplate = function(text) {
+    var parts = [], placeholder = /\{\{\s*(.*?)\s*\}\}/g, last = 0, match;
+    while ((match = placeholder.exec(text)) != null) {
+        parts.push(text.substring(last, match.index));
+        parts.push(compilePlaceholder(match[1], text));
+        last = placeholder.lastIndex;
+    }
+    parts.push(text.substring(last));
+    return function(context, vars) {
+        var s = '';
+        for (var i = 0; i < parts.length; i++) {
+            s += (typeof parts[i] == "function") ? parts[i](context, vars) : parts[i];
+        }
+        return s;
+    }
+}
+
+// =================
+// Private methods
+// =================
+
+/** Returns a function(context, vars) that returns the value of the placeholder expression, or '' if it is invalid */
+function compilePlaceholder(expr, text) {
+    var call = expr.match(/^(\w+)\s*\((.*)\)$/);
+    if (call != null) {
+        var fun = TEMPLATE_FUNCTIONS[call[1]];
+        if (fun == null) {
+            qputs("WARN: unknown function " + call[1] + "() in template " + text);
+            return '';
+        }
+        var args = (call[2].match(/^\s*$/)) ? [] : call[2].split(',').map(parseTemplateArg);
+        return function() { return fun.apply(null, args) };
+    } else if (expr.match(/^[\w$]+(\.[\w$]+)*$/)) {
+        var path = expr.split('.');
+        return function(context, vars) {
+            var value = lookupPath(vars, path);
+            if (value === undefined)
+                value = lookupPath(context, path);
+            if (value === undefined && context != null)
+                value = lookupPath(context.row, path);
+            return (value == null) ? '' : value;
+        }
+    }
+    qputs("WARN: invalid placeholder {{" + expr + "}} in template " + text);
+    return '';
+}
+
+function parseTemplateArg(arg) {
+    arg = arg.trim();
+    if (arg.match(/^-?(\d+\.?\d*|\.\d+)(e-?\d+)?$/i)) {
+        return Number(arg);
+    }
+    return arg.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function lookupPath(object, path) {
+    for (var i = 0; i < path.length; i++) {
+        if (object == null || typeof object != "object") {
+            return undefined;
+        }
+        object = object[path[i]];
+    }
+    return object;
+}
@@ -27,11 +27,7 @@
 var sys = require('sys');
 
 var echo = true;
-var now = new Date().getTime();
-var lastReport = now;
-var reportName = 'results-chart-' + now + ".html";
-var reportData = { "req/s": [[now,0]], average: [[now,0]], median: [[now,0]], "95%": [[now,0]], "99%": [[now,0]] };
-var reportText = "";
+var lastReport = new Date();
 
 function pad(str, width) {
     return str + (new Array(width-str.length)).join(" ");
@@ -47,54 +43,59 @@ function printItem(name, val, padLength) {
     if (padLength == undefined)
         padLength = 40;
 
-    var item = pad(name + ":", padLength) + " " + val;
-    puts(item);
-    reportText += item + "\n";
+    puts(pad(name + ":", padLength) + " " + val);
 }
 
-function addData(time, data) {
-    for (category in data) {
-        if (category in reportData) {
-            reportData[category].push([time.getTime(), data[category]]);
-        }
-    }
+function printHistogram(title, histogram) {
+    puts('\n' + title);
+    printItem("  Min", histogram.min, 6);
+    printItem("  Avg", histogram.mean().toFixed(1), 6);
+    printItem("  50%", histogram.percentile(.5), 6);
+    printItem("  95%", histogram.percentile(.95), 6);
+    printItem("  99%", histogram.percentile(.99), 6);
+    printItem("  Max", histogram.max, 6);
 }
 
 exports.setEcho = function(echoOn) {
     echo = echoOn;
 }
 
-exports.progress = function(status) {
+/** Prints a line of JSON with the latency of the requests in the last interval. stats is the map of
+    Reportables passed to a test's reportFun. */
+exports.progress = function(stats) {
 
     var now = new Date();
     var summary;
+    var latency = stats['latency'];
     
-    if (status.intervalStats.length > 0) {
+    if (latency != null && latency.interval.length > 0) {
         summary = {
             ts: now,
-            ttlReqs: status.cumulativeStats.length,
-            reqs: status.intervalStats.length,
-            "req/s": (status.intervalStats.length/(now-lastReport)*1000).toFixed(1),
-            min: status.intervalStats.min,
-            average: status.intervalStats.mean().toFixed(1),
-            median: status.intervalStats.percentile(.5),
-            "95%": status.intervalStats.percentile(.95),
-            "99%": status.intervalStats.percentile(.99),
-            max: status.intervalStats.max
+            ttlReqs: latency.cumulative.length,
+            reqs: latency.interval.length,
+            "req/s": (latency.interval.length/(now-lastReport)*1000).toFixed(1),
+            min: latency.interval.min,
+            average: latency.interval.mean().toFixed(1),
+            median: latency.interval.percentile(.5),
+            "95%": latency.interval.percentile(.95),
+            "99%": latency.interval.percentile(.99),
+            max: latency.interval.max
         };
     } else {
-        summary = { ts: now, ttlReqs: status.cumulativeStats.length, reqs: 0, "req/s": 0, min: 0, average: 0, median: 0, "95%": 0, "99%": 0, max: 0 };
+        summary = { ts: now, ttlReqs: (latency != null) ? latency.cumulative.length : 0, reqs: 0, "req/s": 0, min: 0, average: 0, median: 0, "95%": 0, "99%": 0, max: 0 };
     }
 
     lastReport = now;
-    addData(now, summary);
     puts(JSON.stringify(summary));
-    writeHtmlReport(reportName, "", reportData);
 }
 
+/** Prints an ab style summary of a finished test. results is {elapsed: seconds, stats: {}}, where stats
+    maps the names of the test's stats, e.g. 'latency' and 'result-codes', to their cumulative values. */
 exports.finish = function(results, options) {
 
-    var elapsedSeconds = ((new Date()) - results.stats.start)/1000;
+    var stats = results.stats;
+    var latency = stats['latency'], resultCodes = stats['result-codes'];
+    var count = (resultCodes != null) ? resultCodes.length : (latency != null) ? latency.length : 0;
 
     puts('');
     printItem('Server', options.get('host') + ":" + options.get('port'));
@@ -107,87 +108,31 @@ exports.finish = function(results, options) {
     }
 
     printItem('Concurrency Level', options.get('numClients'));
-    printItem('Number of requests', results.stats.length);
-    printItem('Body bytes transferred', results.bytesTransferred);
-    printItem('Elapsed time (s)', elapsedSeconds.toFixed(2));
-    printItem('Requests per second', (results.stats.length/elapsedSeconds).toFixed(2));
-    printItem('Mean time per request (ms)', results.stats.mean().toFixed(2));
-    printItem('Time per request standard deviation', results.stats.stddev().toFixed(2));
-    
-    var tmp = '\nPercentages of requests served within a certain time (ms)';
-    puts(tmp);
-    reportText += tmp + '\n';
-    printItem("  Min", results.stats.min, 6);
-    printItem("  Avg", results.stats.mean().toFixed(1), 6);
-    printItem("  50%", results.stats.percentile(.5), 6)
-    printItem("  95%", results.stats.percentile(.95), 6)
-    printItem("  99%", results.stats.percentile(.99), 6)
-    printItem("  Max", results.stats.max, 6);
-    
-    writeHtmlReport(reportName, reportText, reportData);
-}
-
-function writeHtmlReport(fileName, reportText, reportData) {
-    var fs = require("fs");
-    var now = new Date();
-    var latencyData = { average: reportData.average, median: reportData.median, "95%": reportData["95%"], "99%": reportData["99%"] };
-    var latencyChart = JSON.stringify(getFlotChart(latencyData));
-    var rpsData = { "req/s": reportData["req/s"] };
-    var rpsChart = JSON.stringify(getFlotChart(rpsData));
-    fs.open(
-        fileName,
-        process.O_WRONLY|process.O_CREAT,
-        process.S_IRWXU|process.S_IRWXG|process.S_IROTH,
-        function(err, fd) {
-            fs.write(fd, 
-                "<html><head><title>nodeload results: " + now + "</title>\n" +
-                '<script language="javascript" type="text/javascript" src="./flot/jquery.js"></script>\n' +
-                '<script language="javascript" type="text/javascript" src="./flot/jquery.flot.js"></script>\n' +
-                '</head>\n<body>\n<h1>Test Results from ' + now + '</h1>\n<pre>' + reportText + '</pre>' +
-                '<h2>Latency (ms) vs. Time</h2>\n' +
-                '<div id="latency" style="width:800px;height:400px;"></div>\n' +
-                '<h2>Requests Per Second vs. Time</h2>\n' +
-                '<div id="rps" style="width:800px;height:400px;"></div>\n' +
-                '<script id="latencyData" language="javascript" type="text/javascript">\n' +
-                '$(function () { $.plot($("#latency"), ' + latencyChart + ', { xaxis: { mode: "time", timeformat: "%H:%M:%S"}, yaxis: {min: 0}, legend: {position: "se", backgroundOpacity: 0} }); });\n' +
-                "</script>\n" +
-                '<script id="rpsData" language="javascript" type="text/javascript">\n' +
-                '$(function () { $.plot($("#rps"), ' + rpsChart + ', { xaxis: { mode: "time", timeformat: "%H:%M:%S"}, yaxis: {min: 0}, legend: {position: "se", backgroundOpacity: 0} }); });\n' +
-                "</script>\n" +
-                "</body></html>",
-                null, "ascii", function(err, bytes) { fs.close(fd) });
+    printItem('Number of requests', count);
+    if (resultCodes != null) {
+        var codes = [];
+        for (var code in resultCodes.items) {
+            if (code != 'total' && code != 'rps') {
+                codes.push(code + ': ' + resultCodes.items[code]);
+            }
         }
-    );
-}
-
-function getFlotChart(data) {
-    var chart = [];
-    for (category in data) {
-        var samples = sample(data[category], 80);
-        chart.push(getFlotObject(category, samples));
+        printItem('Result codes', codes.join(', '));
     }
-    return chart;
-}
-
-function getFlotObject(label, data) {
-    return {
-        label: label,
-        data: data,
-        points: {show: true}, lines: {show: true}
-    };
-}
-
-function sample(data, points) {
-    if (data.length <= points)
-        return data;
-    
-    var samples = [];
-    for (var i = 0; i < data.length; i += Math.ceil(data.length / points)) {
-        samples.push(data[i]);
+    if (stats['bytes-received'] != null) {
+        printItem('Bytes received', stats['bytes-received'].total);
     }
-    if (data.length % points != 0) {
-        samples.push(data[data.length-1]);
+    if (stats['bytes-sent'] != null) {
+        printItem('Bytes sent', stats['bytes-sent'].total);
+    }
+    printItem('Elapsed time (s)', results.elapsed.toFixed(2));
+    printItem('Requests per second', (count/results.elapsed).toFixed(2));
+    if (latency != null && latency.length > 0) {
+        printItem('Mean time per request (ms)', latency.mean().toFixed(2));
+        printItem('Time per request standard deviation', latency.stddev().toFixed(2));
+        printHistogram('Percentages of requests served within a certain time (ms)', latency);
     }
-    return samples;
-}
 
+    if (stats['tls-handshake'] != null && stats['tls-handshake'].length > 0) {
+        printHistogram('TLS handshake times (ms)', stats['tls-handshake']);
+    }
+}